@@ -0,0 +1,52 @@
+// bezier.js
+// Catmull-Rom -> cubic Bézier conversion for the curves in curves.json, shared by
+// the map (index.html + editor.js load it as a classic script: functions become globals)
+// and the image renderer (scripts/lib/render-map.mjs requires it as CommonJS).
+//
+// Points are [x, y] map pixels. tension 0.8 is the default curves.json assumes.
+
+(function (root) {
+  // -> { start: [x,y], segments: [[cp1, cp2, end], ...] }, all [x,y]
+  function catmullRomToBezier(pointsXY, tension = 0.8) {
+    if (!pointsXY || pointsXY.length < 2) throw new Error("Need at least 2 points");
+
+    const pts = pointsXY.map(([x, y]) => ({ x, y }));
+    const p = [pts[0], ...pts, pts[pts.length - 1]]; // duplicate ends
+    const k = tension / 6;
+    const segments = [];
+
+    for (let i = 1; i < p.length - 2; i++) {
+      const p0 = p[i - 1], p1 = p[i], p2 = p[i + 1], p3 = p[i + 2];
+
+      const cp1x = p1.x + (p2.x - p0.x) * k;
+      const cp1y = p1.y + (p2.y - p0.y) * k;
+
+      const cp2x = p2.x - (p3.x - p1.x) * k;
+      const cp2y = p2.y - (p3.y - p1.y) * k;
+
+      segments.push([[cp1x, cp1y], [cp2x, cp2y], [p2.x, p2.y]]);
+    }
+
+    return { start: [p[1].x, p[1].y], segments };
+  }
+
+  // Leaflet.curve path: ["M", latlng, "C", latlng, latlng, latlng, ...].
+  // toLatLng maps [x, y] pixels to the map's coordinates (index.html's XY).
+  function catmullRomToBezierPath(pointsXY, tension = 0.8, toLatLng = (x, y) => [x, y]) {
+    const { start, segments } = catmullRomToBezier(pointsXY, tension);
+    const path = ["M", toLatLng(...start)];
+    for (const [c1, c2, end] of segments) path.push("C", toLatLng(...c1), toLatLng(...c2), toLatLng(...end));
+    return path;
+  }
+
+  // SVG path data. toSvg maps [x, y] pixels to SVG user units.
+  function catmullRomToSvgPath(pointsXY, tension = 0.8, toSvg = (x, y) => [x, y]) {
+    const fmt = (pt) => toSvg(...pt).map(n => Math.round(n * 10) / 10).join(" ");
+    const { start, segments } = catmullRomToBezier(pointsXY, tension);
+    return [`M ${fmt(start)}`, ...segments.map(([c1, c2, end]) => `C ${fmt(c1)} ${fmt(c2)} ${fmt(end)}`)].join(" ");
+  }
+
+  const api = { catmullRomToBezier, catmullRomToBezierPath, catmullRomToSvgPath };
+  if (typeof module === "object" && module.exports) module.exports = api;
+  else Object.assign(root, api);
+})(this);
@@ -0,0 +1,321 @@
+// editor.js
+// Overlay editor, loaded by index.html when the URL has ?edit=1.
+//
+// Draw and drag control points over map.jpg, preview curves with the same
+// catmullRomToBezierPath() the map uses (bezier.js), then export curves.json / overlays.geojson.
+// Uses the globals from index.html: map, IMAGE_WIDTH, IMAGE_HEIGHT, XY, catmullRomToBezierPath,
+// difficultyMarkers.
+//
+// The draft is kept in localStorage, so a reload doesn't lose work.
+
+const EDITOR_DRAFT_KEY = "overlay-editor-draft";
+const EDITOR_DEFAULT_TENSION = 0.8;
+
+function startOverlayEditor({ curvesData, overlays, status, itemLayers }) {
+  // Working copy: { type: "curve" | "line", kind, name, area?, tension, points: [[x,y]] }
+  let items = loadDraft() ?? [
+    ...(curvesData?.curves ?? []).map(c => ({
+      type: "curve", kind: c.kind, name: c.name, area: c.area, tension: c.tension ?? EDITOR_DEFAULT_TENSION, points: c.points.map(p => [...p])
+    })),
+    ...(overlays?.features ?? []).map(f => ({
+      type: "line", kind: f.properties.kind, name: f.properties.name, area: f.properties.area, points: f.geometry.coordinates.map(p => [...p])
+    }))
+  ];
+  let current = null;   // index into items
+  let adding = false;   // map clicks append points to the current item
+  let previews = [];    // one preview layer per item
+  let markers = [];     // draggable control points of the current item
+
+  // The status overlays stay out of the way while editing
+  for (const it of itemLayers) it.layer.remove();
+  difficultyMarkers.remove();
+
+  function loadDraft() {
+    try {
+      return JSON.parse(localStorage.getItem(EDITOR_DRAFT_KEY));
+    } catch {
+      return null;
+    }
+  }
+
+  function saveDraft() {
+    localStorage.setItem(EDITOR_DRAFT_KEY, JSON.stringify(items));
+  }
+
+  // ---- Panel ----
+
+  const panel = document.createElement("div");
+  panel.className = "editor-panel";
+  panel.innerHTML = `
+    <strong>Overlay editor</strong>
+    <select id="ed-items" size="8" aria-label="Overlays"></select>
+    <div class="ed-row">
+      <button type="button" id="ed-new-curve">+ Curve</button>
+      <button type="button" id="ed-new-line">+ Line</button>
+      <button type="button" id="ed-delete">Delete</button>
+    </div>
+    <label>Kind
+      <select id="ed-kind"><option value="trail">trail</option><option value="lift">lift</option></select>
+    </label>
+    <label>Name <input id="ed-name" list="ed-names" autocomplete="off"></label>
+    <datalist id="ed-names"></datalist>
+    <label id="ed-tension-row">Tension <span id="ed-tension-value"></span>
+      <input type="range" id="ed-tension" min="0" max="1.5" step="0.05">
+    </label>
+    <div class="ed-row">
+      <button type="button" id="ed-add">Add points</button>
+      <button type="button" id="ed-undo">Undo point</button>
+      <button type="button" id="ed-reverse">Reverse</button>
+    </div>
+    <div class="ed-hint">Click the map to add points, drag to move, right-click a point to remove it.</div>
+    <div class="ed-coords" id="ed-coords"></div>
+    <div class="ed-row">
+      <button type="button" id="ed-export-curves">curves.json</button>
+      <button type="button" id="ed-export-geojson">overlays.geojson</button>
+      <button type="button" id="ed-reset" title="Discard the draft and reload the published files">Reset</button>
+    </div>
+    <div class="ed-errors" id="ed-errors" role="status"></div>
+  `;
+  document.body.append(panel);
+  const $ = (id) => panel.querySelector(`#${id}`);
+
+  // Names the source reports: mapped ones and those still missing an overlay
+  const names = new Set([
+    ...Object.keys(status?.lifts ?? {}), ...(status?.unmapped?.lifts ?? []),
+    ...Object.keys(status?.trails ?? {}), ...(status?.unmapped?.trails ?? [])
+  ]);
+  const unmapped = new Set([...(status?.unmapped?.lifts ?? []), ...(status?.unmapped?.trails ?? [])]);
+  for (const name of [...names].sort()) {
+    $("ed-names").append(new Option(unmapped.has(name) ? `${name} (not on map yet)` : name, name));
+  }
+
+  // ---- Drawing ----
+
+  const toPixel = (latlng) => [
+    Math.round(Math.min(IMAGE_WIDTH, Math.max(0, latlng.lng))),
+    Math.round(Math.min(IMAGE_HEIGHT, Math.max(0, latlng.lat)))
+  ];
+
+  function pathFor(item) {
+    if (item.type === "curve" && item.points.length >= 2) {
+      return catmullRomToBezierPath(item.points, item.tension ?? EDITOR_DEFAULT_TENSION, XY);
+    }
+    return null;
+  }
+
+  function drawPreview(i) {
+    const item = items[i];
+    const style = {
+      color: i === current ? "#3498db" : item.kind === "lift" ? "#34495e" : "#7f8c8d",
+      weight: item.kind === "lift" ? 6 : 4,
+      opacity: i === current ? 0.95 : 0.6
+    };
+
+    previews[i]?.remove();
+    const path = pathFor(item);
+    const layer = path
+      ? L.curve(path, style)
+      : L.polyline(item.points.map(([x, y]) => XY(x, y)), style);
+    layer.bindTooltip(item.name || "(unnamed)", { sticky: true });
+    layer.on("click", (e) => {
+      if (adding) return;
+      L.DomEvent.stopPropagation(e);
+      select(i);
+    });
+    previews[i] = layer.addTo(map);
+  }
+
+  function drawMarkers() {
+    for (const m of markers) m.remove();
+    markers = [];
+    const item = items[current];
+    if (!item) return;
+
+    item.points.forEach(([x, y], p) => {
+      const marker = L.marker(XY(x, y), {
+        draggable: true,
+        icon: L.divIcon({ className: "ed-point", iconSize: [12, 12], html: p === 0 ? "●" : "" }),
+        title: `#${p + 1}`
+      }).addTo(map);
+
+      marker.on("drag", (e) => {
+        item.points[p] = toPixel(e.latlng);
+        showCoords(item.points[p]);
+        drawPreview(current);
+      });
+      marker.on("dragend", () => changed());
+      marker.on("contextmenu", () => {
+        item.points.splice(p, 1);
+        changed();
+        drawMarkers();
+      });
+      markers.push(marker);
+    });
+  }
+
+  function showCoords([x, y]) {
+    $("ed-coords").textContent = `[${x}, ${y}]`;
+  }
+
+  // ---- State ----
+
+  function renderList() {
+    const list = $("ed-items");
+    list.replaceChildren(...items.map((item, i) => {
+      const label = `${item.kind === "lift" ? "🚡" : "⛷"} ${item.name || "(unnamed)"} · ${item.type} · ${item.points.length} pts`;
+      return new Option(label, String(i), false, i === current);
+    }));
+  }
+
+  function renderFields() {
+    const item = items[current];
+    for (const id of ["ed-kind", "ed-name", "ed-tension", "ed-add", "ed-undo", "ed-reverse", "ed-delete"]) {
+      $(id).disabled = !item;
+    }
+    $("ed-kind").value = item?.kind ?? "trail";
+    $("ed-name").value = item?.name ?? "";
+    $("ed-tension-row").hidden = item?.type !== "curve";
+    $("ed-tension").value = item?.tension ?? EDITOR_DEFAULT_TENSION;
+    $("ed-tension-value").textContent = item?.type === "curve" ? Number(item.tension).toFixed(2) : "";
+    $("ed-add").textContent = adding ? "Done adding" : "Add points";
+    map.getContainer().style.cursor = adding ? "crosshair" : "";
+  }
+
+  function select(i) {
+    const prev = current;
+    current = i;
+    adding = false;
+    if (prev !== null && items[prev]) drawPreview(prev);
+    if (items[i]) drawPreview(i);
+    drawMarkers();
+    renderList();
+    renderFields();
+  }
+
+  // Fields aren't re-rendered here: that would move the caret while typing a name
+  function changed() {
+    saveDraft();
+    if (items[current]) drawPreview(current);
+    renderList();
+    if (items[current]?.type === "curve") $("ed-tension-value").textContent = Number(items[current].tension).toFixed(2);
+    $("ed-errors").textContent = "";
+  }
+
+  function redrawAll() {
+    for (const layer of previews) layer?.remove();
+    previews = [];
+    items.forEach((_, i) => drawPreview(i));
+    drawMarkers();
+    renderList();
+    renderFields();
+  }
+
+  // ---- Validation + export ----
+
+  function validate() {
+    const errors = [];
+    const seen = new Set();
+    items.forEach((item, i) => {
+      const label = item.name || `item ${i + 1}`;
+      if (!item.name?.trim()) errors.push(`${label}: needs a name`);
+      if (!["lift", "trail"].includes(item.kind)) errors.push(`${label}: kind must be lift or trail`);
+      if (item.points.length < 2) errors.push(`${label}: needs at least 2 points`);
+      if (item.points.some(([x, y]) => x < 0 || x > IMAGE_WIDTH || y < 0 || y > IMAGE_HEIGHT)) {
+        errors.push(`${label}: points outside the ${IMAGE_WIDTH}×${IMAGE_HEIGHT} image`);
+      }
+      const key = `${item.kind}/${item.name}`;
+      if (seen.has(key)) errors.push(`${label}: duplicate ${item.kind} name`);
+      seen.add(key);
+    });
+    return errors;
+  }
+
+  // Same layout as the hand-written files: one [x, y] per line
+  function formatJson(obj) {
+    return JSON.stringify(obj, null, 2)
+      .replace(/\[\s+(-?\d+(?:\.\d+)?),\s+(-?\d+(?:\.\d+)?)\s+\]/g, "[$1, $2]") + "\n";
+  }
+
+  function download(filename, text) {
+    const a = document.createElement("a");
+    a.href = URL.createObjectURL(new Blob([text], { type: "application/json" }));
+    a.download = filename;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+  }
+
+  function exportFile(type) {
+    const errors = validate();
+    if (errors.length) {
+      $("ed-errors").textContent = errors.join("\n");
+      return;
+    }
+
+    if (type === "curve") {
+      const curves = items.filter(i => i.type === "curve").map(i => ({
+        kind: i.kind, name: i.name.trim(), ...(i.area ? { area: i.area } : {}), tension: Number(i.tension), points: i.points
+      }));
+      download("curves.json", formatJson({ curves }));
+    } else {
+      const features = items.filter(i => i.type === "line").map(i => ({
+        type: "Feature",
+        properties: { kind: i.kind, name: i.name.trim(), ...(i.area ? { area: i.area } : {}) },
+        geometry: { type: "LineString", coordinates: i.points }
+      }));
+      download("overlays.geojson", formatJson({ type: "FeatureCollection", features }));
+    }
+  }
+
+  // ---- Wiring ----
+
+  $("ed-items").onchange = (e) => select(Number(e.target.value));
+
+  const addItem = (type) => {
+    items.push({ type, kind: "trail", name: "", ...(type === "curve" ? { tension: EDITOR_DEFAULT_TENSION } : {}), points: [] });
+    select(items.length - 1);
+    adding = true;
+    renderFields();
+    saveDraft();
+  };
+  $("ed-new-curve").onclick = () => addItem("curve");
+  $("ed-new-line").onclick = () => addItem("line");
+
+  $("ed-delete").onclick = () => {
+    const item = items[current];
+    if (!item || !confirm(`Delete ${item.name || "this overlay"}?`)) return;
+    items.splice(current, 1);
+    current = null;
+    saveDraft();
+    redrawAll();
+  };
+
+  $("ed-kind").onchange = (e) => { items[current].kind = e.target.value; changed(); };
+  $("ed-name").oninput = (e) => { items[current].name = e.target.value; changed(); };
+  $("ed-tension").oninput = (e) => { items[current].tension = Number(e.target.value); changed(); };
+
+  $("ed-add").onclick = () => { adding = !adding; renderFields(); };
+  $("ed-undo").onclick = () => { items[current].points.pop(); changed(); drawMarkers(); };
+  $("ed-reverse").onclick = () => { items[current].points.reverse(); changed(); drawMarkers(); };
+
+  $("ed-export-curves").onclick = () => exportFile("curve");
+  $("ed-export-geojson").onclick = () => exportFile("line");
+
+  $("ed-reset").onclick = () => {
+    if (!confirm("Discard the draft and start again from the published files?")) return;
+    localStorage.removeItem(EDITOR_DRAFT_KEY);
+    location.reload();
+  };
+
+  map.on("click", (e) => {
+    const pt = toPixel(e.latlng);
+    showCoords(pt);
+    if (!adding || !items[current]) return;
+    items[current].points.push(pt);
+    changed();
+    drawMarkers();
+  });
+
+  map.on("mousemove", (e) => showCoords(toPixel(e.latlng)));
+
+  redrawAll();
+}
@@ -0,0 +1,198 @@
+// i18n.js
+// Message formatting for the catalogs in locales/<language>.json, shared by the map
+// (index.html loads it as a classic script: these become globals) and the caption code
+// (scripts/lib/i18n.mjs requires it as CommonJS).
+//
+// Messages use the ICU MessageFormat subset we need:
+//   {name}                                    a value (numbers formatted for the locale)
+//   {count, plural, one {# run} other {# runs}}   Intl.PluralRules categories, =N exact
+//   {kind, select, lift {chair} other {run}}
+// "#" is the plural's number; '' is an apostrophe and '{...}' quotes braces, as in ICU.
+
+(function (root) {
+  const DEFAULT_LANGUAGE = "en";
+
+  // Languages with a catalog, in switcher order (native names)
+  const LANGUAGES = { en: "English", fr: "Français", zh: "中文" };
+
+  const parsed = new Map();
+
+  function parseMessage(pattern) {
+    if (parsed.has(pattern)) return parsed.get(pattern);
+    let i = 0;
+
+    const fail = (why) => { throw new Error(`Bad message "${pattern}": ${why} at ${i}`); };
+    const skipSpace = () => { while (/\s/.test(pattern[i] ?? "")) i++; };
+    const readUntil = (re) => {
+      const start = i;
+      while (i < pattern.length && !re.test(pattern[i])) i++;
+      return pattern.slice(start, i);
+    };
+
+    // -> [string | { type, ... }] up to an unmatched "}" (or the end)
+    function parseParts(inPlural) {
+      const parts = [];
+      let text = "";
+      const flush = () => { if (text) parts.push(text); text = ""; };
+
+      while (i < pattern.length) {
+        const c = pattern[i];
+        if (c === "'") {
+          const next = pattern[i + 1];
+          if (next === "'") {
+            text += "'";
+            i += 2;
+          } else if (next === "{" || next === "}" || (inPlural && next === "#")) {
+            const end = pattern.indexOf("'", i + 1);
+            text += pattern.slice(i + 1, end === -1 ? pattern.length : end);
+            i = end === -1 ? pattern.length : end + 1;
+          } else {
+            text += c;
+            i++;
+          }
+        } else if (c === "{") {
+          flush();
+          i++;
+          parts.push(parseArgument(inPlural));
+        } else if (c === "}") {
+          break;
+        } else if (c === "#" && inPlural) {
+          flush();
+          parts.push({ type: "#" });
+          i++;
+        } else {
+          text += c;
+          i++;
+        }
+      }
+      flush();
+      return parts;
+    }
+
+    function parseArgument(inPlural) {
+      skipSpace();
+      const name = readUntil(/[\s,}]/);
+      if (!name) fail("argument without a name");
+      skipSpace();
+      if (pattern[i] === "}") {
+        i++;
+        return { type: "arg", name };
+      }
+      if (pattern[i] !== ",") fail(`expected "," or "}" after ${name}`);
+      i++;
+      skipSpace();
+      const type = readUntil(/[\s,}]/);
+      skipSpace();
+
+      if (type === "plural" || type === "select") {
+        if (pattern[i] !== ",") fail(`expected "," after ${type}`);
+        i++;
+        const options = {};
+        let offset = 0;
+        for (;;) {
+          skipSpace();
+          if (i >= pattern.length) fail("unclosed argument");
+          if (pattern[i] === "}") break;
+          const key = readUntil(/[\s{]/);
+          if (type === "plural" && key.startsWith("offset:")) {
+            offset = Number(key.slice("offset:".length));
+            continue;
+          }
+          skipSpace();
+          if (pattern[i] !== "{") fail(`expected "{" after ${key}`);
+          i++;
+          options[key] = parseParts(type === "plural" || inPlural);
+          if (pattern[i] !== "}") fail(`unclosed option ${key}`);
+          i++;
+        }
+        i++;
+        if (!options.other) fail(`${type} needs an "other" option`);
+        return { type, name, options, offset };
+      }
+
+      if (type !== "number") fail(`unknown argument type "${type}"`);
+      if (pattern[i] === ",") readUntil(/}/); // number styles: the locale's default is enough
+      if (pattern[i] !== "}") fail("unclosed argument");
+      i++;
+      return { type: "number", name };
+    }
+
+    const parts = parseParts(false);
+    if (i < pattern.length) fail('unmatched "}"');
+    parsed.set(pattern, parts);
+    return parts;
+  }
+
+  function formatParts(parts, values, locale, plural) {
+    const number = (n) => new Intl.NumberFormat(locale).format(n);
+    let out = "";
+    for (const part of parts) {
+      if (typeof part === "string") {
+        out += part;
+      } else if (part.type === "#") {
+        out += plural === undefined ? "#" : number(plural);
+      } else if (part.type === "arg" || part.type === "number") {
+        const v = values?.[part.name];
+        out += v === undefined || v === null ? `{${part.name}}` : typeof v === "number" ? number(v) : String(v);
+      } else if (part.type === "plural") {
+        const n = Number(values?.[part.name]);
+        const option = part.options[`=${n}`] ??
+          part.options[new Intl.PluralRules(locale).select(n - part.offset)] ??
+          part.options.other;
+        out += formatParts(option, values, locale, n - part.offset);
+      } else {
+        const option = part.options[String(values?.[part.name])] ?? part.options.other;
+        out += formatParts(option, values, locale, plural);
+      }
+    }
+    return out;
+  }
+
+  function formatMessage(pattern, values = {}, locale = DEFAULT_LANGUAGE) {
+    return formatParts(parseMessage(pattern), values, locale);
+  }
+
+  // Argument names used by a message (the catalog check compares them across languages)
+  function messageArguments(pattern) {
+    const names = new Set();
+    const walk = (parts) => {
+      for (const part of parts) {
+        if (typeof part === "string" || part.type === "#") continue;
+        names.add(part.name);
+        for (const option of Object.values(part.options ?? {})) walk(option);
+      }
+    };
+    walk(parseMessage(pattern));
+    return names;
+  }
+
+  // catalogs: { en: { locale, messages }, fr: ... } -> t(key, values). Missing keys fall
+  // back to the default language, then to the key itself.
+  function createTranslator(catalogs, language) {
+    const fallback = catalogs[DEFAULT_LANGUAGE];
+    const catalog = catalogs[language] ?? fallback;
+    const t = (key, values) => {
+      if (catalog?.messages && key in catalog.messages) return formatMessage(catalog.messages[key], values, catalog.locale);
+      if (fallback?.messages && key in fallback.messages) return formatMessage(fallback.messages[key], values, fallback.locale);
+      return key;
+    };
+    t.language = catalogs[language] ? language : DEFAULT_LANGUAGE;
+    t.locale = catalog?.locale ?? DEFAULT_LANGUAGE;
+    return t;
+  }
+
+  // Preferred language tags (navigator.languages) -> the first one we have
+  function pickLanguage(preferred = [], available = Object.keys(LANGUAGES)) {
+    for (const tag of preferred) {
+      const lower = String(tag).toLowerCase();
+      if (available.includes(lower)) return lower;
+      const base = lower.split("-")[0];
+      if (available.includes(base)) return base;
+    }
+    return DEFAULT_LANGUAGE;
+  }
+
+  const api = { DEFAULT_LANGUAGE, LANGUAGES, formatMessage, messageArguments, createTranslator, pickLanguage };
+  if (typeof module === "object" && module.exports) module.exports = api;
+  else Object.assign(root, api);
+})(this);
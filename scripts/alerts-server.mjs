@@ -0,0 +1,302 @@
+// scripts/alerts-server.mjs
+// Small self-hostable API that owns the subscriber list for `cypress-status post alerts`.
+// Emails and push endpoints are personal data, so they stay in ALERTS_DB on this
+// server rather than in the public data branch.
+//
+//   ALERTS_SECRET=... ALERTS_ADMIN_TOKEN=... ALERTS_ORIGIN=https://harrmony.github.io \
+//     node scripts/alerts-server.mjs [--port 8788]
+//
+//   POST   /subscribe            { resort, channel, email | push, items, transitions, daily_limit }
+//   GET    /confirm?id=&sig=     (the link in the confirmation email) a page that confirms with a POST
+//   POST   /confirm?id=&sig=     that form
+//   GET    /unsubscribe?id=&sig= (the link in every alert) a page that confirms with a POST
+//   POST   /unsubscribe?id=&sig= that form, and mail clients' one-click unsubscribe (RFC 8058)
+//   GET    /vapid-public-key     for the map's Web Push subscribe
+//   GET    /subscriptions        admin (Bearer ALERTS_ADMIN_TOKEN), read by post alerts
+//   DELETE /subscriptions/<id>   admin, post alerts drops dead push endpoints
+//
+// ALERTS_ORIGIN is the map's origin, the only page browsers let call /subscribe.
+//
+// Email subscriptions stay pending (confirmed_at null, skipped by post alerts) until the
+// link in a confirmation email is followed, so nobody can sign up someone else's
+// address; unconfirmed ones are dropped after PENDING_HOURS. Sending it needs SMTP_URL,
+// ALERTS_FROM and ALERTS_API_URL (this server's public URL); without them only Web Push
+// is offered. /subscribe also takes at most SUBSCRIBE_LIMIT requests per client per hour
+// (the client is the first X-Forwarded-For address when ALERTS_TRUST_PROXY=1).
+import http from "node:http";
+import crypto from "node:crypto";
+import fs from "node:fs/promises";
+import { loadResorts } from "./lib/resorts.mjs";
+import { getMappedNames } from "./lib/pipeline.mjs";
+import {
+  validateSubscription, newSubscriptionId, checkUnsubscribeSig, checkConfirmSig, confirmUrl,
+  buildConfirmation, buildSenders
+} from "./lib/alerts.mjs";
+
+const MAX_BODY_BYTES = 16 * 1024;
+const MAX_SUBSCRIPTIONS_PER_ADDRESS = 10;
+// Confirmation emails one address can have waiting
+const MAX_PENDING_PER_ADDRESS = 2;
+const PENDING_HOURS = 48;
+const SUBSCRIBE_LIMIT = { max: 5, windowMs: 60 * 60 * 1000 };
+
+function argValue(flag, fallback) {
+  const i = process.argv.indexOf(flag);
+  return i !== -1 ? process.argv[i + 1] : fallback;
+}
+
+const PORT = Number(argValue("--port", process.env.PORT ?? 8788));
+const DB_FILE = process.env.ALERTS_DB ?? "subscriptions.json";
+const SECRET = process.env.ALERTS_SECRET;
+const ADMIN_TOKEN = process.env.ALERTS_ADMIN_TOKEN;
+const ORIGIN = process.env.ALERTS_ORIGIN;
+const API_URL = process.env.ALERTS_API_URL;
+const TRUST_PROXY = /^(1|true)$/i.test(process.env.ALERTS_TRUST_PROXY ?? "");
+
+if (!SECRET || !ADMIN_TOKEN || !ORIGIN) {
+  console.error("ALERTS_SECRET, ALERTS_ADMIN_TOKEN and ALERTS_ORIGIN are required");
+  process.exit(1);
+}
+
+// Confirmation emails go through the same sender as the alerts
+const senders = await buildSenders(process.env);
+const sendEmail = API_URL && typeof senders.email === "function" ? senders.email : null;
+if (!sendEmail) console.log("[alerts-server] Email subscriptions off (needs SMTP_URL, ALERTS_FROM, ALERTS_API_URL)");
+
+async function readDb() {
+  try {
+    return JSON.parse(await fs.readFile(DB_FILE, "utf8"));
+  } catch {
+    return { subscriptions: [] };
+  }
+}
+
+// Writes go through one promise chain so concurrent requests can't lose updates
+let queue = Promise.resolve();
+function updateDb(fn) {
+  const run = queue.then(async () => {
+    const db = await readDb();
+    const result = await fn(db);
+    await fs.writeFile(`${DB_FILE}.tmp`, JSON.stringify(db, null, 2));
+    await fs.rename(`${DB_FILE}.tmp`, DB_FILE);
+    return result;
+  });
+  queue = run.catch(() => {});
+  return run;
+}
+
+// resort id -> { resort, names: { lift: Set, trail: Set } of names drawn on the map }
+const resorts = new Map();
+for (const resort of await loadResorts()) {
+  const { mappedLifts, mappedTrails } = await getMappedNames(resort);
+  resorts.set(resort.id, { resort, names: { lift: mappedLifts, trail: mappedTrails } });
+}
+
+function send(res, status, body, type = "application/json", headers = {}) {
+  res.writeHead(status, {
+    "content-type": type,
+    "access-control-allow-origin": ORIGIN,
+    "access-control-allow-methods": "GET, POST, OPTIONS",
+    "access-control-allow-headers": "content-type",
+    vary: "origin",
+    ...headers
+  });
+  res.end(type === "application/json" ? JSON.stringify(body) : body);
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = "";
+    req.on("data", (c) => {
+      body += c;
+      if (body.length > MAX_BODY_BYTES) {
+        reject(new Error("body too large"));
+        req.destroy();
+      }
+    });
+    req.on("end", () => resolve(body));
+    req.on("error", reject);
+  });
+}
+
+function isAdmin(req) {
+  const expected = Buffer.from(`Bearer ${ADMIN_TOKEN}`);
+  const actual = Buffer.from(String(req.headers.authorization ?? ""));
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// Fixed window per key; -> seconds until the key may try again, 0 if this request is allowed
+function rateLimiter({ max, windowMs }) {
+  const windows = new Map(); // key -> { start, count }
+  return (key, now = Date.now()) => {
+    for (const [k, w] of windows) if (now - w.start >= windowMs) windows.delete(k);
+    const w = windows.get(key) ?? { start: now, count: 0 };
+    windows.set(key, w);
+    if (w.count >= max) return Math.ceil((w.start + windowMs - now) / 1000);
+    w.count++;
+    return 0;
+  };
+}
+
+const subscribeLimit = rateLimiter(SUBSCRIBE_LIMIT);
+
+function clientAddress(req) {
+  const forwarded = TRUST_PROXY ? String(req.headers["x-forwarded-for"] ?? "").split(",")[0].trim() : "";
+  return forwarded || req.socket.remoteAddress;
+}
+
+const addressOf = (s) => s.email?.toLowerCase() ?? s.push?.endpoint;
+
+const escapeHtml = (s) => String(s).replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+
+function page(res, status, body) {
+  send(res, status, `<!doctype html><meta charset="utf-8"><meta name="viewport" content="width=device-width"><title>Alerts</title>${body}`, "text/html; charset=utf-8");
+}
+
+const routes = {
+  "POST /subscribe": async (req, res) => {
+    const wait = subscribeLimit(clientAddress(req));
+    if (wait) return send(res, 429, { errors: ["too many requests, try again later"] }, "application/json", { "retry-after": String(wait) });
+
+    let body;
+    try {
+      body = JSON.parse(await readBody(req));
+    } catch {
+      return send(res, 400, { errors: ["body: not JSON"] });
+    }
+
+    const known = resorts.get(body?.resort ?? "cypress");
+    if (!known) return send(res, 400, { errors: [`resort: unknown "${body?.resort}"`] });
+
+    const { errors, sub } = validateSubscription(body, known.names);
+    if (errors.length) return send(res, 400, { errors });
+    if (sub.channel === "email" && !sendEmail) return send(res, 400, { errors: ["email: not available here, use browser notifications"] });
+
+    const now = new Date();
+    const { entry: created, error } = await updateDb((db) => {
+      const expired = now.getTime() - PENDING_HOURS * 60 * 60 * 1000;
+      db.subscriptions = db.subscriptions.filter(s => s.confirmed_at !== null || Date.parse(s.created_at) > expired);
+
+      const same = db.subscriptions.filter(s => addressOf(s) === addressOf(sub));
+      if (same.length >= MAX_SUBSCRIPTIONS_PER_ADDRESS) return { error: `at most ${MAX_SUBSCRIPTIONS_PER_ADDRESS} subscriptions per address` };
+      if (same.filter(s => s.confirmed_at === null).length >= MAX_PENDING_PER_ADDRESS) {
+        return { error: "a confirmation email is already waiting for this address" };
+      }
+
+      // A push endpoint comes from the visitor's own browser, so only an email needs confirming
+      const entry = {
+        id: newSubscriptionId(),
+        created_at: now.toISOString(),
+        ...sub,
+        confirmed_at: sub.channel === "email" ? null : now.toISOString()
+      };
+      db.subscriptions.push(entry);
+      return { entry };
+    });
+
+    if (error) return send(res, 429, { errors: [error] });
+
+    if (created.channel === "email") {
+      try {
+        await sendEmail(created, buildConfirmation(known.resort, created, confirmUrl(API_URL, SECRET, created.id)));
+      } catch (err) {
+        console.error(`[subscribe] ${created.id}: confirmation email failed: ${err.message}`);
+        await updateDb((db) => {
+          db.subscriptions = db.subscriptions.filter(s => s.id !== created.id);
+        });
+        return send(res, 502, { errors: ["email: couldn't send the confirmation, try again later"] });
+      }
+    }
+
+    console.log(`[subscribe] ${created.id} (${created.channel}, ${created.items.length} item(s)${created.confirmed_at ? "" : ", pending"})`);
+    send(res, created.confirmed_at ? 201 : 202, { id: created.id, pending: !created.confirmed_at });
+  },
+
+  // Only shows a button, like /unsubscribe below
+  "GET /confirm": async (req, res, url) => {
+    const id = url.searchParams.get("id");
+    const sig = url.searchParams.get("sig");
+    if (!checkConfirmSig(SECRET, id, sig)) return page(res, 403, "<p>This confirmation link is not valid.</p>");
+
+    const action = `confirm?id=${encodeURIComponent(id)}&sig=${encodeURIComponent(sig)}`;
+    page(res, 200, `<form method="post" action="${escapeHtml(action)}"><p>Start sending these alerts?</p><button type="submit">Confirm</button></form>`);
+  },
+
+  "POST /confirm": async (req, res, url) => {
+    await readBody(req);
+    const id = url.searchParams.get("id");
+    if (!checkConfirmSig(SECRET, id, url.searchParams.get("sig"))) return page(res, 403, "<p>This confirmation link is not valid.</p>");
+
+    const found = await updateDb((db) => {
+      const entry = db.subscriptions.find(s => s.id === id);
+      if (entry && !entry.confirmed_at) entry.confirmed_at = new Date().toISOString();
+      return Boolean(entry);
+    });
+    if (!found) return page(res, 404, "<p>This subscription has expired or was removed. Subscribe again from the map.</p>");
+    console.log(`[confirm] ${id}`);
+    page(res, 200, "<p>You're subscribed. Every alert has an unsubscribe link.</p>");
+  },
+
+  // Only shows a button: mail scanners and link prefetchers open links with GET
+  "GET /unsubscribe": async (req, res, url) => {
+    const id = url.searchParams.get("id");
+    const sig = url.searchParams.get("sig");
+    if (!checkUnsubscribeSig(SECRET, id, sig)) return page(res, 403, "<p>This unsubscribe link is not valid.</p>");
+
+    const action = `unsubscribe?id=${encodeURIComponent(id)}&sig=${encodeURIComponent(sig)}`;
+    page(res, 200, `<form method="post" action="${escapeHtml(action)}"><p>Stop all alerts from this subscription?</p><button type="submit">Unsubscribe</button></form>`);
+  },
+
+  // The form above, or a mail client's one-click POST (body "List-Unsubscribe=One-Click")
+  "POST /unsubscribe": async (req, res, url) => {
+    await readBody(req);
+    const id = url.searchParams.get("id");
+    if (!checkUnsubscribeSig(SECRET, id, url.searchParams.get("sig"))) return page(res, 403, "<p>This unsubscribe link is not valid.</p>");
+
+    await updateDb((db) => {
+      db.subscriptions = db.subscriptions.filter(s => s.id !== id);
+    });
+    console.log(`[unsubscribe] ${id}`);
+    page(res, 200, "<p>You're unsubscribed. No more alerts will be sent.</p>");
+  },
+
+  "GET /vapid-public-key": (req, res) => {
+    if (!process.env.VAPID_PUBLIC_KEY) return send(res, 404, { error: "Web Push not configured" });
+    send(res, 200, { key: process.env.VAPID_PUBLIC_KEY });
+  },
+
+  "GET /subscriptions": async (req, res) => {
+    if (!isAdmin(req)) return send(res, 401, { error: "unauthorized" });
+    send(res, 200, await readDb());
+  },
+
+  "DELETE /subscriptions": async (req, res, url, id) => {
+    if (!isAdmin(req)) return send(res, 401, { error: "unauthorized" });
+    const removed = await updateDb((db) => {
+      const before = db.subscriptions.length;
+      db.subscriptions = db.subscriptions.filter(s => s.id !== id);
+      return before - db.subscriptions.length;
+    });
+    send(res, removed ? 200 : 404, { removed });
+  }
+};
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host ?? "localhost"}`);
+  if (req.method === "OPTIONS") return send(res, 204, "", "text/plain");
+
+  const [, first, id] = url.pathname.split("/");
+  const handler = routes[`${req.method} /${first}`];
+  if (!handler) return send(res, 404, { error: "not found" });
+
+  try {
+    await handler(req, res, url, id && decodeURIComponent(id));
+  } catch (err) {
+    console.error(err);
+    if (!res.headersSent) send(res, 500, { error: "internal error" });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`[alerts-server] Listening on http://127.0.0.1:${PORT} (db: ${DB_FILE})`);
+});
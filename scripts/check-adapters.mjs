@@ -0,0 +1,70 @@
+// scripts/check-adapters.mjs
+// Runs every source adapter against its recorded payload in scripts/fixtures/
+// and compares with the expected output, and checks that each adapter's validate()
+// accepts the recording and refuses obviously broken payloads. Exits non-zero on any mismatch.
+//
+//   node scripts/check-adapters.mjs            # check
+//   node scripts/check-adapters.mjs --update   # rewrite *.expected.json
+import fs from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { getAdapter, adapterNames } from "./lib/adapters/index.mjs";
+import { validatePayload } from "./lib/source.mjs";
+
+const FIXTURES_DIR = fileURLToPath(new URL("./fixtures/", import.meta.url));
+const UPDATE = process.argv.includes("--update");
+
+// What a flaky upstream has been seen to return instead of a report
+const BROKEN_PAYLOADS = [null, "<!doctype html>", {}, [], { error: "Service temporarily unavailable" }];
+
+async function readJsonOrNull(p) {
+  try {
+    return JSON.parse(await fs.readFile(p, "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+let failures = 0;
+
+for (const name of adapterNames()) {
+  const payload = await readJsonOrNull(path.join(FIXTURES_DIR, `${name}.payload.json`));
+  if (!payload) {
+    console.error(`[fail] ${name}: missing fixtures/${name}.payload.json`);
+    failures++;
+    continue;
+  }
+
+  const source = (await readJsonOrNull(path.join(FIXTURES_DIR, `${name}.source.json`))) ?? { adapter: name };
+
+  const problems = validatePayload(getAdapter(name), payload, source);
+  if (problems.length) {
+    console.error(`[fail] ${name}: validate() refuses fixtures/${name}.payload.json: ${problems.join("; ")}`);
+    failures++;
+  }
+  for (const broken of BROKEN_PAYLOADS) {
+    if (!validatePayload(getAdapter(name), broken, source).length) {
+      console.error(`[fail] ${name}: validate() accepts ${JSON.stringify(broken)}`);
+      failures++;
+    }
+  }
+  const actual = getAdapter(name).parse(payload, source);
+  const expectedFile = path.join(FIXTURES_DIR, `${name}.expected.json`);
+
+  if (UPDATE) {
+    await fs.writeFile(expectedFile, JSON.stringify(actual, null, 2) + "\n");
+    console.log(`[update] Wrote fixtures/${name}.expected.json`);
+    continue;
+  }
+
+  const expected = await readJsonOrNull(expectedFile);
+  if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+    console.error(`[fail] ${name}: output differs from fixtures/${name}.expected.json`);
+    console.error(JSON.stringify(actual, null, 2));
+    failures++;
+  } else {
+    console.log(`[ok] ${name}: lifts=${actual.lifts.length}, trails=${actual.trails.length}`);
+  }
+}
+
+if (failures) process.exitCode = 1;
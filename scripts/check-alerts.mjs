@@ -0,0 +1,161 @@
+// scripts/check-alerts.mjs
+// Offline test of alert email (lib/alerts.mjs): runs `post alerts` for a fixture
+// changes.json against the in-process SMTP sink (lib/smtp-sink.mjs) and checks the
+// messages that arrive.
+//
+//   node scripts/check-alerts.mjs
+//
+//   delivery      one message per matching confirmed subscription, none for the others
+//   unsubscribe   List-Unsubscribe with a signed link, plus one-click (RFC 8058)
+//   daily limit   a second run over the limit sends nothing
+//   confirmation  the email for a new subscription carries a signed confirm link
+//
+// Exits non-zero on any problem.
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { loadResorts } from "./lib/resorts.mjs";
+import {
+  buildSenders, runAlerts, buildConfirmation, confirmUrl, checkUnsubscribeSig, checkConfirmSig, recipientKey, ALERTS_STATE_FILE
+} from "./lib/alerts.mjs";
+import { CHANGES_FILE } from "./lib/changes.mjs";
+import { smtpSink } from "./lib/smtp-sink.mjs";
+
+const SECRET = "check-secret";
+
+let failures = 0;
+
+async function check(label, fn) {
+  try {
+    await fn();
+    console.log(`[ok] ${label}`);
+  } catch (err) {
+    failures++;
+    console.error(`[fail] ${label}: ${err.message}`);
+  }
+}
+
+function assert(cond, message) {
+  if (!cond) throw new Error(message);
+}
+
+// runAlerts logs every message; this check only reports results
+async function quietly(fn) {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.log = log;
+  }
+}
+
+// Unfolded header value from a raw message
+function header(data, name) {
+  const head = data.split("\r\n\r\n")[0].replace(/\r\n[ \t]+/g, " ");
+  return new RegExp(`^${name}:\\s*(.*)$`, "im").exec(head)?.[1] ?? null;
+}
+
+// Text of a raw single-part message, quoted-printable decoded
+function text(data) {
+  const body = data.split("\r\n\r\n").slice(1).join("\r\n\r\n");
+  if (!/quoted-printable/i.test(header(data, "Content-Transfer-Encoding") ?? "")) return body;
+  return Buffer.from(body.replace(/=\r\n/g, "").replace(/=([0-9A-F]{2})/g, (m, hex) => String.fromCharCode(parseInt(hex, 16))), "latin1").toString("utf8");
+}
+
+async function main() {
+  const [resort] = await loadResorts({ only: "cypress" });
+  const tmp = await fs.mkdtemp(path.join(os.tmpdir(), "check-alerts-"));
+  const dataRoot = path.join(tmp, "data");
+  const dir = path.join(dataRoot, resort.dataDir);
+  await fs.mkdir(dir, { recursive: true });
+
+  const messages = [];
+  const sink = smtpSink((envelope, data) => { messages.push({ envelope, data }); });
+  await new Promise(resolve => sink.listen(0, "127.0.0.1", resolve));
+
+  const env = {
+    SMTP_URL: `smtp://127.0.0.1:${sink.address().port}`,
+    ALERTS_FROM: "alerts@example.test",
+    ALERTS_API_URL: "https://alerts.example.test/api",
+    ALERTS_SECRET: SECRET
+  };
+  const subscriptions = [
+    { id: "sub_fork", channel: "email", email: "fork@example.test", items: [{ kind: "trail", name: "Fork" }], transitions: ["opened"], daily_limit: 1, confirmed_at: "2026-01-10T12:00:00Z" },
+    { id: "sub_eagle", channel: "email", email: "eagle@example.test", items: [{ kind: "lift", name: "Eagle Express" }], transitions: ["any"], confirmed_at: "2026-01-10T12:00:00Z" },
+    { id: "sub_pending", channel: "email", email: "pending@example.test", items: [{ kind: "trail", name: "Fork" }], transitions: ["any"], confirmed_at: null }
+  ];
+  const now = new Date("2026-01-14T19:05:00Z");
+  const changes = [{ id: "c1", at: "2026-01-14T19:00:00Z", kind: "trail", name: "Fork", from: "closed", to: "open" }];
+
+  const writeChanges = () => fs.writeFile(path.join(dir, CHANGES_FILE), JSON.stringify({ updated_at: changes[changes.length - 1].at, changes }));
+  await fs.writeFile(path.join(dir, ALERTS_STATE_FILE), JSON.stringify({ last_change_at: "2026-01-14T18:00:00Z", recipients: {} }));
+  await writeChanges();
+
+  // The sink hands messages over after replying; give it a moment
+  const settle = () => new Promise(resolve => setTimeout(resolve, 100));
+
+  try {
+    const senders = await buildSenders(env);
+
+    await check("delivery: one message to the matching confirmed subscription", async () => {
+      const result = await quietly(() => runAlerts(resort, subscriptions, senders, { env, dataRoot, now }));
+      await settle();
+      assert(result.sent === 1 && result.failed === 0, JSON.stringify(result));
+      assert(messages.length === 1, `${messages.length} message(s)`);
+
+      const { envelope, data } = messages[0];
+      assert(envelope.from === env.ALERTS_FROM && envelope.to.join() === "fork@example.test", `envelope ${JSON.stringify(envelope)}`);
+      assert(header(data, "Subject") === `${resort.name}: Fork opened`, `subject ${header(data, "Subject")}`);
+      assert(/Fork opened/.test(data), "body without the change");
+    });
+
+    await check("unsubscribe: signed List-Unsubscribe with one-click", async () => {
+      const { data } = messages[0];
+      const link = /^<(.+)>$/.exec(header(data, "List-Unsubscribe") ?? "")?.[1];
+      assert(link, `List-Unsubscribe ${header(data, "List-Unsubscribe")}`);
+
+      const url = new URL(link);
+      assert(url.href.startsWith(`${env.ALERTS_API_URL}/unsubscribe?`), `link ${link}`);
+      assert(url.searchParams.get("id") === "sub_fork" && checkUnsubscribeSig(SECRET, "sub_fork", url.searchParams.get("sig")), `link ${link}`);
+      assert(header(data, "List-Unsubscribe-Post") === "List-Unsubscribe=One-Click", `List-Unsubscribe-Post ${header(data, "List-Unsubscribe-Post")}`);
+    });
+
+    await check("daily limit: the next change the same day isn't sent", async () => {
+      changes.push({ id: "c2", at: "2026-01-14T19:30:00Z", kind: "trail", name: "Fork", from: "closed", to: "open" });
+      await writeChanges();
+
+      const result = await quietly(() => runAlerts(resort, subscriptions, senders, { env, dataRoot, now: new Date("2026-01-14T19:35:00Z") }));
+      await settle();
+      assert(result.sent === 0 && result.limited === 1, JSON.stringify(result));
+      assert(messages.length === 1, `${messages.length} message(s)`);
+
+      const state = JSON.parse(await fs.readFile(path.join(dir, ALERTS_STATE_FILE), "utf8"));
+      assert(state.recipients[recipientKey(subscriptions[0], SECRET)]?.suppressed === 1, JSON.stringify(state.recipients));
+    });
+
+    await check("confirmation: a signed confirm link, no unsubscribe header", async () => {
+      const sub = subscriptions[2];
+      await senders.email(sub, buildConfirmation(resort, sub, confirmUrl(env.ALERTS_API_URL, SECRET, sub.id)));
+      await settle();
+      const { envelope, data } = messages[messages.length - 1];
+      assert(envelope.to.join() === "pending@example.test", `envelope ${JSON.stringify(envelope)}`);
+      assert(header(data, "List-Unsubscribe") === null, "List-Unsubscribe on a confirmation");
+
+      const link = /^Confirm: (\S+)$/m.exec(text(data))?.[1];
+      const url = link && new URL(link);
+      assert(url?.href.startsWith(`${env.ALERTS_API_URL}/confirm?`), `link ${link}`);
+      assert(url.searchParams.get("id") === "sub_pending" && checkConfirmSig(SECRET, "sub_pending", url.searchParams.get("sig")), `link ${link}`);
+    });
+  } finally {
+    await new Promise(resolve => sink.close(resolve));
+    await fs.rm(tmp, { recursive: true, force: true });
+  }
+
+  if (failures) process.exitCode = 1;
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exitCode = 1;
+});
@@ -0,0 +1,91 @@
+// scripts/check-api.mjs
+// Contract test for the public API (api/v1/, lib/api.mjs): every file must match its
+// JSON Schema in schemas/api/v1/, and the files must agree with each other.
+//
+//   node scripts/check-api.mjs            # replay every fixture scenario, check what it writes
+//   node scripts/check-api.mjs --dir .    # check api/v1/ in a data dir
+//
+// Run it after touching lib/pipeline.mjs or lib/api.mjs: a field that changes
+// shape fails here before it reaches anyone hot-linking the files. Exits non-zero on any problem.
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { loadResorts, dataPath } from "./lib/resorts.mjs";
+import { getMappedNames } from "./lib/pipeline.mjs";
+import { API_DIR } from "./lib/api.mjs";
+import { loadSchemas } from "./lib/json-schema.mjs";
+import { SCHEMA_DIR, checkApiContract } from "./lib/api-contract.mjs";
+import { loadSteps, copyDir, replaySteps } from "./lib/replay.mjs";
+
+const REPLAY_DIR = fileURLToPath(new URL("./fixtures/replay/", import.meta.url));
+
+let failures = 0;
+
+function report(label, errors) {
+  if (errors.length) {
+    failures++;
+    console.error(`[fail] ${label}`);
+    for (const e of errors.slice(0, 20)) console.error(`  - ${e}`);
+    if (errors.length > 20) console.error(`  … and ${errors.length - 20} more`);
+  } else {
+    console.log(`[ok] ${label}`);
+  }
+}
+
+async function checkApiDir(apiDir, schemas, label, mapped = null) {
+  const { errors, days } = await checkApiContract(apiDir, schemas, mapped);
+  report(`${label} (${days} history day(s))`, errors);
+}
+
+async function checkFixtures(schemas) {
+  const [configured] = await loadResorts({ only: "cypress" });
+  const resort = { ...configured, dataDir: "." };
+  const { mappedLifts, mappedTrails } = await getMappedNames(resort);
+
+  for (const name of (await fs.readdir(REPLAY_DIR)).sort()) {
+    const dir = path.join(REPLAY_DIR, name);
+    const workDir = await fs.mkdtemp(path.join(os.tmpdir(), `check-api-${name}-`));
+    await copyDir(path.join(dir, "initial"), workDir);
+
+    // The pipeline's own logging isn't what this check is about
+    const log = console.log;
+    console.log = () => {};
+    try {
+      await replaySteps(resort, await loadSteps(dir), workDir);
+    } finally {
+      console.log = log;
+    }
+
+    await checkApiDir(path.join(workDir, API_DIR), schemas, `replay/${name}`, { lifts: mappedLifts, trails: mappedTrails });
+    await fs.rm(workDir, { recursive: true, force: true });
+  }
+}
+
+async function main() {
+  const schemas = await loadSchemas(SCHEMA_DIR);
+
+  const i = process.argv.indexOf("--dir");
+  if (i !== -1) {
+    const root = process.argv[i + 1] ?? ".";
+    for (const resort of await loadResorts()) {
+      const apiDir = dataPath(resort, API_DIR, root);
+      try {
+        await fs.access(path.join(apiDir, "status.json"));
+      } catch {
+        console.log(`[skip] ${resort.id}: no ${API_DIR}/status.json yet`);
+        continue;
+      }
+      await checkApiDir(apiDir, schemas, `${resort.id}: ${API_DIR}`);
+    }
+  } else {
+    await checkFixtures(schemas);
+  }
+
+  if (failures) process.exitCode = 1;
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exitCode = 1;
+});
@@ -0,0 +1,90 @@
+// scripts/check-feeds.mjs
+// Validates feed.json (JSON Feed 1.1) and feed.xml (Atom 1.0) against the spec shapes.
+//
+//   node scripts/check-feeds.mjs            # build feeds from the replay fixtures' events
+//   node scripts/check-feeds.mjs --dir .    # check the feeds in a data dir
+//
+// The fixture mode also re-adds every event to make sure entry ids stay stable
+// (no duplicates, byte-identical output). Exits non-zero on any problem.
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { loadResorts } from "./lib/resorts.mjs";
+import { JSON_FEED_FILE, ATOM_FILE, updateFeeds } from "./lib/feeds.mjs";
+import { validateJsonFeed, validateAtom } from "./lib/feed-validate.mjs";
+
+const REPLAY_DIR = fileURLToPath(new URL("./fixtures/replay/", import.meta.url));
+
+let failures = 0;
+
+function report(label, errors) {
+  if (errors.length) {
+    failures++;
+    console.error(`[fail] ${label}`);
+    for (const e of errors) console.error(`  - ${e}`);
+  } else {
+    console.log(`[ok] ${label}`);
+  }
+}
+
+async function checkDir(dir) {
+  const jsonText = await fs.readFile(path.join(dir, JSON_FEED_FILE), "utf8");
+  let json;
+  try {
+    json = JSON.parse(jsonText);
+  } catch (err) {
+    report(path.join(dir, JSON_FEED_FILE), [`not JSON: ${err.message}`]);
+    json = null;
+  }
+  if (json) report(path.join(dir, JSON_FEED_FILE), validateJsonFeed(json));
+  report(path.join(dir, ATOM_FILE), validateAtom(await fs.readFile(path.join(dir, ATOM_FILE), "utf8")));
+}
+
+async function checkFixtures() {
+  const [resort] = await loadResorts({ only: "cypress" });
+  const workDir = await fs.mkdtemp(path.join(os.tmpdir(), "feeds-"));
+  const files = { jsonFile: path.join(workDir, JSON_FEED_FILE), atomFile: path.join(workDir, ATOM_FILE) };
+
+  const events = [];
+  for (const name of (await fs.readdir(REPLAY_DIR)).sort()) {
+    try {
+      events.push(JSON.parse(await fs.readFile(path.join(REPLAY_DIR, name, "expected", "event.json"), "utf8")));
+    } catch {
+      // scenario without an event
+    }
+  }
+
+  // Empty feed first: still has to be valid
+  await updateFeeds(resort, null, files);
+  await checkDir(workDir);
+
+  for (const event of events) await updateFeeds(resort, event, files);
+  await checkDir(workDir);
+
+  const before = [await fs.readFile(files.jsonFile, "utf8"), await fs.readFile(files.atomFile, "utf8")];
+  for (const event of events) await updateFeeds(resort, event, files);
+  const after = [await fs.readFile(files.jsonFile, "utf8"), await fs.readFile(files.atomFile, "utf8")];
+
+  const items = JSON.parse(after[0]).items;
+  report(`stable ids (${events.length} events → ${items.length} items)`, [
+    ...(items.length !== events.length ? [`expected ${events.length} items, got ${items.length}`] : []),
+    ...(before[0] !== after[0] ? ["feed.json changed when the same events were re-added"] : []),
+    ...(before[1] !== after[1] ? ["feed.xml changed when the same events were re-added"] : [])
+  ]);
+
+  await fs.rm(workDir, { recursive: true, force: true });
+}
+
+async function main() {
+  const i = process.argv.indexOf("--dir");
+  if (i !== -1) await checkDir(process.argv[i + 1] ?? ".");
+  else await checkFixtures();
+
+  if (failures) process.exitCode = 1;
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exitCode = 1;
+});
@@ -0,0 +1,142 @@
+// scripts/check-i18n.mjs
+// Checks the message catalogs in locales/ against each other and against their users.
+//
+//   node scripts/check-i18n.mjs
+//
+// Every language in i18n.js LANGUAGES has a catalog with a valid locale and exactly the
+// English keys; every message parses and uses the same arguments as its English one;
+// every key index.html and the caption code ask for exists; and a sample caption comes
+// out fully filled in, in every language. Exits non-zero on any problem.
+import fs from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import i18n from "../i18n.js";
+import { LOCALES_DIR, loadCatalog, translator } from "./lib/i18n.mjs";
+import { buildCaption } from "./lib/caption.mjs";
+
+const ROOT = fileURLToPath(new URL("../", import.meta.url));
+const { DEFAULT_LANGUAGE, LANGUAGES, messageArguments } = i18n;
+
+let failures = 0;
+
+function report(label, errors) {
+  if (errors.length) {
+    failures++;
+    console.error(`[fail] ${label}`);
+    for (const e of errors) console.error(`  - ${e}`);
+  } else {
+    console.log(`[ok] ${label}`);
+  }
+}
+
+const sameSet = (a, b) => a.size === b.size && [...a].every(x => b.has(x));
+
+function checkCatalog(language, english) {
+  const errors = [];
+  let catalog;
+  try {
+    catalog = loadCatalog(language, ROOT);
+  } catch (err) {
+    report(`${LOCALES_DIR}/${language}.json`, [err.message]);
+    return;
+  }
+
+  try {
+    if (!Intl.getCanonicalLocales(catalog.locale).length) errors.push("no locale");
+  } catch {
+    errors.push(`locale "${catalog.locale}" isn't a language tag`);
+  }
+
+  const messages = catalog.messages ?? {};
+  for (const key of Object.keys(english.messages)) {
+    if (!(key in messages)) errors.push(`missing "${key}"`);
+  }
+  for (const [key, pattern] of Object.entries(messages)) {
+    if (!(key in english.messages)) {
+      errors.push(`"${key}" isn't in ${DEFAULT_LANGUAGE}.json`);
+      continue;
+    }
+    try {
+      const args = messageArguments(pattern);
+      const expected = messageArguments(english.messages[key]);
+      if (!sameSet(args, expected)) {
+        errors.push(`"${key}" uses {${[...args].join(", ")}}, ${DEFAULT_LANGUAGE}.json {${[...expected].join(", ")}}`);
+      }
+    } catch (err) {
+      errors.push(err.message);
+    }
+  }
+  report(`${LOCALES_DIR}/${language}.json (${Object.keys(messages).length} messages)`, errors);
+}
+
+async function checkExtraCatalogs() {
+  const files = await fs.readdir(path.join(ROOT, LOCALES_DIR));
+  const extra = files.filter(f => f.endsWith(".json") && !(f.replace(/\.json$/, "") in LANGUAGES));
+  report("every catalog is in LANGUAGES", extra.map(f => `${LOCALES_DIR}/${f} isn't listed in i18n.js LANGUAGES`));
+}
+
+// Keys named literally in the page and the caption code
+async function checkUsedKeys(english) {
+  const errors = [];
+  const sources = {
+    "index.html": await fs.readFile(path.join(ROOT, "index.html"), "utf8"),
+    "scripts/lib/caption.mjs": await fs.readFile(path.join(ROOT, "scripts/lib/caption.mjs"), "utf8"),
+    "scripts/lib/pipeline.mjs": await fs.readFile(path.join(ROOT, "scripts/lib/pipeline.mjs"), "utf8"),
+    "scripts/lib/conditions.mjs": await fs.readFile(path.join(ROOT, "scripts/lib/conditions.mjs"), "utf8"),
+    "scripts/lib/instagram.mjs": await fs.readFile(path.join(ROOT, "scripts/lib/instagram.mjs"), "utf8")
+  };
+
+  for (const [file, text] of Object.entries(sources)) {
+    const keys = new Set();
+    for (const [, key] of text.matchAll(/\bt\("([\w.-]+)"/g)) keys.add(key);
+    for (const [, key] of text.matchAll(/addBlock\("([\w.-]+)"/g)) keys.add(key);
+    for (const [, key] of text.matchAll(/data-i18n="([\w.-]+)"/g)) keys.add(key);
+    for (const [, pairs] of text.matchAll(/data-i18n-attr="([^"]+)"/g)) {
+      for (const pair of pairs.split(",")) keys.add(pair.split(":")[1]);
+    }
+    for (const key of keys) {
+      if (!(key in english.messages)) errors.push(`${file} uses "${key}", which ${DEFAULT_LANGUAGE}.json doesn't have`);
+    }
+  }
+  report("keys used by the page and the captions", errors);
+}
+
+function checkCaptions() {
+  const changes = { liftsOpened: ["Eagle Express"], trailsOpened: ["Panorama", "Collins"], liftsClosed: [], trailsClosed: ["Bowen"] };
+  const conditions = { snow_24h_cm: 12, base_cm: 182, temperature_c: -4, weather: null };
+  const resort = { name: "Cypress", timeZone: "America/Vancouver" };
+  const errors = [];
+
+  for (const language of Object.keys(LANGUAGES)) {
+    const caption = buildCaption(changes, resort, new Date("2026-01-14T20:00:00Z"), { conditions, language });
+    const t = translator(language, ROOT);
+    if (/[{}]/.test(caption)) errors.push(`${language}: unfilled argument in\n${caption}`);
+    if (!caption.startsWith(t("caption.header", { resort: resort.name }))) errors.push(`${language}: caption doesn't start with its header`);
+    if (caption.split("\n").filter(l => l.startsWith("  • ")).length !== 4) errors.push(`${language}: expected 4 "  • " lines`);
+  }
+
+  // English captions predate the catalogs: moving them into en.json mustn't change a word
+  const english = buildCaption(changes, resort, new Date("2026-01-14T20:00:00Z"), { conditions });
+  const expected = [
+    "Cypress Update", "Wednesday, January 14", "❄️ 12 cm new in 24h · Base 182 cm · -4°C", "",
+    "1 new chair open today", "  • Eagle Express", "", "2 new runs open today", "  • Panorama", "  • Collins", "",
+    "1 run closed from today", "  • Bowen"
+  ].join("\n");
+  if (english !== expected) errors.push(`English caption changed:\n${english}`);
+
+  report(`sample caption in ${Object.keys(LANGUAGES).join(", ")}`, errors);
+}
+
+async function main() {
+  const english = loadCatalog(DEFAULT_LANGUAGE, ROOT);
+  for (const language of Object.keys(LANGUAGES)) checkCatalog(language, english);
+  await checkExtraCatalogs();
+  await checkUsedKeys(english);
+  checkCaptions();
+  if (failures) process.exitCode = 1;
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exitCode = 1;
+});
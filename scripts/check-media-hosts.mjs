@@ -0,0 +1,174 @@
+// scripts/check-media-hosts.mjs
+// Offline test of the media hosts (lib/media-hosts/): publishes two small images
+// through each one and checks the content-hash names, the served bytes and pruning.
+//
+//   node scripts/check-media-hosts.mjs
+//
+//   github  into a temp "data checkout", served by a local static server
+//   s3      against the in-process S3 stub (lib/media-hosts/s3-stub.mjs), incl. bad credentials
+//   local   with "port", so it serves the directory itself
+//
+// Exits non-zero on any problem.
+import fs from "node:fs/promises";
+import http from "node:http";
+import os from "node:os";
+import path from "node:path";
+import sharp from "sharp";
+import { resolveMediaHost, publishMedia, pruneMedia, closeMediaHost, hashedName, verifyServed } from "./lib/media-hosts/index.mjs";
+import { serveDir } from "./lib/media-hosts/local.mjs";
+import { s3StubHandler, STUB_S3 } from "./lib/media-hosts/s3-stub.mjs";
+
+const FAST_VERIFY = { maxWaitMs: 2_000, intervalMs: 200 };
+
+let failures = 0;
+
+async function check(label, fn) {
+  try {
+    await fn();
+    console.log(`[ok] ${label}`);
+  } catch (err) {
+    failures++;
+    console.error(`[fail] ${label}: ${err.message}`);
+  }
+}
+
+function assert(cond, message) {
+  if (!cond) throw new Error(message);
+}
+
+async function listen(handler) {
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on("data", c => chunks.push(c));
+    req.on("end", () => {
+      if (!handler(req, res, Buffer.concat(chunks))) res.writeHead(404).end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  return server;
+}
+
+const close = (server) => new Promise(resolve => server.close(resolve));
+
+// The media module logs every upload/verify; this check only reports results
+async function quietly(fn) {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.log = log;
+  }
+}
+
+async function main() {
+  const tmp = await fs.mkdtemp(path.join(os.tmpdir(), "check-media-"));
+  const cwd = process.cwd();
+
+  try {
+    const files = [path.join(tmp, "ig_post.png"), path.join(tmp, "map-story.png")];
+    await fs.writeFile(files[0], await sharp({ create: { width: 8, height: 8, channels: 3, background: "#0B2D5C" } }).png().toBuffer());
+    await fs.writeFile(files[1], await sharp({ create: { width: 8, height: 8, channels: 3, background: "#2ecc71" } }).png().toBuffer());
+    const bytes = await Promise.all(files.map(f => fs.readFile(f)));
+
+    await check("content-hash names", async () => {
+      const a = hashedName("ig_post.png", bytes[0]);
+      assert(/^ig_post-[0-9a-f]{16}\.png$/.test(a), `unexpected name ${a}`);
+      assert(a === hashedName("ig_post.png", Buffer.from(bytes[0])), "same bytes, different name");
+      assert(a !== hashedName("ig_post.png", bytes[1]), "different bytes, same name");
+    });
+
+    // github: the data checkout is the cwd; "pushing" is a static server over it
+    const dataDir = path.join(tmp, "data");
+    await fs.mkdir(path.join(dataDir, "media"), { recursive: true });
+    await fs.writeFile(path.join(dataDir, "media", "README.txt"), "not ours");
+    const raw = await serveDir(dataDir, 0);
+    process.chdir(dataDir);
+
+    await check("github: stage, verify once served, prune", async () => {
+      const host = resolveMediaHost({ type: "github", baseUrl: `http://127.0.0.1:${raw.address().port}/`, verify: FAST_VERIFY });
+      const staged = await quietly(() => publishMedia(host, files, { verify: false }));
+      assert(staged[0].url.endsWith(`/media/${staged[0].name}`), `url ${staged[0].url}`);
+      await quietly(() => publishMedia(host, files));
+
+      const [kept] = await quietly(() => publishMedia(host, [files[0]]));
+      const removed = await quietly(() => pruneMedia(host, [kept.name]));
+      assert(removed.length === 1 && removed[0] === staged[1].name, `pruned ${removed.join(", ") || "nothing"}`);
+      assert((await fs.readdir("media")).includes("README.txt"), "pruned a file it didn't write");
+    });
+
+    process.chdir(cwd);
+    await close(raw);
+
+    // s3 against the stub bucket
+    const objects = new Map();
+    const s3 = await listen(s3StubHandler({ basePath: "/s3", objects }));
+    const endpoint = `http://127.0.0.1:${s3.address().port}/s3`;
+
+    await check("s3: signed PUT, served bytes match", async () => {
+      const host = resolveMediaHost(
+        { type: "s3", endpoint, bucket: "media", prefix: "instagram/", accessKeyIdEnv: "T_KEY", secretAccessKeyEnv: "T_SECRET", verify: FAST_VERIFY },
+        { T_KEY: STUB_S3.accessKeyId, T_SECRET: STUB_S3.secretAccessKey }
+      );
+      const out = await quietly(() => publishMedia(host, files));
+      assert(out[1].url === `${endpoint}/media/instagram/${out[1].name}`, `url ${out[1].url}`);
+      assert(objects.get(`/media/instagram/${out[0].name}`)?.contentType === "image/png", "stored without content-type");
+    });
+
+    await check("s3: wrong secret is rejected", async () => {
+      const host = resolveMediaHost({ type: "s3", endpoint, bucket: "media", accessKeyId: STUB_S3.accessKeyId, secretAccessKey: "nope" });
+      let err = null;
+      await quietly(() => publishMedia(host, [files[0]])).catch(e => { err = e; });
+      assert(err && /HTTP 403/.test(err.message), err ? err.message : "upload succeeded");
+    });
+
+    await check("s3: missing credentials fail at config time", async () => {
+      let err = null;
+      try {
+        resolveMediaHost({ type: "s3", endpoint, bucket: "media", accessKeyIdEnv: "UNSET_KEY", secretAccessKeyEnv: "UNSET_SECRET" }, {});
+      } catch (e) {
+        err = e;
+      }
+      assert(err && /accessKeyId, secretAccessKey/.test(err.message), err ? err.message : "no error");
+    });
+
+    await close(s3);
+
+    // local, serving its own directory
+    await check("local: serve, verify, prune, close", async () => {
+      const host = resolveMediaHost({ type: "local", dir: path.join(tmp, "www"), port: 0, verify: FAST_VERIFY });
+      try {
+        const out = await quietly(() => publishMedia(host, files));
+        assert(out[0].url.startsWith("http://127.0.0.1:"), `url ${out[0].url}`);
+        const removed = await quietly(() => pruneMedia(host, [out[1].name]));
+        assert(removed.length === 1 && removed[0] === out[0].name, `pruned ${removed.join(", ") || "nothing"}`);
+      } finally {
+        await closeMediaHost(host);
+      }
+      assert(!host.server, "server still open");
+    });
+
+    await check("verification rejects different bytes", async () => {
+      const host = resolveMediaHost({ type: "local", dir: path.join(tmp, "www2"), port: 0 });
+      try {
+        const [out] = await quietly(() => publishMedia(host, [files[0]], { verify: false }));
+        await fs.writeFile(path.join(host.dir, out.name), bytes[1]);
+        let err = null;
+        await quietly(() => verifyServed(out.url, bytes[0], FAST_VERIFY)).catch(e => { err = e; });
+        assert(err && /differ/.test(err.message), err ? err.message : "verified the wrong bytes");
+      } finally {
+        await closeMediaHost(host);
+      }
+    });
+  } finally {
+    process.chdir(cwd);
+    await fs.rm(tmp, { recursive: true, force: true });
+  }
+
+  if (failures) process.exitCode = 1;
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exitCode = 1;
+});
@@ -0,0 +1,216 @@
+// scripts/check-notifiers.mjs
+// Offline test of the notifier framework (lib/notifiers/): sends a fixture event to
+// every target type through the in-process stub (lib/notifiers/stub.mjs) and checks
+// the delivery state written into event.notifications.
+//
+//   node scripts/check-notifiers.mjs
+//
+//   signing     signBody / verifySignature, incl. tampered bodies and old timestamps
+//   retries     withRetry backoff, Retry-After, no retry on a 4xx
+//   delivery    every target in fixtures/notifiers.stub.json with the first request failing,
+//               then a second run that sends nothing (idempotency)
+//   giving up   a target that always fails stops after maxRuns
+//   fitText     limits, code points and the kept link
+//
+// Exits non-zero on any problem.
+import fs from "node:fs/promises";
+import http from "node:http";
+import path from "node:path";
+import { loadResorts, ASSETS_DIR } from "./lib/resorts.mjs";
+import { resolveTarget, notifyEvent } from "./lib/notifiers/index.mjs";
+import { signBody, verifySignature } from "./lib/notifiers/webhook.mjs";
+import { HttpError, requestJson, withRetry, fitText } from "./lib/notifiers/http.mjs";
+import { notifierStubHandler } from "./lib/notifiers/stub.mjs";
+
+const STUB_CONFIG = path.join(ASSETS_DIR, "scripts/fixtures/notifiers.stub.json");
+const EVENT_FIXTURE = path.join(ASSETS_DIR, "scripts/fixtures/replay/opening-day/expected/event.json");
+
+let failures = 0;
+
+async function check(label, fn) {
+  try {
+    await fn();
+    console.log(`[ok] ${label}`);
+  } catch (err) {
+    failures++;
+    console.error(`[fail] ${label}: ${err.message}`);
+  }
+}
+
+function assert(cond, message) {
+  if (!cond) throw new Error(message);
+}
+
+async function listen(handler) {
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on("data", c => chunks.push(c));
+    req.on("end", () => {
+      if (!handler(req, res, Buffer.concat(chunks))) res.writeHead(404).end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  return server;
+}
+
+const close = (server) => new Promise(resolve => server.close(resolve));
+const baseUrl = (server) => `http://127.0.0.1:${server.address().port}`;
+
+// notifyEvent logs every attempt; this check only reports results
+async function quietly(fn) {
+  const { log, warn, error } = console;
+  console.log = console.warn = console.error = () => {};
+  try {
+    return await fn();
+  } finally {
+    Object.assign(console, { log, warn, error });
+  }
+}
+
+// wait() for withRetry that records the delays instead of sleeping
+function recordWaits() {
+  const waits = [];
+  return { waits, wait: async (ms) => { waits.push(ms); } };
+}
+
+async function main() {
+  const [resort] = await loadResorts({ only: "cypress" });
+  const fixtureEvent = JSON.parse(await fs.readFile(EVENT_FIXTURE, "utf8"));
+  const now = new Date(Date.parse(fixtureEvent.created_at) + 60_000);
+
+  await check("signing: signature verifies, tampering doesn't", async () => {
+    const body = JSON.stringify({ hello: "world" });
+    const timestamp = "1768420800";
+    const signature = signBody("s3cret", timestamp, body);
+    const nowSec = Number(timestamp) + 10;
+
+    assert(/^sha256=[0-9a-f]{64}$/.test(signature), `signature ${signature}`);
+    assert(verifySignature("s3cret", { timestamp, signature, body, nowSec }), "valid signature rejected");
+    assert(!verifySignature("s3cret", { timestamp, signature, body: body + " ", nowSec }), "tampered body accepted");
+    assert(!verifySignature("other", { timestamp, signature, body, nowSec }), "wrong secret accepted");
+    assert(!verifySignature("s3cret", { timestamp, signature, body, nowSec: nowSec + 600 }), "old timestamp accepted");
+    assert(!verifySignature("s3cret", { timestamp, signature: "sha256=00", body, nowSec }), "short signature accepted");
+  });
+
+  await check("retries: exponential backoff capped at maxDelayMs", async () => {
+    const { waits, wait } = recordWaits();
+    let calls = 0;
+    const result = await quietly(() => withRetry(async () => {
+      if (++calls < 4) throw new HttpError("HTTP 503", { status: 503 });
+      return "done";
+    }, { maxAttempts: 4, delayMs: 100, backoff: 2, maxDelayMs: 300 }, { wait }));
+
+    assert(result === "done", `result ${result}`);
+    assert(JSON.stringify(waits) === "[100,200,300]", `waits ${JSON.stringify(waits)}`);
+  });
+
+  await check("retries: a 4xx is not retried", async () => {
+    const { waits, wait } = recordWaits();
+    let calls = 0;
+    let err = null;
+    await quietly(() => withRetry(async () => {
+      calls++;
+      throw new HttpError("HTTP 400", { status: 400 });
+    }, { maxAttempts: 4 }, { wait })).catch(e => { err = e; });
+
+    assert(err?.status === 400, err ? err.message : "no error");
+    assert(calls === 1 && !waits.length, `${calls} call(s), waits ${JSON.stringify(waits)}`);
+  });
+
+  await check("retries: Retry-After wins over a shorter backoff", async () => {
+    const server = await listen(notifierStubHandler({ failFirst: 1, retryAfterSec: 5 }));
+    try {
+      const { waits, wait } = recordWaits();
+      const resp = await quietly(() => withRetry(() => requestJson(`${baseUrl(server)}/slack`, { body: {} }), { delayMs: 100 }, { wait }));
+      assert(resp === "ok", `response ${JSON.stringify(resp)}`);
+      assert(JSON.stringify(waits) === "[5000]", `waits ${JSON.stringify(waits)}`);
+    } finally {
+      await close(server);
+    }
+  });
+
+  const requests = [];
+  const server = await listen(notifierStubHandler({ failFirst: 1, requests }));
+  const config = JSON.parse((await fs.readFile(STUB_CONFIG, "utf8")).replaceAll("http://127.0.0.1:8787", baseUrl(server)));
+  const targets = config.targets.map(t => resolveTarget(t, {}, config));
+  const { wait } = recordWaits();
+  const event = structuredClone(fixtureEvent);
+  let saves = 0;
+
+  try {
+    await check("delivery: every target, after a failed first request", async () => {
+      const result = await quietly(() => notifyEvent(event, resort, targets, {
+        now, wait, maxEventAgeHours: config.maxEventAgeHours, save: async () => { saves++; }
+      }));
+
+      assert(result.delivered.length === targets.length, `delivered ${result.delivered.join(", ")}, failed ${result.failed.join(", ")}`);
+      assert(saves === targets.length, `saved ${saves} time(s)`);
+      for (const t of targets) {
+        const state = event.notifications[t.id];
+        assert(state?.delivered && state.runs === 1 && state.attempts >= 2 && state.last_error === null && !state.gave_up,
+          `${t.id}: ${JSON.stringify(state)}`);
+      }
+      assert(/^wh-/.test(event.notifications.webhook.response_id), `webhook id ${event.notifications.webhook.response_id}`);
+      assert(event.notifications.mastodon.url?.startsWith(baseUrl(server)), `mastodon url ${event.notifications.mastodon.url}`);
+    });
+
+    await check("delivery: retries carry the same Idempotency-Key", async () => {
+      const keys = new Set(requests.filter(r => r.path === "/webhook").map(r => r.idempotencyKey));
+      assert(keys.size === 1 && keys.has(`${event.key}:webhook`), `keys ${[...keys].join(", ")}`);
+    });
+
+    await check("delivery: a second run sends nothing", async () => {
+      const before = requests.length;
+      const result = await quietly(() => notifyEvent(event, resort, targets, { now, wait, maxEventAgeHours: config.maxEventAgeHours }));
+      assert(result.skipped.length === targets.length, `skipped ${result.skipped.join(", ")}`);
+      assert(requests.length === before, `${requests.length - before} new request(s)`);
+    });
+
+    await check("delivery: stale events are skipped", async () => {
+      const fresh = structuredClone(fixtureEvent);
+      const later = new Date(Date.parse(fixtureEvent.created_at) + 25 * 3_600_000);
+      const result = await quietly(() => notifyEvent(fresh, resort, targets, { now: later, wait }));
+      assert(result.skipped.length === targets.length && !fresh.notifications.webhook, `sent ${result.delivered.join(", ")}`);
+    });
+  } finally {
+    await close(server);
+  }
+
+  await check("giving up: after maxRuns runs that each failed", async () => {
+    const failing = await listen(notifierStubHandler({ failFirst: Infinity }));
+    try {
+      const target = resolveTarget({ id: "down", type: "slack", url: `${baseUrl(failing)}/slack` }, {}, { retry: { maxAttempts: 2, delayMs: 1 }, maxRuns: 2 });
+      const down = structuredClone(fixtureEvent);
+      const run = () => quietly(() => notifyEvent(down, resort, [target], { now, wait }));
+
+      await run();
+      assert(down.notifications.down.gave_up === false && down.notifications.down.attempts === 2, JSON.stringify(down.notifications.down));
+      await run();
+      assert(down.notifications.down.gave_up === true && down.notifications.down.runs === 2, JSON.stringify(down.notifications.down));
+      assert(/HTTP 503/.test(down.notifications.down.last_error), `last_error ${down.notifications.down.last_error}`);
+
+      const third = await run();
+      assert(third.skipped[0] === "down" && down.notifications.down.runs === 2, "tried again after giving up");
+    } finally {
+      await close(failing);
+    }
+  });
+
+  await check("fitText: limits in code points, link kept", async () => {
+    const link = "https://example.test/map";
+    assert(fitText("short", 100, { suffix: link }) === `short\n\n${link}`, "short text changed");
+
+    const long = "⛷️".repeat(200);
+    const fitted = fitText(long, 300, { suffix: link });
+    assert([...fitted].length <= 300, `${[...fitted].length} code points`);
+    assert(fitted.endsWith(`…\n\n${link}`), `ends ${JSON.stringify(fitted.slice(-40))}`);
+    assert(fitText("a  b  c", 4) === "a…", JSON.stringify(fitText("a  b  c", 4)));
+  });
+
+  if (failures) process.exitCode = 1;
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exitCode = 1;
+});
@@ -0,0 +1,83 @@
+// scripts/check-overlays.mjs
+// Checks that every name the source reports has an overlay, and vice versa.
+// getMappedNames() silently drops names that don't match exactly, so a run renamed
+// upstream just vanishes from the map; this makes it loud instead.
+//
+//   node scripts/check-overlays.mjs                     # fetch the source now
+//   node scripts/check-overlays.mjs --payload scripts/fixtures/reportpal.payload.json
+//   node ../main/scripts/check-overlays.mjs --status    # names from status.json (data checkout, no fetch)
+//   node scripts/check-overlays.mjs --allow orphaned    # report these categories without failing
+//   node scripts/check-overlays.mjs --json
+//
+// Categories: geometry, unmapped, orphaned, near-miss, alias. Fix a rename by adding
+// it to aliases.json ({ "trails": { "API name": "Overlay name" } }). Exits 1 on any
+// problem in a category that isn't --allow'ed.
+import fs from "node:fs/promises";
+import { loadResorts, dataPath } from "./lib/resorts.mjs";
+import { getAdapter } from "./lib/adapters/index.mjs";
+import { STATUS_FILE } from "./lib/pipeline.mjs";
+import { fetchJson } from "./lib/source.mjs";
+import { OVERLAY_CHECK_CATEGORIES as CATEGORIES, statusNames, overlayReport } from "./lib/overlays.mjs";
+
+function argValue(flag) {
+  const i = process.argv.indexOf(flag);
+  return i !== -1 ? process.argv[i + 1] : null;
+}
+
+// -> { api: { lifts, trails }, aliased, from }
+async function sourceNames(resort) {
+  const payloadFile = argValue("--payload");
+  if (process.argv.includes("--status")) {
+    const file = dataPath(resort, STATUS_FILE);
+    const status = JSON.parse(await fs.readFile(file, "utf8"));
+    return { api: statusNames(status), aliased: true, from: file };
+  }
+
+  const data = payloadFile ? JSON.parse(await fs.readFile(payloadFile, "utf8")) : await fetchJson(resort.source.url, resort);
+  const parsed = getAdapter(resort.source.adapter).parse(data, resort.source);
+  return {
+    api: { lifts: parsed.lifts.map(l => l.name), trails: parsed.trails.map(t => t.name) },
+    aliased: false,
+    from: payloadFile ?? resort.source.url
+  };
+}
+
+async function main() {
+  const allow = new Set((argValue("--allow") ?? "").split(",").filter(Boolean));
+  for (const c of allow) {
+    if (!CATEGORIES.includes(c)) throw new Error(`--allow: unknown category "${c}" (have: ${CATEGORIES.join(", ")})`);
+  }
+
+  const reports = [];
+  for (const resort of await loadResorts({ only: argValue("--resort") })) {
+    reports.push(await overlayReport(resort, await sourceNames(resort)));
+  }
+
+  let failed = 0;
+  for (const r of reports) {
+    for (const c of CATEGORIES) {
+      if (!allow.has(c)) failed += r.problems[c].length;
+    }
+  }
+
+  if (process.argv.includes("--json")) {
+    console.log(JSON.stringify({ ok: failed === 0, reports }, null, 2));
+  } else {
+    for (const r of reports) {
+      console.log(`[check] ${r.resort}: names from ${r.source}`);
+      for (const c of CATEGORIES) {
+        const tag = allow.has(c) ? "warn" : "fail";
+        for (const p of r.problems[c]) console.log(`[${tag}] ${c}: ${p}`);
+      }
+      for (const w of r.warnings) console.log(`[warn] alias: ${w}`);
+    }
+    console.log(failed ? `[check] ${failed} problem(s)` : "[check] Overlays and source names match");
+  }
+
+  if (failed) process.exitCode = 1;
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exitCode = 2;
+});
@@ -0,0 +1,241 @@
+// scripts/check-pwa.mjs
+// Offline test of the installable page: manifest.webmanifest, the files index.html
+// loads, and sw.js run in a sandbox with an in-memory cache and a fake network.
+//
+//   node scripts/check-pwa.mjs
+//
+// Checks that every pre-cached file exists (one 404 makes the whole install fail),
+// that the page loads nothing from a CDN, and that status.json comes from the network
+// when it answers and from the cache, marked X-Served-From: cache, when it doesn't.
+// Exits non-zero on any problem.
+import fs from "node:fs/promises";
+import path from "node:path";
+import vm from "node:vm";
+import { fileURLToPath } from "node:url";
+import sharp from "sharp";
+
+const ROOT = fileURLToPath(new URL("../", import.meta.url));
+const SCOPE = "https://example.test/cypress-status-map/";
+const DATA_URL = "https://raw.githubusercontent.com/harrmony/cypress-status-map/data/";
+
+let failures = 0;
+
+function report(label, errors) {
+  if (errors.length) {
+    failures++;
+    console.error(`[fail] ${label}`);
+    for (const e of errors) console.error(`  - ${e}`);
+  } else {
+    console.log(`[ok] ${label}`);
+  }
+}
+
+async function exists(file) {
+  try {
+    await fs.access(path.join(ROOT, file));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+async function checkManifest() {
+  const errors = [];
+  const manifest = JSON.parse(await fs.readFile(path.join(ROOT, "manifest.webmanifest"), "utf8"));
+  for (const key of ["name", "short_name", "start_url", "display", "icons"]) {
+    if (!manifest[key]) errors.push(`missing "${key}"`);
+  }
+  for (const icon of manifest.icons ?? []) {
+    if (!(await exists(icon.src))) {
+      errors.push(`icon ${icon.src} doesn't exist`);
+      continue;
+    }
+    const { width, height } = await sharp(path.join(ROOT, icon.src)).metadata();
+    if (icon.sizes !== `${width}x${height}`) errors.push(`icon ${icon.src} is ${width}x${height}, manifest says ${icon.sizes}`);
+  }
+  // Browsers want a square icon of at least 144px to offer installing
+  const big = await Promise.all((manifest.icons ?? []).map(i => Number(i.sizes?.split("x")[0]) >= 144));
+  if (!big.includes(true)) errors.push("no icon of at least 144x144");
+  report("manifest.webmanifest", errors);
+}
+
+async function checkPage() {
+  const errors = [];
+  const html = await fs.readFile(path.join(ROOT, "index.html"), "utf8");
+  if (!/<link rel="manifest" href="manifest\.webmanifest">/.test(html)) errors.push("no <link rel=\"manifest\">");
+  if (!/serviceWorker\.register\("sw\.js"\)/.test(html)) errors.push("doesn't register sw.js");
+
+  for (const [, attr, url] of html.matchAll(/<(?:script|link)\b[^>]*\b(src|href)="([^"]+)"/g)) {
+    if (/^https:\/\/www\.googletagmanager\.com\//.test(url)) continue; // analytics may fail offline
+    if (/^[a-z]+:/i.test(url)) errors.push(`${attr}="${url}" isn't served from the site (not cached offline)`);
+    else if (!(await exists(url.split("?")[0]))) errors.push(`${attr}="${url}" doesn't exist`);
+  }
+  report("index.html", errors);
+}
+
+// ---- sw.js in a sandbox ----
+
+function memoryCaches() {
+  const stores = new Map();
+  const keyOf = (req) => (typeof req === "string" ? new URL(req, SCOPE).href : req.url);
+
+  const open = async (name) => {
+    if (!stores.has(name)) {
+      const entries = new Map();
+      stores.set(name, {
+        entries,
+        async put(req, res) { entries.set(keyOf(req), res); },
+        async match(req) { return entries.get(keyOf(req))?.clone(); },
+        async addAll(reqs) {
+          for (const req of reqs) {
+            const res = await sandbox.fetch(req);
+            if (!res.ok) throw new TypeError(`addAll: ${keyOf(req)} returned HTTP ${res.status}`);
+            entries.set(keyOf(req), res);
+          }
+        }
+      });
+    }
+    return stores.get(name);
+  };
+
+  return {
+    stores,
+    open,
+    keys: async () => [...stores.keys()],
+    delete: async (name) => stores.delete(name)
+  };
+}
+
+// The fake network: the repo for the site, `data` for the data branch
+const network = { mode: "online", data: {} };
+
+async function fakeFetch(input) {
+  const url = new URL(typeof input === "string" ? input : input.url, SCOPE);
+  if (network.mode === "offline") throw new TypeError("Failed to fetch");
+  if (network.mode === "hang") return new Promise(() => {});
+
+  if (url.href.startsWith(DATA_URL)) {
+    const body = network.data[url.pathname.split("/").pop()];
+    return body ? new Response(body, { headers: { "Content-Type": "application/json" } }) : new Response("", { status: 404 });
+  }
+  let file = decodeURIComponent(url.pathname.slice(new URL(SCOPE).pathname.length));
+  if (!file || file.endsWith("/")) file += "index.html";
+  try {
+    return new Response(await fs.readFile(path.join(ROOT, file)));
+  } catch {
+    return new Response("", { status: 404 });
+  }
+}
+
+// Relative URLs resolve against the worker's location, as in a browser
+class ScopedRequest extends Request {
+  constructor(input, init) {
+    super(typeof input === "string" ? new URL(input, SCOPE) : input, init);
+  }
+}
+
+const handlers = {};
+const sandbox = {
+  self: null,
+  caches: memoryCaches(),
+  fetch: fakeFetch,
+  clients: { matchAll: async () => [], openWindow: async () => null },
+  // NETWORK_TIMEOUT_MS passes 100x faster here
+  setTimeout: (fn, ms) => setTimeout(fn, ms / 100),
+  Request: ScopedRequest, Response, Headers, URL, Promise, Error, TypeError, Set, console
+};
+sandbox.self = {
+  location: new URL("sw.js", SCOPE),
+  registration: { scope: SCOPE },
+  addEventListener: (type, fn) => { handlers[type] = fn; },
+  skipWaiting: async () => {},
+  clients: { claim: async () => {} }
+};
+
+// -> what the worker answered. Waits for its waitUntil() work too: install / activate
+// must succeed; a fetch's background work may not settle (the hanging network).
+async function dispatch(type, fields = {}) {
+  const pending = [];
+  let response = null;
+  const event = {
+    ...fields,
+    waitUntil: (p) => pending.push(p),
+    respondWith: (p) => { response = p; }
+  };
+  handlers[type](event);
+  const res = await response;
+  if (type !== "fetch") await Promise.all(pending);
+  else await Promise.race([Promise.allSettled(pending), new Promise(r => setTimeout(r, 500))]);
+  return res;
+}
+
+async function checkServiceWorker() {
+  const source = await fs.readFile(path.join(ROOT, "sw.js"), "utf8");
+  vm.createContext(sandbox);
+  vm.runInContext(source, sandbox, { filename: "sw.js" });
+
+  const precache = vm.runInContext("PRECACHE", sandbox);
+  const missing = [];
+  for (const f of precache) {
+    if (f !== "./" && !(await exists(f))) missing.push(f);
+  }
+  report(`sw.js pre-caches ${precache.length} files`, missing.map(f => `${f} doesn't exist`));
+
+  let errors = [];
+  try {
+    await dispatch("install");
+    await dispatch("activate");
+  } catch (err) {
+    errors.push(`install: ${err.message}`);
+  }
+  report("sw.js installs", errors);
+
+  const statusUrl = () => `${DATA_URL}status.json?ts=${Date.now()}`;
+  const get = (url) => dispatch("fetch", { request: new Request(url) });
+  errors = [];
+
+  network.mode = "online";
+  network.data["status.json"] = JSON.stringify({ fetched_at: "2026-01-14T18:05:00.000Z" });
+  let res = await get(statusUrl());
+  if (res.headers.get("X-Served-From")) errors.push("online answer marked as cached");
+
+  network.data["status.json"] = JSON.stringify({ fetched_at: "2026-01-14T18:20:00.000Z" });
+  res = await get(statusUrl());
+  if ((await res.json()).fetched_at !== "2026-01-14T18:20:00.000Z") errors.push("online answer isn't the network's");
+
+  for (const mode of ["offline", "hang"]) {
+    network.mode = mode;
+    res = await get(statusUrl());
+    if (res.headers.get("X-Served-From") !== "cache") errors.push(`${mode}: not marked X-Served-From: cache`);
+    if ((await res.json()).fetched_at !== "2026-01-14T18:20:00.000Z") errors.push(`${mode}: not the last status seen`);
+  }
+  report("status.json: network first, last copy when offline", errors);
+
+  errors = [];
+  network.mode = "offline";
+  for (const file of ["curves.json?ts=1", "overlays.geojson?ts=2", "vendor/leaflet/leaflet.js", "map.jpg"]) {
+    res = await get(new URL(file, SCOPE).href).catch(err => ({ ok: false, status: err.message }));
+    if (!res.ok) errors.push(`${file}: ${res.status}`);
+  }
+  // A navigation (mode "navigate" can't be built with new Request) to any URL in scope
+  const navigation = { url: `${SCOPE}?edit=1`, method: "GET", mode: "navigate", destination: "document" };
+  res = await dispatch("fetch", { request: navigation }).catch(err => ({ ok: false, status: err.message }));
+  if (!res.ok) errors.push(`?edit=1 navigation: ${res.status}`);
+  else if (!/<title>/.test(await res.text())) errors.push("?edit=1 navigation isn't the page");
+
+  res = await get(`${DATA_URL}history.json?ts=1`).catch(() => null);
+  if (res?.ok) errors.push("history.json answered without ever being fetched");
+  report("offline: page assets from the pre-cache", errors);
+}
+
+async function main() {
+  await checkManifest();
+  await checkPage();
+  await checkServiceWorker();
+  if (failures) process.exitCode = 1;
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exitCode = 1;
+});
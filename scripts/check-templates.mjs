@@ -0,0 +1,160 @@
+// scripts/check-templates.mjs
+// Golden-image test for the Instagram templates (lib/ig-templates.mjs): renders every
+// caption in fixtures/templates/captions.json with every template in templates/instagram/
+// and compares each slide with fixtures/templates/golden/<template>/<case>-<slide>.png.
+//
+//   node scripts/check-templates.mjs              # compare
+//   node scripts/check-templates.mjs --update     # rewrite the goldens after an intended change
+//   node scripts/check-templates.mjs --template card
+//
+// Goldens are stored at quarter size and compared with a tolerance, so anti-aliasing
+// differences between machines pass but a moved line, a wrapped word or a missing slide
+// doesn't. It also checks the layout itself: no text outside the padding, every item on
+// exactly one slide. Exits non-zero on any problem.
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import sharp from "sharp";
+import { TEMPLATE_DIR, MAX_SLIDES, loadTemplate, layoutCaption, renderSlide, measureText, parseCaption } from "./lib/ig-templates.mjs";
+
+const FIXTURE_DIR = fileURLToPath(new URL("./fixtures/templates/", import.meta.url));
+const GOLDEN_DIR = path.join(FIXTURE_DIR, "golden");
+
+const GOLDEN_SCALE = 0.25;
+const PIXEL_THRESHOLD = 48;     // max channel difference that still counts as equal
+const MAX_DIFF_PERCENT = 1.5;   // of the pixels
+
+const UPDATE = process.argv.includes("--update");
+
+let failures = 0;
+
+function argValue(flag) {
+  const i = process.argv.indexOf(flag);
+  return i !== -1 ? process.argv[i + 1] : null;
+}
+
+function report(label, errors) {
+  if (errors.length) {
+    failures++;
+    console.error(`[fail] ${label}`);
+    for (const e of errors) console.error(`  - ${e}`);
+  } else {
+    console.log(`[ok] ${label}`);
+  }
+}
+
+async function shrink(png, template) {
+  return sharp(png)
+    .resize(Math.round(template.width * GOLDEN_SCALE), Math.round(template.height * GOLDEN_SCALE))
+    .png({ palette: true, compressionLevel: 9 })
+    .toBuffer();
+}
+
+// -> percent of pixels that differ by more than PIXEL_THRESHOLD in some channel
+async function diffPercent(a, b) {
+  const [ra, rb] = await Promise.all([a, b].map(img => sharp(img).removeAlpha().raw().toBuffer({ resolveWithObject: true })));
+  if (ra.info.width !== rb.info.width || ra.info.height !== rb.info.height) return 100;
+
+  let differ = 0;
+  const px = ra.info.width * ra.info.height;
+  for (let i = 0; i < px; i++) {
+    const o = i * 3;
+    if (Math.max(
+      Math.abs(ra.data[o] - rb.data[o]),
+      Math.abs(ra.data[o + 1] - rb.data[o + 1]),
+      Math.abs(ra.data[o + 2] - rb.data[o + 2])
+    ) > PIXEL_THRESHOLD) differ++;
+  }
+  return (differ / px) * 100;
+}
+
+async function checkLayout(template, caption, slides) {
+  const errors = [];
+  const { width, height, padding } = template;
+
+  for (const [i, slide] of slides.entries()) {
+    for (const line of slide.lines) {
+      const right = line.x + (await measureText(line.text, line.style));
+      if (right > width - padding.right) errors.push(`slide ${i + 1}: "${line.text}" runs ${right - (width - padding.right)}px into the right padding`);
+      if (line.y > height - padding.bottom) errors.push(`slide ${i + 1}: "${line.text}" is below the bottom padding`);
+    }
+  }
+
+  // Every item exactly once (unless the carousel limit cut it short)
+  const items = parseCaption(caption).body.filter(b => b.type === "item").map(b => b.text);
+  const shown = slides.flatMap(s => s.lines).filter(l => l.item).map(l => l.item);
+  const truncated = slides.length === MAX_SLIDES && slides.at(-1).lines.at(-1).text.startsWith("…");
+  for (const name of new Set(items)) {
+    const want = items.filter(s => s === name).length;
+    const got = shown.filter(s => s === name).length;
+    if (got > want || (got < want && !truncated)) errors.push(`item "${name}" shown ${got} time(s), expected ${want}`);
+  }
+  return errors;
+}
+
+async function main() {
+  const cases = JSON.parse(await fs.readFile(path.join(FIXTURE_DIR, "captions.json"), "utf8"));
+  const only = argValue("--template");
+  const names = (await fs.readdir(TEMPLATE_DIR))
+    .filter(n => n.endsWith(".json"))
+    .map(n => n.slice(0, -".json".length))
+    .filter(n => !only || n === only)
+    .sort();
+  if (!names.length) throw new Error(`No templates${only ? ` named "${only}"` : ""} in ${TEMPLATE_DIR}`);
+
+  for (const name of names) {
+    const template = await loadTemplate(name);
+    const goldenDir = path.join(GOLDEN_DIR, name);
+    if (UPDATE) await fs.mkdir(goldenDir, { recursive: true });
+
+    for (const c of cases) {
+      const label = `${name}/${c.name}`;
+      const { scale, slides } = await layoutCaption(template, c.caption);
+      const errors = await checkLayout(template, c.caption, slides);
+
+      const goldens = (await fs.readdir(goldenDir).catch(() => []))
+        .filter(f => f.startsWith(`${c.name}-`) && /^\d+\.png$/.test(f.slice(c.name.length + 1)))
+        .sort();
+
+      if (UPDATE) {
+        for (const f of goldens) await fs.rm(path.join(goldenDir, f));
+      } else if (goldens.length !== slides.length) {
+        errors.push(`${slides.length} slide(s), golden has ${goldens.length}`);
+      }
+
+      for (let i = 0; i < slides.length; i++) {
+        const file = path.join(goldenDir, `${c.name}-${i + 1}.png`);
+        const png = await renderSlide(template, slides[i], { page: i + 1, pages: slides.length });
+        const small = await shrink(png, template);
+
+        if (UPDATE) {
+          await fs.writeFile(file, small);
+          continue;
+        }
+
+        let golden;
+        try {
+          golden = await fs.readFile(file);
+        } catch {
+          continue; // already reported as a slide count mismatch
+        }
+        const percent = await diffPercent(small, golden);
+        if (percent > MAX_DIFF_PERCENT) {
+          const out = path.join(os.tmpdir(), `check-templates-${name}-${c.name}-${i + 1}.png`);
+          await fs.writeFile(out, png);
+          errors.push(`slide ${i + 1}: ${percent.toFixed(2)}% of pixels differ (limit ${MAX_DIFF_PERCENT}%), rendered: ${out}`);
+        }
+      }
+
+      report(`${label} (${slides.length} slide(s), scale ${scale})${UPDATE ? " updated" : ""}`, errors);
+    }
+  }
+
+  if (failures) process.exitCode = 1;
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exitCode = 1;
+});
@@ -0,0 +1,147 @@
+#!/usr/bin/env node
+// scripts/cypress-status.mjs
+// One command line for the scheduled job and for running any step of it by hand.
+//
+//   cypress-status fetch [--explain [ISO time]]     source -> status.json, history.json, event.json, feeds, api/
+//   cypress-status render [--sizes og,story]        status map images (map-*.png)
+//   cypress-status event [--template card]          the event's Instagram caption slides (ig_post*.png)
+//   cypress-status post [instagram|notify|alerts]   publish the event, send subscriber alerts
+//   cypress-status check [--allow unmapped]         the data dir's API files, feeds and names
+//   cypress-status stats [--from ...] [--to ...]    season statistics from the archive
+//
+// Every command takes:
+//   --data-dir <dir>     data branch checkout (default: the working directory)
+//   --assets-dir <dir>   main checkout: resorts.json, schedules, overlays, templates (default: this one)
+//   --config <file>      settings (default: <assets dir>/cypress-status.json, see lib/config.mjs)
+//   --resort <id>        one resort instead of every enabled one
+//   --dry-run            do the work, but write no files and post nothing
+//   --log json           one JSON object per log line (lib/log.mjs)
+//
+// `cypress-status help <command>` (or `<command> --help`) lists a command's own flags.
+// Exits 1 if anything failed, 2 on a usage or settings error.
+import { loadResorts } from "./lib/resorts.mjs";
+import { loadConfig, LOG_FORMATS, ConfigError } from "./lib/config.mjs";
+import { useJsonConsole } from "./lib/log.mjs";
+import { UsageError } from "./lib/commands/usage.mjs";
+import * as fetchCommand from "./lib/commands/fetch.mjs";
+import * as renderCommand from "./lib/commands/render.mjs";
+import * as eventCommand from "./lib/commands/event.mjs";
+import * as postCommand from "./lib/commands/post.mjs";
+import * as checkCommand from "./lib/commands/check.mjs";
+import * as statsCommand from "./lib/commands/stats.mjs";
+
+const COMMANDS = {
+  fetch: fetchCommand,
+  render: renderCommand,
+  event: eventCommand,
+  post: postCommand,
+  check: checkCommand,
+  stats: statsCommand
+};
+
+// flag -> value placeholder (null: no value; "[...]": value optional)
+const GLOBAL_OPTIONS = {
+  "--data-dir": "<dir>",
+  "--assets-dir": "<dir>",
+  "--config": "<file>",
+  "--resort": "<id>",
+  "--dry-run": null,
+  "--log": `<${LOG_FORMATS.join("|")}>`
+};
+
+function usage(name = null) {
+  const flags = (options) => Object.entries(options).map(([flag, v]) => `  ${flag}${v ? ` ${v}` : ""}`).join("\n");
+  if (name) return `usage: cypress-status ${name} ${COMMANDS[name].args ? `${COMMANDS[name].args} ` : ""}[options]\n${COMMANDS[name].description}\n\n${flags({ ...COMMANDS[name].options, ...GLOBAL_OPTIONS })}`;
+
+  const width = Math.max(...Object.keys(COMMANDS).map(n => n.length));
+  return [
+    "usage: cypress-status <command> [options]",
+    "",
+    ...Object.entries(COMMANDS).map(([n, c]) => `  ${n.padEnd(width)}  ${c.description}`),
+    "",
+    flags(GLOBAL_OPTIONS),
+    "",
+    "cypress-status help <command> (or <command> --help) for a command's options."
+  ].join("\n");
+}
+
+// argv after the command -> { options: { flag: value | true }, positionals, help }
+function parseArgs(name, argv) {
+  const known = { ...COMMANDS[name].options, ...GLOBAL_OPTIONS };
+  const options = {};
+  const positionals = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--help" || arg === "-h") return { options, positionals, help: true };
+    if (!arg.startsWith("--")) {
+      positionals.push(arg);
+      continue;
+    }
+    if (!(arg in known)) throw new UsageError(`${name}: unknown option ${arg}\n\n${usage(name)}`);
+
+    const placeholder = known[arg];
+    const next = argv[i + 1];
+    if (placeholder === null) {
+      options[arg] = true;
+    } else if (next !== undefined && !next.startsWith("--")) {
+      options[arg] = next;
+      i++;
+    } else if (placeholder.startsWith("[")) {
+      options[arg] = true;
+    } else {
+      throw new UsageError(`${name}: ${arg} needs a value ${placeholder}`);
+    }
+  }
+  return { options, positionals, help: false };
+}
+
+async function main() {
+  const [name, ...argv] = process.argv.slice(2);
+
+  if (!name || name === "help" || name === "--help" || name === "-h") {
+    const topic = argv[0];
+    if (topic && !COMMANDS[topic]) throw new UsageError(`Unknown command "${topic}"\n\n${usage()}`);
+    console.log(usage(topic));
+    return;
+  }
+  if (!COMMANDS[name]) throw new UsageError(`Unknown command "${name}"\n\n${usage()}`);
+
+  const { options, positionals, help } = parseArgs(name, argv);
+  if (help) {
+    console.log(usage(name));
+    return;
+  }
+  if (positionals.length && !COMMANDS[name].args) throw new UsageError(`${name}: unexpected argument ${positionals[0]}\n\n${usage(name)}`);
+
+  const config = loadConfig({
+    flags: {
+      config: options["--config"],
+      dataDir: options["--data-dir"],
+      assetsDir: options["--assets-dir"],
+      log: options["--log"]
+    }
+  });
+  const dryRun = options["--dry-run"] === true;
+
+  const log = { command: name, ...(dryRun ? { dry_run: true } : {}) };
+  if (config.log === "json") useJsonConsole(log);
+
+  console.log(`[config] data ${config.dataDir}, assets ${config.assetsDir}${config.configFile ? `, settings ${config.configFile}` : ""}${dryRun ? " (dry run)" : ""}`);
+
+  const resorts = await loadResorts({ assetsDir: config.assetsDir, only: options["--resort"] ?? null });
+  const failed = await COMMANDS[name].run({ config, options, positionals, dryRun, resorts, log, env: process.env });
+
+  if (failed) process.exitCode = 1;
+}
+
+main().catch((err) => {
+  // A mistake in the command line or the settings needs the message, not a stack
+  if (err instanceof UsageError || err instanceof ConfigError) {
+    console.error(err.message);
+    process.exitCode = 2;
+    return;
+  }
+  console.error(err);
+  process.exitCode = 1;
+});
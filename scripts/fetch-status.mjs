@@ -1,649 +0,0 @@
-import fs from "node:fs/promises";
-
-const URL = "https://www.cypressmountain.com/api/reportpal?resortName=cy&useReportPal=true";
-
-
-// DATE AND UPDATE TIMING CONTROLS
-
-const TIME_ZONE = "America/Vancouver";
-
-// Months to run: Nov–April
-function inSeason(month /* 1-12 */) {
-  return month === 11 || month === 12 || (month >= 1 && month <= 4);
-}
-
-// Get Vancouver-local parts (DST-safe)
-function getVancouverParts(date = new Date()) {
-  const parts = new Intl.DateTimeFormat("en-CA", {
-    timeZone: TIME_ZONE,
-    year: "numeric",
-    month: "2-digit",
-    day: "2-digit",
-    hour: "2-digit",
-    minute: "2-digit",
-    hour12: false
-  }).formatToParts(date);
-
-  const get = (type) => Number(parts.find(p => p.type === type)?.value);
-  return {
-    year: get("year"),
-    month: get("month"),   // 1-12
-    day: get("day"),
-    hour: get("hour"),     // 0-23
-    minute: get("minute")  // 0-59
-  };
-}
-
-//HELPER FUNCTIONS FOR CAPTION BUILDING
-
-// ---- Caption helpers (smart grammar) ----
-
-async function getMappedNames() {
-  const mappedLifts = new Set();
-  const mappedTrails = new Set();
-
-  // Read curved overlays
-  try {
-    const curvesJson = JSON.parse(await fs.readFile("../main/curves.json", "utf8"));
-    const curves = curvesJson?.curves ?? [];
-
-    for (const item of curves) {
-      if (!item?.name || !item?.kind) continue;
-      if (item.kind === "lift") mappedLifts.add(item.name);
-      if (item.kind === "trail") mappedTrails.add(item.name);
-    }
-  } catch (err) {
-    throw new Error(`Failed reading ../main/curves.json: ${err.message}`);
-  }
-
-  // Read straight overlays
-  try {
-    const overlaysJson = JSON.parse(await fs.readFile("../main/overlays.geojson", "utf8"));
-    const features = overlaysJson?.features ?? [];
-
-    for (const feature of features) {
-      const kind = feature?.properties?.kind;
-      const name = feature?.properties?.name;
-      if (!name || !kind) continue;
-
-      if (kind === "lift") mappedLifts.add(name);
-      if (kind === "trail") mappedTrails.add(name);
-    }
-  } catch (err) {
-    throw new Error(`Failed reading ../main/overlays.geojson: ${err.message}`);
-  }
-
-  return { mappedLifts, mappedTrails };
-}
-
-function getTodayHeaderDate() {
-  const now = new Date();
-
-  return new Intl.DateTimeFormat("en-CA", {
-    timeZone: TIME_ZONE,
-    weekday: "long",
-    month: "long",
-    day: "numeric"
-  }).format(now);
-}
-
-function buildCaption({ liftsOpened, trailsOpened, liftsClosed, trailsClosed }) {
-  const lines = [];
-  const headerDate = getTodayHeaderDate();
-
-  // Header on two lines
-  lines.push("Cypress Update");
-  lines.push(headerDate);
-  lines.push("");
-
-  function addOpenBlock(kindLabelSingular, items) {
-    if (!items || items.length === 0) return;
-
-    const n = items.length;
-    const noun = n === 1 ? kindLabelSingular : `${kindLabelSingular}s`;
-
-    // OPEN format (includes "new")
-    lines.push(`${n} new ${noun} open today`);
-
-    for (const name of items) lines.push(`  • ${name}`);
-  }
-
-  function addCloseBlock(kindLabelSingular, items) {
-    if (!items || items.length === 0) return;
-
-    const n = items.length;
-    const noun = n === 1 ? kindLabelSingular : `${kindLabelSingular}s`;
-
-    // CLOSE format (NO "new")
-    lines.push(`${n} ${noun} closed from today`);
-
-    for (const name of items) lines.push(`  • ${name}`);
-  }
-
-  // OPENINGS
-  addOpenBlock("chair", liftsOpened);
-
-  if (liftsOpened?.length && trailsOpened?.length) {
-    lines.push("");
-  }
-
-  addOpenBlock("run", trailsOpened);
-
-  // Space before closures
-  if ((liftsClosed?.length || 0) + (trailsClosed?.length || 0) > 0) {
-    lines.push("");
-  }
-
-  // CLOSURES
-  addCloseBlock("chair", liftsClosed);
-
-  if (liftsClosed?.length && trailsClosed?.length) {
-    lines.push("");
-  }
-
-  addCloseBlock("run", trailsClosed); 
-
-  return lines.join("\n").trim();
-}
-
-
-//HELPERS FOR HISTORICAL DATA
-
-const HISTORY_FILE = "history.json";
-const EVENT_FILE = "event.json";
-const HISTORY_RETENTION_HOURS = 48;
-
-// ---- Timezone helpers (DST-safe) ----
-function getTzParts(date, timeZone = TIME_ZONE) {
-  const parts = new Intl.DateTimeFormat("en-CA", {
-    timeZone,
-    year: "numeric",
-    month: "2-digit",
-    day: "2-digit",
-    hour: "2-digit",
-    minute: "2-digit",
-    second: "2-digit",
-    hour12: false
-  }).formatToParts(date);
-
-  const get = (type) => Number(parts.find(p => p.type === type)?.value);
-  return {
-    year: get("year"),
-    month: get("month"),
-    day: get("day"),
-    hour: get("hour"),
-    minute: get("minute"),
-    second: get("second")
-  };
-}
-
-function getOffsetMinutes(date, timeZone = TIME_ZONE) {
-  // Offset = (local time as UTC) - (actual UTC) in minutes
-  const p = getTzParts(date, timeZone);
-  const localAsUTC = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
-  return (localAsUTC - date.getTime()) / 60000;
-}
-
-function zonedTimeToUtc({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone = TIME_ZONE) {
-  // Convert "Vancouver local clock time" -> real UTC instant
-  let guess = new Date(Date.UTC(year, month - 1, day, hour, minute, second));
-  let offset = getOffsetMinutes(guess, timeZone);
-  let utcMs = guess.getTime() - offset * 60000;
-
-  // second pass handles DST boundaries more reliably
-  guess = new Date(utcMs);
-  offset = getOffsetMinutes(guess, timeZone);
-  utcMs = new Date(Date.UTC(year, month - 1, day, hour, minute, second)).getTime() - offset * 60000;
-
-  return new Date(utcMs);
-}
-
-function ymdKey({ year, month, day }) {
-  return `${year}-${String(month).padStart(2, "0")}-${String(day).padStart(2, "0")}`;
-}
-
-// ---- History helpers ----
-async function readJsonOrNull(path) {
-  try {
-    return JSON.parse(await fs.readFile(path, "utf8"));
-  } catch {
-    return null;
-  }
-}
-
-function pruneSnapshots(snapshots, now = new Date()) {
-  const cutoff = now.getTime() - HISTORY_RETENTION_HOURS * 60 * 60 * 1000;
-  return (snapshots || []).filter(s => {
-    const t = Date.parse(s?.fetched_at);
-    return Number.isFinite(t) && t >= cutoff;
-  });
-}
-
-function nearestSnapshot(snapshots, targetDate, toleranceMinutes = 90) {
-  const targetMs = targetDate.getTime();
-  const tolMs = toleranceMinutes * 60 * 1000;
-
-  let best = null;
-  let bestDiff = Infinity;
-
-  for (const s of snapshots || []) {
-    const ms = Date.parse(s?.fetched_at);
-    if (!Number.isFinite(ms)) continue;
-    const diff = Math.abs(ms - targetMs);
-    if (diff < bestDiff) {
-      bestDiff = diff;
-      best = s;
-    }
-  }
-
-  if (!best || bestDiff > tolMs) return null;
-  return best;
-}
-
-function setOfOpen(obj) {
-  const out = new Set();
-  for (const [name, status] of Object.entries(obj || {})) {
-    if (String(status).toLowerCase() === "open") out.add(name);
-  }
-  return out;
-}
-
-function diffOpens(prev, curr) {
-  const prevOpen = setOfOpen(prev);
-  const currOpen = setOfOpen(curr);
-
-  const opened = [];
-  const closed = [];
-
-  for (const name of currOpen) if (!prevOpen.has(name)) opened.push(name);
-  for (const name of prevOpen) if (!currOpen.has(name)) closed.push(name);
-
-  opened.sort();
-  closed.sort();
-  return { opened, closed };
-}
-
-
-// TIMING CONTROL
-
-function minutesSinceMidnight({ hour, minute }) {
-  return hour * 60 + minute;
-}
-
-// Your rules -> returns min interval in ms, or null to "don't update"
-function getMinIntervalMs(nowParts) {
-  if (!inSeason(nowParts.month)) return null; // only Nov–May
-
-  const m = minutesSinceMidnight(nowParts);
-
-  // Stop updating after 11pm
-  if (m >= 23 * 60) return null;
-
-  // Not needed before 5:00am (your first window starts at 5)
-  if (m < 5 * 60) return null;
-
-  // 5:00–7:00 early report: every 10 min
-  if (m >= 5 * 60 && m < 7 * 60) return 10 * 60 * 1000;
-
-  // 7:00–7:50 (not specified): default to every 10 min
-  if (m >= 7 * 60 && m < (7 * 60 + 50)) return 10 * 60 * 1000;
-
-  // 7:50–10:30 rolling opening: every 5 min
-  if (m >= (7 * 60 + 50) && m < (10 * 60 + 30)) return 5 * 60 * 1000;
-
-  // 10:30–6pm: every 10 min
-  return 10 * 60 * 1000;
-}
-
-
-
-// Read last fetched time to respect the interval
-async function shouldRunNow() {
-  const now = new Date();
-  const nowParts = getVancouverParts(now);
-  const minIntervalMs = getMinIntervalMs(nowParts);
-
-  if (minIntervalMs === null) {
-    console.log(`[skip] Outside update window (Vancouver time ${nowParts.hour}:${String(nowParts.minute).padStart(2,"0")}, month ${nowParts.month})`);
-    return false;
-  }
-
-  try {
-    const existing = JSON.parse(await fs.readFile("status.json", "utf8"));
-    if (existing?.fetched_at) {
-      const last = new Date(existing.fetched_at).getTime();
-      const delta = now.getTime() - last;
-      if (Number.isFinite(last) && delta >= 0 && delta < minIntervalMs) {
-        console.log(`[skip] Last fetch ${(delta/60000).toFixed(1)} min ago; need ${(minIntervalMs/60000)} min`);
-        return false;
-      }
-    }
-  } catch {
-    // No prior status.json or unreadable -> allow run
-  }
-
-  console.log(`[run] In window; min interval ${(minIntervalMs/60000)} min`);
-  return true;
-}
-
-
-
-
-
-
-function normalizeStatus(s) {
-  const v = String(s || "").toLowerCase();
-  if (v.includes("open")) return "open";
-  if (v.includes("hold")) return "on-hold";
-  if (v.includes("closed")) return "closed";
-  return "unknown";
-}
-
-
-if (!(await shouldRunNow())) process.exit(0);
-
-const res = await fetch(URL, { headers: { accept: "application/json" } });
-if (!res.ok) throw new Error(`HTTP ${res.status}`);
-
-const data = await res.json();
-const { mappedLifts, mappedTrails } = await getMappedNames();
-
-console.log(`[map-filter] mapped lifts=${mappedLifts.size}, mapped trails=${mappedTrails.size}`);
-
-const lifts = {};
-const trails = {};
-
-const areas = data?.facilities?.areas?.area ?? [];
-for (const area of areas) {
-  for (const lift of (area?.lifts?.lift ?? [])) {
-    if (mappedLifts.has(lift.name)) {
-      lifts[lift.name] = normalizeStatus(lift.statusIcon || lift.status);
-    }
-  }
-
-  for (const trail of (area?.trails?.trail ?? [])) {
-    if (mappedTrails.has(trail.name)) {
-      trails[trail.name] = normalizeStatus(trail.statusIcon || trail.status);
-    }
-  }
-}
-
-console.log(`[map-filter] kept lifts=${Object.keys(lifts).length}, kept trails=${Object.keys(trails).length}`);
-
-const out = {
-  fetched_at: new Date().toISOString(),
-  source_updated: data.updated ?? null,
-  lifts_updated: data.liftsUpdated ?? null,
-  trails_updated: data.trailsUpdated ?? null,
-  operations: data?.operations ?? null,
-  lifts,
-  trails
-};
-
-
-// UPDATE CURRENT STATUS
-await fs.writeFile("status.json", JSON.stringify(out, null, 2));
-console.log("Wrote status.json");
-
-
-// UPDATE HISTORY
-const now = new Date();
-
-// Load history (or initialize)
-const history = (await readJsonOrNull(HISTORY_FILE)) || { tz: TIME_ZONE, snapshots: [], meta: {} };
-
-// Append a lightweight snapshot (only what we need)
-history.snapshots = history.snapshots || [];
-history.snapshots.push({
-  fetched_at: out.fetched_at,
-  source_updated: out.source_updated,
-  lifts: out.lifts,
-  trails: out.trails,
-  operations: out.operations
-});
-
-// Prune to last 48h
-history.snapshots = pruneSnapshots(history.snapshots, now);
-
-// Compute target instants (Vancouver time)
-const todayParts = getTzParts(now, TIME_ZONE);
-const yesterdayParts = getTzParts(new Date(now.getTime() - 24 * 60 * 60 * 1000), TIME_ZONE);
-
-// UPDATED TO 12pm for SPRING HOURS - was 10am
-const target10amToday = zonedTimeToUtc({
-  year: todayParts.year, month: todayParts.month, day: todayParts.day,
-  hour: 12, minute: 0, second: 0
-}, TIME_ZONE);
-
-const target3pmYesterday = zonedTimeToUtc({
-  year: yesterdayParts.year, month: yesterdayParts.month, day: yesterdayParts.day,
-  hour: 15, minute: 0, second: 0
-}, TIME_ZONE);
-
-// Find nearest snapshots
-const snapYest3 = nearestSnapshot(history.snapshots, target3pmYesterday, 90);
-
-
-
-// --- Guard: require a snapshot from TODAY at/after 10:00 Vancouver time ---
-function sameYmd(a, b) {
-  return a.year === b.year && a.month === b.month && a.day === b.day;
-}
-
-function mins(h, m) {
-  return h * 60 + m;
-}
-
-
-// Finds the snapshot on the same local day whose local time is >= target,
-// choosing the one closest AFTER the target (within tolerance).
-function nearestSnapshotAtOrAfterLocal(snapshots, dayParts, targetHour, targetMinute, toleranceMinutes = 120) {
-  const targetM = mins(targetHour, targetMinute);
-
-  let best = null;
-  let bestDelta = Infinity; // minutes after target
-
-  for (const s of snapshots || []) {
-    const ms = Date.parse(s?.fetched_at);
-    if (!Number.isFinite(ms)) continue;
-
-    const lp = getTzParts(new Date(ms), TIME_ZONE); // Vancouver-local parts for this snapshot
-    if (!sameYmd(lp, dayParts)) continue;
-
-    const m = mins(lp.hour, lp.minute);
-    const delta = m - targetM; // minutes after target
-    if (delta < 0) continue;   // too early
-
-    if (delta <= toleranceMinutes && delta < bestDelta) {
-      bestDelta = delta;
-      best = s;
-    }
-  }
-
-  return best; // null if nothing >= target within tolerance
-}
-
-//ALSO SHIFTED TO 12pm for Spring - was 10am
-const snapToday10Valid = nearestSnapshotAtOrAfterLocal(history.snapshots, todayParts, 12, 0, 600); // This sets it for 10am
-
-
-
-
-// Build event key so we only fire once per day
-const eventKey = `${ymdKey(todayParts)}_10am_vs_${ymdKey(yesterdayParts)}_3pm`;
-history.meta = history.meta || {};
-const alreadyFired = history.meta.last_event_key === eventKey;
-
-let event = null;
-
-if (snapToday10Valid && snapYest3 && !alreadyFired) {
-  // Diff lifts + trails
-  const liftsDiff = diffOpens(snapYest3.lifts, snapToday10Valid.lifts);
-  const trailsDiff = diffOpens(snapYest3.trails, snapToday10Valid.trails);
-
-  const openedCount = liftsDiff.opened.length + trailsDiff.opened.length;
-  const closedCount = liftsDiff.closed.length + trailsDiff.closed.length;
-
-  const OPEN_THRESHOLD = 1;   // tweak
-  const CLOSE_THRESHOLD = 1;  // tweak
-
-  const significant = openedCount >= OPEN_THRESHOLD || closedCount >= CLOSE_THRESHOLD;
-
-  if (significant) {
-    
-    const caption = buildCaption({
-    liftsOpened: liftsDiff.opened,
-    trailsOpened: trailsDiff.opened,
-    liftsClosed: liftsDiff.closed,
-    trailsClosed: trailsDiff.closed
-    });
-
-    const MAP_URL = "https://harrmony.github.io/cypress-status-map/";
-    const caption_image = caption;
-    // IG caption includes the link, but the image caption does not
-    const caption_ig = `${caption}\n\nLive map: ${MAP_URL}`;
-    
-    event = {
-      key: eventKey,
-      created_at: new Date().toISOString(),
-      compare: {
-        from: { label: "yesterday_3pm", fetched_at: snapYest3.fetched_at },
-        to:   { label: "today_10am", fetched_at: snapToday10Valid.fetched_at }
-      },
-      summary: {
-        opened_total: openedCount,
-        closed_total: closedCount,
-        opened_lifts: liftsDiff.opened.length,
-        closed_lifts: liftsDiff.closed.length,
-        opened_trails: trailsDiff.opened.length,
-        closed_trails: trailsDiff.closed.length
-      },
-      details: {
-        lifts: liftsDiff,
-        trails: trailsDiff
-      },
-      placeholders: {
-        screenshot_path: null,
-        instagram_posted: false,
-        instagram_post_id: null,
-        instagram_story_posted: false,
-        instagram_story_id: null,
-        caption_image,
-        caption_ig
-      }
-    };
-
-    // Save event placeholder for later automation steps
-    await fs.writeFile(EVENT_FILE, JSON.stringify(event, null, 2));
-    console.log(`[event] Significant change detected → wrote ${EVENT_FILE}`);
-
-    // Mark as fired so we don't spam
-    history.meta.last_event_key = eventKey;
-    history.meta.last_event_created_at = event.created_at;
-  } else {
-    console.log(`[event] Not significant (opened=${openedCount}, closed=${closedCount})`);
-  }
-} else {
-  if (!snapToday10Valid || !snapYest3) {
-    console.log("[event] Not enough history near targets yet (need snapshots near 10am today and 3pm yesterday).");
-  } else if (alreadyFired) {
-    console.log(`[event] Already fired for ${eventKey}`);
-  }
-}
-
-// Always write history
-await fs.writeFile(HISTORY_FILE, JSON.stringify(history, null, 2));
-console.log(`Wrote ${HISTORY_FILE} (snapshots=${history.snapshots.length})`);
-
-
-// ------------------------------
-// TEST MODE: always update event.json caption - SET TO FALSE OR DELETE THIS BEFORE PRODUCTION RUNS
-// ------------------------------
-const TEST_ALWAYS_EVENT = false;
-
-function diffFromLastSnapshot(historySnapshots) {
-  const snaps = historySnapshots || [];
-  if (snaps.length < 2) return null;
-
-  // last two snapshots
-  const prev = snaps[snaps.length - 2];
-  const curr = snaps[snaps.length - 1];
-
-  const liftsDiff = diffOpens(prev.lifts, curr.lifts);
-  const trailsDiff = diffOpens(prev.trails, curr.trails);
-
-  return { prev, curr, liftsDiff, trailsDiff };
-}
-
-if (TEST_ALWAYS_EVENT) {
-  const diff = diffFromLastSnapshot(history.snapshots);
-
-  if (!diff) {
-    console.log("[test-event] Not enough history yet to build caption (need 2 snapshots).");
-  } else {
-    const { prev, curr, liftsDiff, trailsDiff } = diff;
-
-    const openedCount = liftsDiff.opened.length + trailsDiff.opened.length;
-    const closedCount = liftsDiff.closed.length + trailsDiff.closed.length;
-
-    // Build caption even if no changes; you can decide how you want to handle that
-    let caption = buildCaption({
-      liftsOpened: liftsDiff.opened,
-      trailsOpened: trailsDiff.opened,
-      liftsClosed: liftsDiff.closed,
-      trailsClosed: trailsDiff.closed
-    });
-
-    if (!caption) {
-      // If buildCaption returns "" (no opens/closes), make a basic status line
-      caption = "Cypress update\n\nno lift/run status changes today since last check.";
-    }
-
-    // Unique key each run so you can see it changing
-    const eventKey = `test_${curr.fetched_at}`;
-
-    const event = {
-      key: eventKey,
-      created_at: new Date().toISOString(),
-      compare: {
-        from: { label: "previous_fetch", fetched_at: prev.fetched_at },
-        to:   { label: "latest_fetch", fetched_at: curr.fetched_at }
-      },
-      summary: {
-        opened_total: openedCount,
-        closed_total: closedCount,
-        opened_lifts: liftsDiff.opened.length,
-        closed_lifts: liftsDiff.closed.length,
-        opened_trails: trailsDiff.opened.length,
-        closed_trails: trailsDiff.closed.length
-      },
-      details: {
-        lifts: liftsDiff,
-        trails: trailsDiff
-      },
-      placeholders: {
-        screenshot_path: null,
-        instagram_posted: false,     // force post each run (TESTING)
-        instagram_post_id: null,
-        caption
-      }
-    };
-
-    await fs.writeFile(EVENT_FILE, JSON.stringify(event, null, 2));
-    console.log(`[test-event] Wrote ${EVENT_FILE} (opened=${openedCount}, closed=${closedCount})`);
-  }
-}
-
-// TEST RUN CODE - REMOVE
-
-// if (process.env.CAPTION_TEST === "1") {
-//   const fake = buildCaption({
-//     liftsOpened: ["Eagle Express"],
-//     trailsOpened: ["Panorama", "Collins", "Gibsons", "Ripcord"],
-//     liftsClosed: [],
-//     trailsClosed: []
-//   });
-//   console.log("\n--- CAPTION_TEST ---\n" + fake + "\n--------------------\n");
-//   process.exit(0);
-// }
-
@@ -0,0 +1,30 @@
+// scripts/lib/adapters/index.mjs
+// Source adapters turn an upstream payload into a common shape:
+//
+//   {
+//     source_updated, lifts_updated, trails_updated,   // ISO strings or null
+//     operations,                                       // object or null
+//     conditions: { snow, weather },                    // source objects or null (lib/conditions.mjs)
+//     lifts:  [{ name, status }],                       // raw upstream status strings
+//     trails: [{ name, status }]
+//   }
+//
+// Filtering to mapped names and normalizeStatus() happen in the fetcher, not here.
+// An adapter may also export validate(data, source) -> [problems], a shape check run
+// before parse() so a broken payload is refused instead of parsed into nothing (lib/source.mjs).
+import reportpal from "./reportpal.mjs";
+import jsonpath from "./jsonpath.mjs";
+
+const ADAPTERS = { reportpal, jsonpath };
+
+export function getAdapter(name) {
+  const adapter = ADAPTERS[name];
+  if (!adapter) {
+    throw new Error(`Unknown source adapter "${name}" (have: ${Object.keys(ADAPTERS).join(", ")})`);
+  }
+  return adapter;
+}
+
+export function adapterNames() {
+  return Object.keys(ADAPTERS);
+}
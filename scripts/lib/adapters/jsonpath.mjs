@@ -0,0 +1,151 @@
+// scripts/lib/adapters/jsonpath.mjs
+// Generic adapter for any JSON feed, driven by paths in resorts.json:
+//
+//   "source": {
+//     "url": "...",
+//     "adapter": "jsonpath",
+//     "paths": {
+//       "lifts": "$.lifts[*]",            // list of lift objects
+//       "trails": "$.areas[*].runs[*]",   // list of trail objects
+//       "name": "$.title",                // relative to each item
+//       "status": "$.state",              // relative to each item
+//       "updated": "$.meta.lastUpdated",  // optional
+//       "operations": "$.hours",          // optional
+//       "snow": "$.report.snow",          // optional, see lib/conditions.mjs
+//       "weather": "$.report.weather",    // optional
+//       "difficulty": "$.rating",         // optional per-item details (see lib/details.mjs):
+//       "groomed": "$.groomed",           //   difficulty, groomed, night, type, wait
+//       "night": "$.night"
+//     }
+//   }
+//
+// Supported syntax: $, .key, ["key"], [n], [*]. Paths may also be an array of
+// fallbacks (first non-empty wins), e.g. "status": ["$.statusIcon", "$.status"].
+
+function tokenize(path) {
+  const src = String(path).trim();
+  if (!src.startsWith("$")) throw new Error(`jsonpath: "${path}" must start with $`);
+
+  const tokens = [];
+  let i = 1;
+
+  while (i < src.length) {
+    const ch = src[i];
+
+    if (ch === ".") {
+      const m = /^\.([A-Za-z_$][\w$-]*)/.exec(src.slice(i));
+      if (!m) throw new Error(`jsonpath: bad key at ${i} in "${path}"`);
+      tokens.push({ key: m[1] });
+      i += m[0].length;
+      continue;
+    }
+
+    if (ch === "[") {
+      const m = /^\[(\*|\d+|"[^"]*"|'[^']*')\]/.exec(src.slice(i));
+      if (!m) throw new Error(`jsonpath: bad bracket at ${i} in "${path}"`);
+      const inner = m[1];
+      if (inner === "*") tokens.push({ wildcard: true });
+      else if (/^\d+$/.test(inner)) tokens.push({ index: Number(inner) });
+      else tokens.push({ key: inner.slice(1, -1) });
+      i += m[0].length;
+      continue;
+    }
+
+    throw new Error(`jsonpath: unexpected "${ch}" at ${i} in "${path}"`);
+  }
+
+  return tokens;
+}
+
+// Returns every value matched by path (wildcards fan out)
+export function queryAll(root, path) {
+  let current = [root];
+
+  for (const t of tokenize(path)) {
+    const next = [];
+    for (const v of current) {
+      if (v === null || v === undefined) continue;
+
+      if (t.wildcard) {
+        if (Array.isArray(v)) next.push(...v);
+        else if (typeof v === "object") next.push(...Object.values(v));
+      } else if (t.index !== undefined) {
+        if (Array.isArray(v) && t.index < v.length) next.push(v[t.index]);
+      } else if (typeof v === "object" && t.key in v) {
+        next.push(v[t.key]);
+      }
+    }
+    current = next;
+  }
+
+  return current.filter(v => v !== undefined);
+}
+
+// First match of the first path (in a fallback list) that matches anything non-empty
+export function queryFirst(root, paths) {
+  for (const p of [].concat(paths ?? [])) {
+    const hit = queryAll(root, p).find(v => v !== null && v !== "");
+    if (hit !== undefined) return hit;
+  }
+  return null;
+}
+
+const DETAIL_FIELDS = ["difficulty", "groomed", "night", "type", "wait"];
+
+function collect(data, listPath, paths) {
+  if (!listPath) return [];
+
+  const out = [];
+  for (const item of queryAll(data, listPath)) {
+    const name = queryFirst(item, paths.name ?? "$.name");
+    if (!name) continue;
+    const entry = { name: String(name), status: queryFirst(item, paths.status ?? "$.status") };
+    for (const field of DETAIL_FIELDS) {
+      if (paths[field]) entry[field] = queryFirst(item, paths[field]);
+    }
+    out.push(entry);
+  }
+  return out;
+}
+
+function parse(data, source = {}) {
+  const paths = source.paths ?? {};
+  if (!paths.lifts && !paths.trails) {
+    throw new Error("jsonpath adapter needs source.paths.lifts and/or source.paths.trails");
+  }
+
+  const updated = paths.updated ? queryFirst(data, paths.updated) : null;
+
+  return {
+    source_updated: updated,
+    lifts_updated: paths.liftsUpdated ? queryFirst(data, paths.liftsUpdated) : updated,
+    trails_updated: paths.trailsUpdated ? queryFirst(data, paths.trailsUpdated) : updated,
+    operations: paths.operations ? queryFirst(data, paths.operations) : null,
+    conditions: {
+      snow: paths.snow ? queryFirst(data, paths.snow) : null,
+      weather: paths.weather ? queryFirst(data, paths.weather) : null
+    },
+    lifts: collect(data, paths.lifts, paths),
+    trails: collect(data, paths.trails, paths)
+  };
+}
+
+// Shape check before parse() (lib/source.mjs): the configured lists must exist and
+// hold at least one named item between them
+function validate(data, source = {}) {
+  const paths = source.paths ?? {};
+  const problems = [];
+  let named = 0;
+
+  for (const key of ["lifts", "trails"]) {
+    if (!paths[key]) continue;
+    const items = queryAll(data, paths[key]);
+    if (!items.length) problems.push(`${paths[key]} matches nothing`);
+    named += collect(data, paths[key], paths).length;
+  }
+
+  if (!named && !problems.length) problems.push("no named lifts or trails");
+  return problems;
+}
+
+export default { name: "jsonpath", parse, validate };
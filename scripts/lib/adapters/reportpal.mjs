@@ -0,0 +1,83 @@
+// scripts/lib/adapters/reportpal.mjs
+// ReportPal (Cypress: /api/reportpal?resortName=cy&useReportPal=true)
+
+// First non-empty of several spellings (ReportPal feeds differ between resorts)
+function pick(obj, keys) {
+  for (const k of keys) {
+    if (obj?.[k] !== undefined && obj[k] !== null && obj[k] !== "") return obj[k];
+  }
+  return null;
+}
+
+function parse(data) {
+  const lifts = [];
+  const trails = [];
+
+  const areas = data?.facilities?.areas?.area ?? [];
+  for (const area of areas) {
+    for (const lift of (area?.lifts?.lift ?? [])) {
+      if (!lift?.name) continue;
+      lifts.push({
+        name: lift.name,
+        status: lift.statusIcon || lift.status,
+        type: pick(lift, ["type", "liftType"]),
+        wait: pick(lift, ["waitTime", "waitTimeInMinutes", "wait"]),
+        night: pick(lift, ["nightSkiing", "night"])
+      });
+    }
+
+    for (const trail of (area?.trails?.trail ?? [])) {
+      if (!trail?.name) continue;
+      trails.push({
+        name: trail.name,
+        status: trail.statusIcon || trail.status,
+        difficulty: pick(trail, ["difficulty", "difficultyIcon", "rating"]),
+        groomed: pick(trail, ["groomed", "grooming", "groomingStatus"]),
+        night: pick(trail, ["nightSkiing", "night"])
+      });
+    }
+  }
+
+  return {
+    source_updated: data?.updated ?? null,
+    lifts_updated: data?.liftsUpdated ?? null,
+    trails_updated: data?.trailsUpdated ?? null,
+    operations: data?.operations ?? null,
+    conditions: {
+      snow: pick(data, ["snowReport", "snow", "snowConditions"]),
+      weather: pick(data, ["weather", "currentConditions", "weatherReport"])
+    },
+    lifts,
+    trails
+  };
+}
+
+// Shape check before parse() (lib/source.mjs): an error page or a half-empty payload
+// must not reach status.json. Entries without a name are skipped by parse(), not errors.
+function validate(data) {
+  const areas = data?.facilities?.areas?.area;
+  if (!Array.isArray(areas)) return ["facilities.areas.area is not an array"];
+
+  const problems = [];
+  let named = 0;
+  areas.forEach((area, i) => {
+    for (const [key, inner] of [["lifts", "lift"], ["trails", "trail"]]) {
+      const list = area?.[key]?.[inner];
+      if (list === undefined || list === null) continue;
+      if (!Array.isArray(list)) {
+        problems.push(`area[${i}].${key}.${inner} is not an array`);
+        continue;
+      }
+      for (const item of list) {
+        if (item?.name === undefined || item.name === null || item.name === "") continue;
+        if (typeof item.name !== "string") problems.push(`area[${i}].${key}.${inner}: name ${JSON.stringify(item.name)} is not a string`);
+        else named++;
+      }
+    }
+  });
+
+  if (!named) problems.push("no named lifts or trails in any area");
+  return problems;
+}
+
+export default { name: "reportpal", parse, validate };
@@ -0,0 +1,84 @@
+// scripts/lib/api-contract.mjs
+// The public API contract (api/v1/, lib/api.mjs): every file matches its JSON Schema in
+// schemas/api/v1/, and the files agree with each other. Used by check-api.mjs (replayed
+// fixtures) and `cypress-status check` (a data dir).
+import fs from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { slugMap } from "./api.mjs";
+import { validate } from "./json-schema.mjs";
+
+export const SCHEMA_DIR = fileURLToPath(new URL("../../schemas/api/v1/", import.meta.url));
+
+async function readJson(file, errors) {
+  try {
+    return JSON.parse(await fs.readFile(file, "utf8"));
+  } catch (err) {
+    errors.push(`${path.basename(file)}: ${err.message}`);
+    return null;
+  }
+}
+
+async function listJson(dir) {
+  try {
+    return (await fs.readdir(dir)).filter(n => n.endsWith(".json")).sort();
+  } catch {
+    return [];
+  }
+}
+
+// Problems with the api/v1/ files in apiDir -> { errors, days } (days = history day files).
+// mapped = { lifts, trails } overlay names, to check the slugs against (optional)
+export async function checkApiContract(apiDir, schemas, mapped = null) {
+  const errors = [];
+  const check = (name, rel, json) => {
+    if (json) for (const e of validate(schemas, name, json)) errors.push(`${rel}: ${e}`);
+  };
+
+  const status = await readJson(path.join(apiDir, "status.json"), errors);
+  check("status.schema.json", "status.json", status);
+  check("changes.schema.json", "changes.json", await readJson(path.join(apiDir, "changes.json"), errors));
+
+  for (const [key, kind] of [["lifts", "lift"], ["trails", "trail"]]) {
+    const listed = status?.[key] ?? [];
+    const files = await listJson(path.join(apiDir, key));
+
+    const slugs = listed.map(i => i.slug);
+    const dupes = slugs.filter((s, i) => slugs.indexOf(s) !== i);
+    if (dupes.length) errors.push(`status.json ${key}: duplicate slugs ${[...new Set(dupes)].join(", ")}`);
+
+    for (const item of listed) {
+      if (!files.includes(`${item.slug}.json`)) errors.push(`status.json lists ${kind} "${item.slug}" but ${key}/${item.slug}.json is missing`);
+    }
+    for (const file of files) {
+      const rel = `${key}/${file}`;
+      const json = await readJson(path.join(apiDir, key, file), errors);
+      check("item.schema.json", rel, json);
+      if (!json) continue;
+      if (`${json.slug}.json` !== file) errors.push(`${rel}: slug is "${json.slug}"`);
+      if (json.kind !== kind) errors.push(`${rel}: kind is "${json.kind}"`);
+      if (!slugs.includes(json.slug)) errors.push(`${rel}: not listed in status.json`);
+    }
+
+    // Slugs are part of the contract: one per overlay, derived from its name
+    if (mapped) {
+      const expected = slugMap(mapped[key]);
+      for (const [name, slug] of expected) {
+        const item = listed.find(i => i.name === name);
+        if (!item) errors.push(`status.json: ${kind} overlay "${name}" is missing`);
+        else if (item.slug !== slug) errors.push(`status.json: ${kind} "${name}" has slug "${item.slug}", expected "${slug}"`);
+      }
+    }
+  }
+
+  const days = await listJson(path.join(apiDir, "history"));
+  if (!days.length) errors.push("history/: no day files");
+  for (const file of days) {
+    const rel = `history/${file}`;
+    const json = await readJson(path.join(apiDir, "history", file), errors);
+    check("history.schema.json", rel, json);
+    if (json && `${json.date}.json` !== file) errors.push(`${rel}: date is "${json.date}"`);
+  }
+
+  return { errors, days: days.length };
+}
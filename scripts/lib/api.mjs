@@ -0,0 +1,181 @@
+// scripts/lib/api.mjs
+// Versioned public API, written next to status.json under api/v1/. status.json follows
+// whatever the pipeline needs; these files only change shape with a new version, and
+// schemas/api/v1/ holds their JSON Schemas (check-api.mjs validates every file).
+//
+//   api/v1/status.json            every mapped lift/run with status + details, hours, conditions
+//   api/v1/lifts/<slug>.json      one lift, with its recent changes
+//   api/v1/trails/<slug>.json     one run, likewise
+//   api/v1/history/<date>.json    the snapshots of one resort-local day
+//   api/v1/changes.json           the rolling change feed (lib/changes.mjs)
+//
+// Slugs come from the overlay names ("Benny's" -> "bennys"), so they stay
+// put unless an overlay is renamed; renames upstream go through aliases.json instead.
+import fs from "node:fs/promises";
+import path from "node:path";
+import { getTzParts, ymdKey } from "./time.mjs";
+
+export const API_DIR = "api/v1";
+export const API_VERSION = 1;
+export const SCHEMA_BASE_URL = "https://raw.githubusercontent.com/harrmony/cypress-status-map/main/schemas/api/v1/";
+
+const ITEM_CHANGES = 20;
+
+const KINDS = [
+  { kind: "lift", key: "lifts" },
+  { kind: "trail", key: "trails" }
+];
+
+export function slugify(name) {
+  return String(name)
+    .normalize("NFKD").replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/['’.]/g, "")
+    .replace(/&/g, " and ")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "") || "item";
+}
+
+// name -> slug for one kind. Sorted first, so a clash ("T-Bar" / "T Bar") always
+// resolves the same way; check-overlays.mjs reports clashes so they get renamed.
+export function slugMap(names) {
+  const out = new Map();
+  const used = new Set();
+  for (const name of [...names].sort()) {
+    const base = slugify(name);
+    let slug = base;
+    for (let n = 2; used.has(slug); n++) slug = `${base}-${n}`;
+    used.add(slug);
+    out.set(name, slug);
+  }
+  return out;
+}
+
+const str = (v) => (v === null || v === undefined || v === "" ? null : String(v));
+
+// The source's operations object, pinned to a fixed set of keys
+function apiOperations(ops) {
+  return {
+    resort_status: str(ops?.resortStatus),
+    open_time: str(ops?.openTime),
+    close_time: str(ops?.closeTime),
+    night_open_time: str(ops?.nightOpenTime),
+    night_close_time: str(ops?.nightCloseTime),
+    uphill_status: str(ops?.uphillStatus)
+  };
+}
+
+function apiConditions(c) {
+  if (!c) return null;
+  const { base_cm, snow_24h_cm, snow_48h_cm, snow_7d_cm, season_cm, temperature_c, weather, updated } = c;
+  return { base_cm, snow_24h_cm, snow_48h_cm, snow_7d_cm, season_cm, temperature_c, weather: str(weather), updated: str(updated) };
+}
+
+function liftFields(d) {
+  return { type: str(d?.type), wait_minutes: d?.wait_minutes ?? null, night: d?.night ?? null };
+}
+
+function trailFields(d) {
+  return { difficulty: d?.difficulty ?? null, groomed: d?.groomed ?? null, night: d?.night ?? null };
+}
+
+function header(schema, resort) {
+  return { $schema: `${SCHEMA_BASE_URL}${schema}`, api_version: API_VERSION, resort: resort.id };
+}
+
+// Every API file for this run, as { "relative/path.json": object }.
+// mapped = { lifts: Set, trails: Set } of overlay names; changes = changes.json (or null).
+export function buildApiFiles({ resort, status, history, changes, mapped }) {
+  const slugs = { lift: slugMap(mapped.lifts), trail: slugMap(mapped.trails) };
+  const files = {};
+
+  const items = {};
+  for (const { kind, key } of KINDS) {
+    const fields = kind === "lift" ? liftFields : trailFields;
+    items[key] = [...slugs[kind]].map(([name, slug]) => ({
+      slug,
+      name,
+      status: status[key]?.[name] ?? "unknown",
+      ...fields(status.details?.[key]?.[name])
+    })).sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  files["status.json"] = {
+    ...header("status.schema.json", resort),
+    name: resort.name,
+    time_zone: resort.timeZone,
+    fetched_at: status.fetched_at,
+    source_updated: str(status.source_updated),
+    next_update_at: status.next_update_at ?? null,
+    degraded: status.degraded ?? null,
+    operations: apiOperations(status.operations),
+    conditions: apiConditions(status.conditions),
+    lifts: items.lifts,
+    trails: items.trails
+  };
+
+  // Transitions of mapped items only, with their slug
+  const feed = (changes?.changes ?? [])
+    .filter(c => slugs[c.kind]?.has(c.name))
+    .map(c => ({ id: c.id, at: c.at, kind: c.kind, slug: slugs[c.kind].get(c.name), name: c.name, from: c.from, to: c.to }));
+
+  files["changes.json"] = {
+    ...header("changes.schema.json", resort),
+    started_at: changes?.started_at ?? status.fetched_at,
+    updated_at: changes?.updated_at ?? status.fetched_at,
+    changes: feed
+  };
+
+  for (const { kind, key } of KINDS) {
+    for (const item of items[key]) {
+      files[`${key}/${item.slug}.json`] = {
+        ...header("item.schema.json", resort),
+        kind,
+        ...item,
+        fetched_at: status.fetched_at,
+        changes: feed
+          .filter(c => c.kind === kind && c.slug === item.slug)
+          .slice(-ITEM_CHANGES)
+          .map(({ at, from, to }) => ({ at, from, to }))
+      };
+    }
+  }
+
+  // Today's file only: history.json holds all of today, but not all of yesterday
+  const day = ymdKey(getTzParts(new Date(status.fetched_at), resort.timeZone));
+  const bySlug = (kind, statuses) => Object.fromEntries(
+    Object.entries(statuses ?? {}).filter(([name]) => slugs[kind].has(name)).map(([name, s]) => [slugs[kind].get(name), s])
+  );
+  files[`history/${day}.json`] = {
+    ...header("history.schema.json", resort),
+    date: day,
+    time_zone: resort.timeZone,
+    snapshots: (history?.snapshots ?? [])
+      .filter(s => ymdKey(getTzParts(new Date(s.fetched_at), resort.timeZone)) === day)
+      .map(s => ({ fetched_at: s.fetched_at, lifts: bySlug("lift", s.lifts), trails: bySlug("trail", s.trails) }))
+  };
+
+  return files;
+}
+
+// Write the files under apiDir. Lift/run files whose overlay is gone are removed;
+// history days are kept.
+export async function writeApi(apiDir, files) {
+  for (const [rel, json] of Object.entries(files)) {
+    const file = path.join(apiDir, rel);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, JSON.stringify(json, null, 2));
+  }
+
+  for (const { key } of KINDS) {
+    let names = [];
+    try {
+      names = await fs.readdir(path.join(apiDir, key));
+    } catch {
+      continue;
+    }
+    for (const name of names) {
+      if (!Object.hasOwn(files, `${key}/${name}`)) await fs.rm(path.join(apiDir, key, name), { force: true });
+    }
+  }
+}
@@ -0,0 +1,240 @@
+// scripts/lib/archive.mjs
+// Long-term, append-only status archive (history.json only keeps 48h).
+//
+// <dataDir>/archive/YYYY-MM-DD.ndjson, one file per resort-local day, one JSON per line:
+//   {"type":"state","t":"...","lifts":{...},"trails":{...}}   first fetch of the day (or after a gap)
+//   {"type":"change","t":"...","kind":"lift","name":"Eagle Express","from":"closed","to":"open"}
+//   {"type":"seen","t":"..."}                                  heartbeat, at most hourly with no changes
+//
+// Only transitions are stored; the heartbeat lets stats know how long a state lasted.
+import fs from "node:fs/promises";
+import path from "node:path";
+import { getTzParts, ymdKey } from "./time.mjs";
+
+export const ARCHIVE_DIR = "archive";
+const HEARTBEAT_MS = 60 * 60 * 1000;
+
+const KINDS = [
+  { kind: "lift", key: "lifts" },
+  { kind: "trail", key: "trails" }
+];
+
+function localDay(iso, timeZone) {
+  return ymdKey(getTzParts(new Date(iso), timeZone));
+}
+
+async function readLines(file) {
+  let text;
+  try {
+    text = await fs.readFile(file, "utf8");
+  } catch {
+    return null;
+  }
+
+  const out = [];
+  for (const line of text.split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      out.push(JSON.parse(line));
+    } catch {
+      // a torn last line (killed mid-write) shouldn't poison the whole day
+    }
+  }
+  return out;
+}
+
+// Item-level transitions between two snapshots (null = not in that snapshot)
+export function diffSnapshots(prev, curr) {
+  const changes = [];
+
+  for (const { kind, key } of KINDS) {
+    const before = prev?.[key] ?? {};
+    const after = curr?.[key] ?? {};
+    const names = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+    for (const name of [...names].sort()) {
+      const from = before[name] ?? null;
+      const to = after[name] ?? null;
+      if (from !== to) changes.push({ kind, name, from, to });
+    }
+  }
+
+  return changes;
+}
+
+// Append this fetch to the archive. prev = the previous snapshot (or null).
+export async function appendToArchive(archiveDir, snapshot, prev, timeZone) {
+  const t = snapshot.fetched_at;
+  const file = path.join(archiveDir, `${localDay(t, timeZone)}.ndjson`);
+
+  await fs.mkdir(archiveDir, { recursive: true });
+  const existing = await readLines(file);
+
+  const records = [];
+
+  // New day, or no previous snapshot to diff against -> keyframe
+  const prevSameDay = prev && localDay(prev.fetched_at, timeZone) === localDay(t, timeZone);
+  if (!existing?.length || !prevSameDay) {
+    records.push({ type: "state", t, lifts: snapshot.lifts ?? {}, trails: snapshot.trails ?? {} });
+  } else {
+    for (const c of diffSnapshots(prev, snapshot)) records.push({ type: "change", t, ...c });
+
+    const lastMs = Date.parse(existing[existing.length - 1]?.t);
+    if (!records.length && (!Number.isFinite(lastMs) || Date.parse(t) - lastMs >= HEARTBEAT_MS)) {
+      records.push({ type: "seen", t });
+    }
+  }
+
+  if (records.length) {
+    await fs.appendFile(file, records.map(r => JSON.stringify(r)).join("\n") + "\n");
+  }
+  return records;
+}
+
+// -> [{ day, records }] sorted by day, optionally limited to from..to (YYYY-MM-DD, inclusive)
+export async function readArchive(archiveDir, { from = null, to = null } = {}) {
+  let names;
+  try {
+    names = await fs.readdir(archiveDir);
+  } catch {
+    return [];
+  }
+
+  const days = names
+    .map(n => /^(\d{4}-\d{2}-\d{2})\.ndjson$/.exec(n)?.[1])
+    .filter(Boolean)
+    .filter(d => (!from || d >= from) && (!to || d <= to))
+    .sort();
+
+  const out = [];
+  for (const day of days) {
+    const records = (await readLines(path.join(archiveDir, `${day}.ndjson`))) ?? [];
+    records.sort((a, b) => Date.parse(a.t) - Date.parse(b.t));
+    out.push({ day, records });
+  }
+  return out;
+}
+
+// ---- Season statistics ----
+
+function blankStats() {
+  return {
+    open_days: 0,
+    first_open: null,
+    last_open: null,
+    open_hours: 0,
+    on_hold_count: 0,
+    on_hold_days: 0
+  };
+}
+
+// Per lift/trail: open days, first/last open date, total open hours, on-hold frequency.
+// A state lasts until the item's next change, capped at the day's last archived record
+// (intervals never run overnight). A day counts only what its own records say: the
+// keyframe appendToArchive writes first, then changes.
+export function computeStats(days) {
+  const state = { lift: new Map(), trail: new Map() };  // name -> { status, since }
+  const acc = { lift: new Map(), trail: new Map() };    // name -> { stats, openDays:Set, holdDays:Set }
+
+  function entry(kind, name) {
+    if (!acc[kind].has(name)) acc[kind].set(name, { stats: blankStats(), openDays: new Set(), holdDays: new Set() });
+    return acc[kind].get(name);
+  }
+
+  function setStatus(kind, name, status, ms, day) {
+    const cur = state[kind].get(name);
+    if (cur?.status === "open") entry(kind, name).stats.open_hours += (ms - cur.since) / 3_600_000;
+    if (status === "on-hold" && cur?.status !== "on-hold") entry(kind, name).stats.on_hold_count++;
+
+    if (status === null) state[kind].delete(name);
+    else state[kind].set(name, { status, since: ms });
+
+    markDay(kind, name, status, day);
+  }
+
+  function markDay(kind, name, status, day) {
+    if (status === "open") entry(kind, name).openDays.add(day);
+    else if (status === "on-hold") entry(kind, name).holdDays.add(day);
+    else if (status !== null) entry(kind, name);
+  }
+
+  for (const { day, records } of days) {
+    if (!records.length) continue;
+    const dayStartMs = Date.parse(records[0].t);
+
+    // Carried-over states restart at the first record of the day
+    for (const kind of ["lift", "trail"]) {
+      for (const cur of state[kind].values()) cur.since = dayStartMs;
+    }
+
+    for (const r of records) {
+      const ms = Date.parse(r.t);
+      if (!Number.isFinite(ms)) continue;
+
+      if (r.type === "state") {
+        for (const { kind, key } of KINDS) {
+          const next = r[key] ?? {};
+          const names = new Set([...state[kind].keys(), ...Object.keys(next)]);
+          for (const name of names) {
+            const status = next[name] ?? null;
+            if (state[kind].get(name)?.status !== status) setStatus(kind, name, status, ms, day);
+            else markDay(kind, name, status, day);
+          }
+        }
+      } else if (r.type === "change" && state[r.kind]) {
+        setStatus(r.kind, r.name, r.to, ms, day);
+      }
+    }
+
+    // Close the day at its last record
+    const dayEndMs = Date.parse(records[records.length - 1].t);
+    for (const kind of ["lift", "trail"]) {
+      for (const [name, cur] of state[kind]) {
+        if (cur.status === "open") entry(kind, name).stats.open_hours += (dayEndMs - cur.since) / 3_600_000;
+        cur.since = dayEndMs;
+      }
+    }
+  }
+
+  function finish(map) {
+    const out = {};
+    for (const name of [...map.keys()].sort()) {
+      const { stats, openDays, holdDays } = map.get(name);
+      const opened = [...openDays].sort();
+      out[name] = {
+        ...stats,
+        open_days: opened.length,
+        first_open: opened[0] ?? null,
+        last_open: opened[opened.length - 1] ?? null,
+        open_hours: Math.round(stats.open_hours * 100) / 100,
+        on_hold_days: holdDays.size
+      };
+    }
+    return out;
+  }
+
+  return {
+    days_archived: days.length,
+    first_day: days[0]?.day ?? null,
+    last_day: days[days.length - 1]?.day ?? null,
+    lifts: finish(acc.lift),
+    trails: finish(acc.trail)
+  };
+}
+
+const CSV_COLUMNS = ["kind", "name", "open_days", "first_open", "last_open", "open_hours", "on_hold_count", "on_hold_days"];
+
+function csvCell(v) {
+  const s = v === null || v === undefined ? "" : String(v);
+  return /[",\n]/.test(s) ? `"${s.replaceAll('"', '""')}"` : s;
+}
+
+export function statsToCsv(stats) {
+  const rows = [CSV_COLUMNS.join(",")];
+  for (const [kind, key] of [["lift", "lifts"], ["trail", "trails"]]) {
+    for (const [name, s] of Object.entries(stats[key] ?? {})) {
+      rows.push(CSV_COLUMNS.map(c => csvCell(c === "kind" ? kind : c === "name" ? name : s[c])).join(","));
+    }
+  }
+  return rows.join("\n") + "\n";
+}
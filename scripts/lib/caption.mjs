@@ -0,0 +1,87 @@
+// scripts/lib/caption.mjs
+// Event captions: "Cypress Update", the date, an optional conditions line, then a block
+// per change ("2 new runs open today" and the names). Wording and plurals come from the
+// message catalogs (lib/i18n.mjs); ig-templates.mjs parses this layout back into slides.
+import { DEFAULT_TIME_ZONE } from "./time.mjs";
+import { ASSETS_DIR } from "./resorts.mjs";
+import { DEFAULT_LANGUAGE, translator } from "./i18n.mjs";
+import { conditionsSummary } from "./conditions.mjs";
+
+function getTodayHeaderDate(timeZone = DEFAULT_TIME_ZONE, now = new Date(), locale = "en-CA") {
+  return new Intl.DateTimeFormat(locale, {
+    timeZone,
+    weekday: "long",
+    month: "long",
+    day: "numeric"
+  }).format(now);
+}
+
+// Caption text in `language` (a catalog in <assetsDir>/locales/, see lib/i18n.mjs)
+export function buildCaption({ liftsOpened, trailsOpened, liftsClosed, trailsClosed }, resort = { name: "Cypress", timeZone: DEFAULT_TIME_ZONE }, now = new Date(), { conditions = null, language = DEFAULT_LANGUAGE, assetsDir = ASSETS_DIR } = {}) {
+  const t = translator(language, assetsDir);
+  const lines = [];
+  const headerDate = getTodayHeaderDate(resort.timeZone, now, t.locale);
+
+  // Header on two lines
+  lines.push(t("caption.header", { resort: resort.name }));
+  lines.push(headerDate);
+
+  // Optional one-line snow/weather summary under the date
+  const summary = conditionsSummary(conditions, t);
+  if (summary) lines.push(summary);
+  lines.push("");
+
+  // "3 new runs open today" / "1 chair closed from today", then the names
+  function addBlock(key, items) {
+    if (!items || items.length === 0) return;
+
+    lines.push(t(key, { count: items.length }));
+
+    for (const name of items) lines.push(`  • ${name}`);
+  }
+
+  // OPENINGS
+  addBlock("caption.lifts_opened", liftsOpened);
+
+  if (liftsOpened?.length && trailsOpened?.length) {
+    lines.push("");
+  }
+
+  addBlock("caption.trails_opened", trailsOpened);
+
+  // Space before closures
+  if ((liftsClosed?.length || 0) + (trailsClosed?.length || 0) > 0) {
+    lines.push("");
+  }
+
+  // CLOSURES
+  addBlock("caption.lifts_closed", liftsClosed);
+
+  if (liftsClosed?.length && trailsClosed?.length) {
+    lines.push("");
+  }
+
+  addBlock("caption.trails_closed", trailsClosed);
+
+  return lines.join("\n").trim();
+}
+
+// One caption per language in resorts.json "caption.languages" -> event placeholders.
+// caption_image is the first language (the image has room for one); caption_ig has
+// them all, each followed by its own "Live map" line. `captions` is only written for
+// a non-default setup, so English-only events look as they always have.
+export function captionPlaceholders(changes, resort, now, { conditions = null, assetsDir = ASSETS_DIR } = {}) {
+  const languages = resort.caption?.languages ?? [DEFAULT_LANGUAGE];
+  const captions = {};
+  for (const language of languages) captions[language] = buildCaption(changes, resort, now, { conditions, language, assetsDir });
+
+  const caption_image = captions[languages[0]];
+  // IG caption includes the link, but the image caption does not
+  const caption_ig = languages.map((language) => {
+    const caption = captions[language];
+    return resort.mapUrl ? `${caption}\n\n${translator(language, assetsDir)("caption.live_map", { url: resort.mapUrl })}` : caption;
+  }).join("\n\n");
+
+  const bilingual = languages.length > 1 || languages[0] !== DEFAULT_LANGUAGE;
+  return bilingual ? { caption_image, caption_ig, captions } : { caption_image, caption_ig };
+}
@@ -0,0 +1,117 @@
+// scripts/lib/changes.mjs
+// Rolling per-item change feed (changes.json). Every fetch is diffed against the
+// previous snapshot and each lift/trail transition becomes one record:
+//
+//   { "id": "2026-01-14T18:05:00.000Z/lift/Lions Express", "at": "...",
+//     "kind": "lift", "name": "Lions Express",
+//     "from": "closed", "to": "open", "type": "closed→open",
+//     "prev_fetched_at": "..." }
+//
+// "started_at" is the instant from which the feed is complete: a consumer can
+// trust a window [a, b] only if started_at <= a (see netChanges).
+import fs from "node:fs/promises";
+import { diffSnapshots } from "./archive.mjs";
+
+export const CHANGES_FILE = "changes.json";
+export const CHANGES_VERSION = 1;
+const CHANGES_RETENTION_HOURS = 7 * 24;
+const CHANGES_MAX = 2000;
+
+export function transitionType(from, to) {
+  return `${from ?? "none"}→${to ?? "none"}`;
+}
+
+async function readFeed(file) {
+  try {
+    const feed = JSON.parse(await fs.readFile(file, "utf8"));
+    if (feed?.version === CHANGES_VERSION && Array.isArray(feed.changes)) return feed;
+  } catch {}
+  return null;
+}
+
+// Append this fetch's transitions. prev = previous snapshot (null breaks continuity).
+export async function appendChanges(file, resortId, snapshot, prev, { now = new Date() } = {}) {
+  const at = snapshot.fetched_at;
+  let feed = await readFeed(file);
+
+  // No feed yet, or we can't diff against the last one -> (re)start the feed here
+  const continuous = feed && prev && feed.updated_at === prev.fetched_at;
+  if (!feed || !continuous) {
+    feed = {
+      version: CHANGES_VERSION,
+      resort: resortId,
+      started_at: prev?.fetched_at ?? at,
+      updated_at: prev?.fetched_at ?? at,
+      changes: feed?.changes ?? []
+    };
+  }
+
+  const added = prev
+    ? diffSnapshots(prev, snapshot).map(c => ({
+        id: `${at}/${c.kind}/${c.name}`,
+        at,
+        kind: c.kind,
+        name: c.name,
+        from: c.from,
+        to: c.to,
+        type: transitionType(c.from, c.to),
+        prev_fetched_at: prev.fetched_at
+      }))
+    : [];
+
+  feed.changes.push(...added);
+  feed.updated_at = at;
+
+  // Roll: keep the last N hours (and never more than CHANGES_MAX records).
+  // Whatever falls off moves started_at forward.
+  const cutoffMs = now.getTime() - CHANGES_RETENTION_HOURS * 60 * 60 * 1000;
+  const kept = feed.changes.filter(c => Date.parse(c.at) >= cutoffMs);
+  const lastDropped = kept.length > CHANGES_MAX ? kept[kept.length - CHANGES_MAX - 1] : null;
+  feed.changes = kept.slice(-CHANGES_MAX);
+
+  let startedMs = Math.max(Date.parse(feed.started_at), cutoffMs);
+  if (lastDropped) startedMs = Math.max(startedMs, Date.parse(lastDropped.at));
+  feed.started_at = new Date(startedMs).toISOString();
+
+  await fs.writeFile(file, JSON.stringify(feed, null, 2));
+  return { feed, added };
+}
+
+// Does the feed hold every change in (fromIso, toIso]?
+export function feedCovers(feed, fromIso, toIso) {
+  if (!feed) return false;
+  const started = Date.parse(feed.started_at);
+  const updated = Date.parse(feed.updated_at);
+  return started <= Date.parse(fromIso) && updated >= Date.parse(toIso);
+}
+
+// Net effect of the changes in (fromIso, toIso], in diffOpens() shape:
+//   { lifts: { opened, closed }, trails: { opened, closed } }
+export function netChanges(feed, fromIso, toIso) {
+  const fromMs = Date.parse(fromIso);
+  const toMs = Date.parse(toIso);
+  const net = new Map(); // "kind/name" -> { kind, name, first, last }
+
+  for (const c of feed?.changes ?? []) {
+    const ms = Date.parse(c.at);
+    if (!(ms > fromMs && ms <= toMs)) continue;
+
+    const key = `${c.kind}/${c.name}`;
+    const cur = net.get(key);
+    if (cur) cur.last = c.to;
+    else net.set(key, { kind: c.kind, name: c.name, first: c.from, last: c.to });
+  }
+
+  const out = { lifts: { opened: [], closed: [] }, trails: { opened: [], closed: [] } };
+  for (const { kind, name, first, last } of net.values()) {
+    const bucket = kind === "lift" ? out.lifts : out.trails;
+    if (last === "open" && first !== "open") bucket.opened.push(name);
+    if (first === "open" && last !== "open") bucket.closed.push(name);
+  }
+
+  for (const b of [out.lifts, out.trails]) {
+    b.opened.sort();
+    b.closed.sort();
+  }
+  return out;
+}
@@ -0,0 +1,114 @@
+// scripts/lib/commands/check.mjs
+// cypress-status check [api] [feeds] [overlays]: the data dir as published, per resort
+// (all three by default)
+//   api       api/v1/ against schemas/api/v1/ and its own listings (lib/api-contract.mjs)
+//   feeds     feed.json / feed.xml against JSON Feed 1.1 / Atom 1.0 (lib/feed-validate.mjs)
+//   overlays  the names in status.json against the overlays (lib/overlays.mjs); a run
+//             renamed upstream otherwise just vanishes from the map
+//
+// Read-only. Fails on any problem except the overlay categories given to --allow
+// (geometry, unmapped, orphaned, near-miss, alias). The fixture checks live in
+// check-api.mjs, check-feeds.mjs and check-overlays.mjs.
+import fs from "node:fs/promises";
+import path from "node:path";
+import { dataPath } from "../resorts.mjs";
+import { STATUS_FILE } from "../pipeline.mjs";
+import { API_DIR } from "../api.mjs";
+import { loadSchemas } from "../json-schema.mjs";
+import { SCHEMA_DIR, checkApiContract } from "../api-contract.mjs";
+import { JSON_FEED_FILE, ATOM_FILE } from "../feeds.mjs";
+import { validateJsonFeed, validateAtom } from "../feed-validate.mjs";
+import { OVERLAY_CHECK_CATEGORIES, statusNames, overlayReport } from "../overlays.mjs";
+import { UsageError } from "./usage.mjs";
+
+export const description = "check the data dir's API files, feeds and status.json names against the schemas and overlays";
+export const args = "[api] [feeds] [overlays]";
+export const options = {
+  "--allow": "<category,...>"
+};
+
+async function readOrNull(p) {
+  try {
+    return await fs.readFile(p, "utf8");
+  } catch {
+    return null;
+  }
+}
+
+function report(label, errors, { warn = false } = {}) {
+  if (!errors.length) {
+    console.log(`[ok] ${label}`);
+    return 0;
+  }
+  const tag = warn ? "warn" : "fail";
+  (warn ? console.log : console.error)(`[${tag}] ${label}\n${errors.map(e => `  - ${e}`).join("\n")}`);
+  return warn ? 0 : 1;
+}
+
+async function checkApi(resort, config, { schemas }) {
+  const apiDir = dataPath(resort, API_DIR, config.dataDir);
+  if (!await readOrNull(path.join(apiDir, "status.json"))) {
+    console.log(`[skip] ${resort.id}: no ${API_DIR}/status.json yet`);
+    return 0;
+  }
+  const { errors, days } = await checkApiContract(apiDir, schemas);
+  return report(`${resort.id}: ${API_DIR} (${days} history day(s))`, errors);
+}
+
+async function checkFeeds(resort, config) {
+  let failed = 0;
+  const jsonText = await readOrNull(dataPath(resort, JSON_FEED_FILE, config.dataDir));
+  if (jsonText !== null) {
+    let json = null;
+    try {
+      json = JSON.parse(jsonText);
+    } catch (err) {
+      failed += report(`${resort.id}: ${JSON_FEED_FILE}`, [`not JSON: ${err.message}`]);
+    }
+    if (json) failed += report(`${resort.id}: ${JSON_FEED_FILE}`, validateJsonFeed(json));
+  }
+
+  const atom = await readOrNull(dataPath(resort, ATOM_FILE, config.dataDir));
+  if (atom !== null) failed += report(`${resort.id}: ${ATOM_FILE}`, validateAtom(atom));
+  return failed;
+}
+
+async function checkOverlays(resort, config, { allow }) {
+  const file = dataPath(resort, STATUS_FILE, config.dataDir);
+  const text = await readOrNull(file);
+  if (!text) {
+    console.log(`[skip] ${resort.id}: no ${file}`);
+    return 0;
+  }
+
+  const r = await overlayReport(resort, { api: statusNames(JSON.parse(text)), aliased: true, from: file }, config.assetsDir);
+  let failed = 0;
+  for (const c of OVERLAY_CHECK_CATEGORIES) {
+    failed += report(`${resort.id}: overlays ${c}`, r.problems[c], { warn: allow.has(c) });
+  }
+  if (r.warnings.length) report(`${resort.id}: aliases`, r.warnings, { warn: true });
+  return failed;
+}
+
+const CHECKS = { api: checkApi, feeds: checkFeeds, overlays: checkOverlays };
+
+export async function run({ resorts, config, options, positionals, log }) {
+  const checks = positionals.length ? positionals : Object.keys(CHECKS);
+  for (const c of checks) {
+    if (!CHECKS[c]) throw new UsageError(`check: unknown check "${c}" (have: ${Object.keys(CHECKS).join(", ")})`);
+  }
+
+  const allow = new Set((options["--allow"] ?? "").split(",").filter(Boolean));
+  for (const c of allow) {
+    if (!OVERLAY_CHECK_CATEGORIES.includes(c)) throw new UsageError(`--allow: unknown category "${c}" (have: ${OVERLAY_CHECK_CATEGORIES.join(", ")})`);
+  }
+
+  const schemas = checks.includes("api") ? await loadSchemas(SCHEMA_DIR) : null;
+  let failed = 0;
+  for (const resort of resorts) {
+    log.resort = resort.id;
+    for (const c of checks) failed += await CHECKS[c](resort, config, { schemas, allow });
+  }
+  delete log.resort;
+  return failed;
+}
@@ -0,0 +1,103 @@
+// scripts/lib/commands/event.mjs
+// cypress-status event: the Instagram caption slides (ig_post.png, ig_post_2.png, ...)
+// for the pending event.json of config instagram.resort, laid out with
+// instagram.template. A staged media host (github) also gets the slides and
+// map-story.png placed now, so the data commit pushes them before `cypress-status post`
+// hands their URLs to Instagram.
+//
+// --dry-run renders the slides without writing or placing anything.
+import fs from "node:fs/promises";
+import path from "node:path";
+import { dataPath } from "../resorts.mjs";
+import { EVENT_FILE } from "../pipeline.mjs";
+import { renderCaptionSlides, TEMPLATE_SUBDIR } from "../ig-templates.mjs";
+import { publishMedia, pruneMedia } from "../media-hosts/index.mjs";
+import { configPath } from "../config.mjs";
+import { STORY_IMAGE_FILE, eventCaptions, writeCaptionSlides, loadMediaHost } from "../instagram.mjs";
+
+export const description = "render the pending event's Instagram caption slides (ig_post*.png)";
+export const options = {
+  "--template": "<name>"
+};
+
+async function readJsonOrNull(p) {
+  try {
+    return JSON.parse(await fs.readFile(p, "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+async function exists(p) {
+  try {
+    await fs.access(p);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// The resort that posts to Instagram, if --resort didn't leave it out
+export function instagramResort({ resorts, config }) {
+  const resort = resorts.find(r => r.id === config.instagram.resort);
+  if (!resort) console.log(`[skip] Instagram posts for "${config.instagram.resort}" (config instagram.resort), not selected`);
+  return resort ?? null;
+}
+
+// -> the pending event of a resort (not posted yet, with a caption), or null after saying why not
+export async function pendingEvent(resort, config) {
+  const eventFile = dataPath(resort, EVENT_FILE, config.dataDir);
+  const event = await readJsonOrNull(eventFile);
+
+  if (!event) {
+    console.log(`[skip] No ${eventFile} found`);
+    return null;
+  }
+  if (!event.placeholders) {
+    console.log(`[skip] ${EVENT_FILE} has no placeholders`);
+    return null;
+  }
+  if (event.placeholders.instagram_posted) {
+    console.log(`[skip] Already posted (instagram_post_id=${event.placeholders.instagram_post_id})`);
+    return null;
+  }
+
+  const captions = eventCaptions(event.placeholders, config.assetsDir);
+  if (!captions) {
+    console.log("[skip] No caption found in event placeholders");
+    return null;
+  }
+  return { event, eventFile, captions };
+}
+
+export async function run(ctx) {
+  const { config, options, dryRun, log } = ctx;
+  const template = options["--template"] ?? config.instagram.template;
+
+  const resort = instagramResort(ctx);
+  if (!resort) return 0;
+  log.resort = resort.id;
+
+  const pending = await pendingEvent(resort, config);
+  if (!pending) return 0;
+
+  // The image carries caption_image only (no URL); long days become several slides
+  if (dryRun) {
+    const slides = await renderCaptionSlides(pending.captions.image, { template, dir: path.join(config.assetsDir, TEMPLATE_SUBDIR) });
+    console.log(`[dry-run] Would write ${slides.length} slide(s) for ${pending.event.key}`);
+    return 0;
+  }
+
+  const dir = dataPath(resort, ".", config.dataDir);
+  const slides = await writeCaptionSlides(pending.captions.image, dir, { template, assetsDir: config.assetsDir });
+
+  // A staged host (github) serves only what the next data commit pushes: place them now
+  const host = await loadMediaHost(configPath(config, config.instagram.mediaHost), { dataDir: config.dataDir });
+  if (host.impl.staged) {
+    const storyFile = path.join(dir, STORY_IMAGE_FILE);
+    const files = (await exists(storyFile)) ? [...slides, storyFile] : slides;
+    const placed = await publishMedia(host, files, { verify: false });
+    await pruneMedia(host, placed.map(m => m.name));
+  }
+  return 0;
+}
@@ -0,0 +1,116 @@
+// scripts/lib/commands/fetch.mjs
+// cypress-status fetch: the fetch -> status -> history -> event pipeline (lib/pipeline.mjs)
+// for each resort, or --explain which schedule rule applies at an instant.
+//
+// --dry-run runs the pipeline against a scratch copy of the data dir and lists the
+// files it would have changed.
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { assetPath } from "../resorts.mjs";
+import { loadSchedule, ruleAt, explainRule } from "../schedule.mjs";
+import { runResort } from "../pipeline.mjs";
+import { UsageError } from "./usage.mjs";
+
+export const description = "fetch each resort's source into status.json, history.json, event.json, feeds and api/";
+export const options = {
+  "--explain": "[ISO time]"
+};
+
+// --explain <ISO time>: print the schedule rule per resort (no fetch, no writes)
+async function explain({ resorts, config }, raw) {
+  const at = raw ? new Date(raw) : new Date();
+  if (!Number.isFinite(at.getTime())) throw new UsageError(`--explain: not an ISO time: ${raw}`);
+
+  for (const resort of resorts) {
+    const schedule = await loadSchedule(assetPath(resort.schedule, config.assetsDir));
+    console.log(explainRule(ruleAt(schedule, at, resort.timeZone), { resortId: resort.id, timeZone: resort.timeZone, at }));
+  }
+  return 0;
+}
+
+const SKIP = new Set([".git", "node_modules"]);
+
+async function listFiles(dir, rel = "") {
+  let entries;
+  try {
+    entries = await fs.readdir(path.join(dir, rel), { withFileTypes: true });
+  } catch {
+    return [];
+  }
+  const out = [];
+  for (const e of entries) {
+    if (SKIP.has(e.name)) continue;
+    const p = path.join(rel, e.name);
+    if (e.isDirectory()) out.push(...await listFiles(dir, p));
+    else out.push(p);
+  }
+  return out;
+}
+
+async function sameFile(a, b) {
+  try {
+    return (await fs.readFile(a)).equals(await fs.readFile(b));
+  } catch {
+    return false;
+  }
+}
+
+// Runs fn(scratchDir) on a copy of dataDir -> the relative paths it added, changed or removed
+async function inScratchCopy(dataDir, fn) {
+  const scratch = await fs.mkdtemp(path.join(os.tmpdir(), "cypress-status-dry-run-"));
+  try {
+    await fs.cp(dataDir, scratch, { recursive: true, filter: (src) => !SKIP.has(path.basename(src)) });
+    await fn(scratch);
+
+    const before = new Set(await listFiles(dataDir));
+    const after = await listFiles(scratch);
+    const changed = [];
+    for (const f of after) {
+      if (!before.has(f)) changed.push(`+ ${f}`);
+      else if (!await sameFile(path.join(dataDir, f), path.join(scratch, f))) changed.push(`~ ${f}`);
+    }
+    const kept = new Set(after);
+    for (const f of before) if (!kept.has(f)) changed.push(`- ${f}`);
+    return changed.sort((a, b) => a.slice(2).localeCompare(b.slice(2)));
+  } finally {
+    await fs.rm(scratch, { recursive: true, force: true });
+  }
+}
+
+async function fetchAll({ resorts, config, log }, dataRoot) {
+  // One resort failing shouldn't stop the others from updating
+  let failed = 0;
+  for (const resort of resorts) {
+    log.resort = resort.id;
+    console.log(`\n=== ${resort.name} (${resort.id}) → ${resort.dataDir} ===`);
+    try {
+      await runResort(resort, {
+        dataRoot,
+        assetsDir: config.assetsDir,
+        acceptVanished: config.fetch.acceptVanished,
+        testEvent: config.fetch.testEvent
+      });
+    } catch (err) {
+      console.error(`[error] ${resort.id}:`, err);
+      failed++;
+    }
+  }
+  delete log.resort;
+  return failed;
+}
+
+export async function run(ctx) {
+  if (ctx.options["--explain"] !== undefined) {
+    return explain(ctx, ctx.options["--explain"] === true ? null : ctx.options["--explain"]);
+  }
+
+  if (!ctx.dryRun) return fetchAll(ctx, ctx.config.dataDir);
+
+  let failed = 0;
+  const changed = await inScratchCopy(ctx.config.dataDir, async (scratch) => {
+    failed = await fetchAll(ctx, scratch);
+  });
+  console.log(`[dry-run] ${changed.length ? `would change ${changed.length} file(s) in ${ctx.config.dataDir}:\n${changed.join("\n")}` : "no files would change"}`);
+  return failed;
+}
@@ -0,0 +1,223 @@
+// scripts/lib/commands/post.mjs
+// cypress-status post [instagram] [notify] [alerts]: publishes what fetch found, to the
+// channels named (all three by default). One channel failing doesn't stop the others.
+//
+//   instagram  the pending event of config instagram.resort: caption slides (as a
+//              carousel on long days), then map-story.png as a story. Needs IG_USER_ID
+//              and IG_ACCESS_TOKEN; images go through the media host (lib/media-hosts/).
+//   notify     each resort's event.json to the targets in notifiers.json (webhooks,
+//              Discord/Slack, Mastodon, Bluesky); --target <id> for one.
+//   alerts     subscriber alerts for new changes.json records (lib/alerts.mjs);
+//              --subscriptions <file> reads a local list instead of the alerts API.
+//
+// Results are written back into event.json / alerts-state.json. --dry-run prints what
+// would be sent instead, and writes nothing.
+import fs from "node:fs/promises";
+import path from "node:path";
+import { dataPath } from "../resorts.mjs";
+import { EVENT_FILE } from "../pipeline.mjs";
+import { configPath } from "../config.mjs";
+import { renderCaptionSlides, TEMPLATE_SUBDIR } from "../ig-templates.mjs";
+import { publishMedia, pruneMedia, closeMediaHost } from "../media-hosts/index.mjs";
+import { STORY_IMAGE_FILE, writeCaptionSlides, loadMediaHost, instagramClient } from "../instagram.mjs";
+import { resolveTarget, notifyEvent } from "../notifiers/index.mjs";
+import { loadSubscriptions, buildSenders, runAlerts } from "../alerts.mjs";
+import { instagramResort, pendingEvent } from "./event.mjs";
+import { UsageError } from "./usage.mjs";
+
+export const description = "publish the event to Instagram and notifiers.json targets, and send subscriber alerts";
+export const args = "[instagram] [notify] [alerts]";
+export const options = {
+  "--template": "<name>",
+  "--media-config": "<media-host.json>",
+  "--notifiers": "<notifiers.json>",
+  "--target": "<id>",
+  "--subscriptions": "<file>"
+};
+export const CHANNELS = ["instagram", "notify", "alerts"];
+
+async function readJson(p) {
+  return JSON.parse(await fs.readFile(p, "utf8"));
+}
+
+async function writeJson(p, obj) {
+  await fs.writeFile(p, JSON.stringify(obj, null, 2));
+}
+
+async function exists(p) {
+  try {
+    await fs.access(p);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+async function postInstagram(ctx) {
+  const { config, options, dryRun, env } = ctx;
+  const template = options["--template"] ?? config.instagram.template;
+
+  const resort = instagramResort(ctx);
+  if (!resort) return 0;
+
+  // Only require IG credentials when we intend to post
+  const client = dryRun ? null : instagramClient({
+    ...config.instagram,
+    userId: env.IG_USER_ID,
+    accessToken: env.IG_ACCESS_TOKEN
+  });
+
+  const pending = await pendingEvent(resort, config);
+  if (!pending) return 0;
+  const { event, eventFile, captions } = pending;
+
+  const dir = dataPath(resort, ".", config.dataDir);
+  const storyFile = (await exists(path.join(dir, STORY_IMAGE_FILE))) ? path.join(dir, STORY_IMAGE_FILE) : null;
+
+  if (dryRun) {
+    const slides = await renderCaptionSlides(captions.image, { template, dir: path.join(config.assetsDir, TEMPLATE_SUBDIR) });
+    console.log(`[dry-run] Would post ${slides.length} slide(s) for ${event.key}, story ${storyFile ?? "from the first slide"}, caption:\n${captions.post}`);
+    return 0;
+  }
+
+  // 1) Image overlay uses the image caption ONLY (no URL); long days become several slides
+  const slides = await writeCaptionSlides(captions.image, dir, { template, assetsDir: config.assetsDir });
+  const hostFile = options["--media-config"] ? path.resolve(options["--media-config"]) : configPath(config, config.instagram.mediaHost);
+  const host = await loadMediaHost(hostFile, { dataDir: config.dataDir, env });
+
+  try {
+    // 2) Upload under content-hash names and make sure each URL serves exactly our bytes
+    //    before Instagram fetches it
+    const posted = await publishMedia(host, slides);
+    console.log(`[post] Using image_url=${posted[0].url}${posted.length > 1 ? ` (+${posted.length - 1} more slides)` : ""}`);
+
+    const mediaId = await client.postImages(posted.map(m => m.url), captions.post);
+    console.log(`[done] Published IG media id: ${mediaId}`);
+
+    // Record the post before anything else can fail, so the next run doesn't post it again
+    event.placeholders.instagram_posted = true;
+    event.placeholders.instagram_post_id = mediaId;
+    event.placeholders.instagram_slides = slides.length;
+    event.placeholders.instagram_media = posted.map(m => m.url);
+    await writeJson(eventFile, event);
+    console.log(`[done] Updated ${eventFile}`);
+
+    // ---- POST COPY TO STORY ----
+    let story = null;
+    try {
+      if (storyFile) {
+        try {
+          [story] = await publishMedia(host, [storyFile]);
+        } catch (err) {
+          console.warn(`[story] ${storyFile} not available (${err.message}); using the caption image`);
+        }
+      }
+
+      const storyMediaId = await client.postStory(story?.url ?? posted[0].url);
+      console.log(`[done] Story published id: ${storyMediaId}`);
+
+      event.placeholders.instagram_story_posted = true;
+      event.placeholders.instagram_story_id = storyMediaId;
+      await writeJson(eventFile, event);
+    } catch (err) {
+      console.error("[story] Failed to post story:", err.message);
+      // Don't fail whole job if story fails
+    }
+
+    // Old files only cost space; the next post prunes them again
+    try {
+      await pruneMedia(host, [...posted, story].filter(Boolean).map(m => m.name));
+    } catch (err) {
+      console.warn(`[media] Could not prune old media: ${err.message}`);
+    }
+  } finally {
+    await closeMediaHost(host);
+  }
+
+  return 0;
+}
+
+async function postNotify({ resorts, config, options, dryRun, env, log }) {
+  const only = options["--target"];
+  const configFile = options["--notifiers"] ? path.resolve(options["--notifiers"]) : configPath(config, config.notifiers.file);
+
+  const notifiers = await readJson(configFile);
+  let targets = (notifiers.targets ?? []).map(t => resolveTarget(t, env, notifiers));
+  if (only) targets = targets.filter(t => t.id === only);
+
+  if (!targets.length) {
+    console.log(`[skip] No notifier targets${only ? ` named ${only}` : ""} in ${configFile}`);
+    return 0;
+  }
+
+  let failed = 0;
+  for (const resort of resorts) {
+    log.resort = resort.id;
+    const eventFile = dataPath(resort, EVENT_FILE, config.dataDir);
+
+    let event;
+    try {
+      event = await readJson(eventFile);
+    } catch {
+      console.log(`[skip] ${resort.id}: no ${eventFile}`);
+      continue;
+    }
+
+    // Delivery state is written back into event.json after every target
+    console.log(`[notify] ${resort.id}: event ${event.key}`);
+    const result = await notifyEvent(event, resort, targets, {
+      dryRun,
+      maxEventAgeHours: notifiers.maxEventAgeHours,
+      save: (e) => writeJson(eventFile, e)
+    });
+    failed += result.failed.length;
+  }
+  return failed;
+}
+
+async function postAlerts({ resorts, config, options, dryRun, env, log }) {
+  const subscriptions = await loadSubscriptions(env, options["--subscriptions"]);
+  if (!subscriptions) {
+    console.log("[skip] No subscriptions source (set ALERTS_API_URL + ALERTS_ADMIN_TOKEN or pass --subscriptions)");
+    return 0;
+  }
+
+  const senders = await buildSenders(env);
+  let failed = 0;
+
+  for (const resort of resorts) {
+    log.resort = resort.id;
+    const result = await runAlerts(resort, subscriptions, senders, {
+      env,
+      dataRoot: config.dataDir,
+      dryRun,
+      maxChangeAgeHours: config.alerts.maxChangeAgeHours
+    });
+    console.log(`[alerts] ${resort.id}: ${result.sent} sent, ${result.failed} failed, ${result.limited} over daily limit`);
+    failed += result.failed;
+  }
+  return failed;
+}
+
+const POSTERS = { instagram: postInstagram, notify: postNotify, alerts: postAlerts };
+
+export async function run(ctx) {
+  const channels = ctx.positionals.length ? ctx.positionals : CHANNELS;
+  for (const c of channels) {
+    if (!POSTERS[c]) throw new UsageError(`post: unknown channel "${c}" (have: ${CHANNELS.join(", ")})`);
+  }
+
+  let failed = 0;
+  for (const channel of channels) {
+    ctx.log.channel = channel;
+    try {
+      failed += await POSTERS[channel](ctx);
+    } catch (err) {
+      console.error(`[error] ${channel}:`, err);
+      failed++;
+    }
+    delete ctx.log.resort;
+  }
+  delete ctx.log.channel;
+  return failed;
+}
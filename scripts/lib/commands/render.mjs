@@ -0,0 +1,75 @@
+// scripts/lib/commands/render.mjs
+// cypress-status render: the status map (lib/render-map.mjs) from each resort's
+// status.json into map-square.png, map-story.png and map-og.png next to it.
+// The Instagram story and the page's og:image / twitter:image use these.
+//
+//   cypress-status render --resort cypress --sizes og
+//   cypress-status render --status scripts/fixtures/replay/opening-day/expected/status.json --out /tmp
+//
+// Sizes, legend and timestamp default to config "render"; --dry-run renders without writing.
+import fs from "node:fs/promises";
+import path from "node:path";
+import { dataPath } from "../resorts.mjs";
+import { STATUS_FILE } from "../pipeline.mjs";
+import { loadOverlays } from "../overlays.mjs";
+import { MAP_IMAGE_SIZES, mapImageFile, renderMapImage } from "../render-map.mjs";
+import { UsageError } from "./usage.mjs";
+
+export const description = "render the status map images (map-square/story/og.png) from status.json";
+export const options = {
+  "--sizes": "<size,...>",
+  "--status": "<status.json>",
+  "--out": "<dir>",
+  "--no-legend": null,
+  "--no-timestamp": null
+};
+
+async function readJsonOrNull(p) {
+  try {
+    return JSON.parse(await fs.readFile(p, "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+export async function run({ resorts, config, options: opts, dryRun, log }) {
+  const sizes = opts["--sizes"] ? opts["--sizes"].split(",").filter(Boolean) : config.render.sizes;
+  for (const size of sizes) {
+    if (!MAP_IMAGE_SIZES[size]) throw new UsageError(`sizes: unknown size "${size}" (have: ${Object.keys(MAP_IMAGE_SIZES).join(", ")})`);
+  }
+
+  const options = {
+    legend: config.render.legend && !opts["--no-legend"],
+    timestamp: config.render.timestamp && !opts["--no-timestamp"],
+    assetsDir: config.assetsDir
+  };
+
+  for (const resort of resorts) {
+    log.resort = resort.id;
+    if (!resort.baseMap) {
+      console.log(`[skip] ${resort.id}: no baseMap`);
+      continue;
+    }
+
+    const statusFile = opts["--status"] ?? dataPath(resort, STATUS_FILE, config.dataDir);
+    const status = await readJsonOrNull(statusFile);
+    if (!status) {
+      console.log(`[skip] ${resort.id}: no ${statusFile}`);
+      continue;
+    }
+
+    const overlays = await loadOverlays(resort, config.assetsDir);
+    for (const size of sizes) {
+      const file = opts["--out"] ? path.join(opts["--out"], mapImageFile(size)) : dataPath(resort, mapImageFile(size), config.dataDir);
+      const png = await renderMapImage({ ...options, resort, status, size, overlays });
+      if (dryRun) {
+        console.log(`[dry-run] Would write ${file} (${png.length} bytes)`);
+      } else {
+        await fs.writeFile(file, png);
+        console.log(`[image] Wrote ${file}`);
+      }
+    }
+  }
+  delete log.resort;
+  return 0;
+}
@@ -0,0 +1,64 @@
+// scripts/lib/commands/stats.mjs
+// cypress-status stats: season statistics from the long-term archive
+// (<dataDir>/archive/*.ndjson): per lift/trail open days, first/last open date, total
+// open hours, on-hold frequency. Writes stats.json + stats.csv next to the archive.
+//
+//   cypress-status stats --resort cypress --from 2025-11-01 --to 2026-04-30
+//   cypress-status stats --out stats           # write into stats/<resort>/ instead
+//
+// --dry-run prints the summary without writing.
+import fs from "node:fs/promises";
+import path from "node:path";
+import { dataPath } from "../resorts.mjs";
+import { ARCHIVE_DIR, readArchive, computeStats, statsToCsv } from "../archive.mjs";
+import { UsageError } from "./usage.mjs";
+
+export const description = "season statistics from the archive (stats.json + stats.csv)";
+export const options = {
+  "--from": "<YYYY-MM-DD>",
+  "--to": "<YYYY-MM-DD>",
+  "--out": "<dir>"
+};
+
+const DAY_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+export async function run({ resorts, config, options, dryRun, log }) {
+  const from = options["--from"] ?? null;
+  const to = options["--to"] ?? null;
+  const outDir = options["--out"] ?? null;
+
+  for (const [flag, v] of [["--from", from], ["--to", to]]) {
+    if (v && !DAY_RE.test(v)) throw new UsageError(`${flag}: expected YYYY-MM-DD, got ${v}`);
+  }
+
+  for (const resort of resorts) {
+    log.resort = resort.id;
+    const days = await readArchive(dataPath(resort, ARCHIVE_DIR, config.dataDir), { from, to });
+    if (!days.length) {
+      console.log(`[stats] ${resort.id}: no archived days${from || to ? ` in ${from ?? "…"}..${to ?? "…"}` : ""}`);
+      continue;
+    }
+
+    const stats = {
+      resort: resort.id,
+      generated_at: new Date().toISOString(),
+      range: { from, to },
+      ...computeStats(days)
+    };
+
+    const dir = outDir ? path.join(outDir, resort.id) : dataPath(resort, ".", config.dataDir);
+    const summary = `${stats.days_archived} days (${stats.first_day} → ${stats.last_day}), ` +
+      `lifts=${Object.keys(stats.lifts).length}, trails=${Object.keys(stats.trails).length}`;
+    if (dryRun) {
+      console.log(`[dry-run] ${resort.id}: ${summary}, would write ${dir}/stats.{json,csv}`);
+      continue;
+    }
+
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(path.join(dir, "stats.json"), JSON.stringify(stats, null, 2));
+    await fs.writeFile(path.join(dir, "stats.csv"), statsToCsv(stats));
+    console.log(`[stats] ${resort.id}: ${summary} → ${dir}/stats.{json,csv}`);
+  }
+  delete log.resort;
+  return 0;
+}
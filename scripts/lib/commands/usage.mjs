@@ -0,0 +1,9 @@
+// scripts/lib/commands/usage.mjs
+// A command called the wrong way (unknown flag, bad value or argument). The CLI prints
+// just the message, with exit code 2, instead of a stack trace.
+export class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "UsageError";
+  }
+}
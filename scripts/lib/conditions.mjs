@@ -0,0 +1,129 @@
+// scripts/lib/conditions.mjs
+// Snow + weather numbers (status.json "conditions") and their daily history
+// (conditions.json), for the map's dashboard card and the optional caption line.
+//
+//   "conditions": { "base_cm": 182, "snow_24h_cm": 12, "snow_48h_cm": 20, "snow_7d_cm": 41,
+//                   "season_cm": 388, "temperature_c": -4, "weather": "Light snow", "updated": "..." }
+//
+// conditions.json keeps one row per resort-local day (the last reading of the day,
+// plus that day's temperature range) for CONDITIONS_DAYS days.
+import fs from "node:fs/promises";
+import { getTzParts, ymdKey } from "./time.mjs";
+import { translator } from "./i18n.mjs";
+
+export const CONDITIONS_FILE = "conditions.json";
+export const CONDITIONS_VERSION = 1;
+const CONDITIONS_DAYS = 30;
+const CM_PER_INCH = 2.54;
+
+// 45, "45", "45 cm", '18"', "18 in", { cm: 45 }, { value: 18, unit: "in" } -> cm
+export function toCm(v) {
+  if (v === null || v === undefined || v === "") return null;
+  if (typeof v === "number") return Number.isFinite(v) ? Math.round(v) : null;
+  if (typeof v === "object") {
+    if (v.cm !== undefined) return toCm(v.cm);
+    if (v.value !== undefined) return toCm(`${v.value} ${v.unit ?? "cm"}`);
+    return null;
+  }
+
+  const m = /^\s*(-?\d+(?:\.\d+)?)\s*(cm|centimet\w*|in|inch\w*|"|'')?\s*$/i.exec(String(v));
+  if (!m) return null;
+  const n = Number(m[1]);
+  const inches = m[2] && /^(in|inch|"|'')/i.test(m[2]);
+  return Math.round(inches ? n * CM_PER_INCH : n);
+}
+
+// -4, "-4", "-4°C", "25F", { c: -4 }, { value: 25, unit: "F" } -> °C
+export function toCelsius(v) {
+  if (v === null || v === undefined || v === "") return null;
+  if (typeof v === "number") return Number.isFinite(v) ? Math.round(v) : null;
+  if (typeof v === "object") {
+    if (v.c !== undefined) return toCelsius(v.c);
+    if (v.value !== undefined) return toCelsius(`${v.value}${v.unit ?? "C"}`);
+    return null;
+  }
+
+  const m = /^\s*(-?\d+(?:\.\d+)?)\s*°?\s*([CF])?\s*$/i.exec(String(v));
+  if (!m) return null;
+  const n = Number(m[1]);
+  return Math.round(m[2]?.toUpperCase() === "F" ? (n - 32) * 5 / 9 : n);
+}
+
+function pick(obj, keys) {
+  for (const k of keys) {
+    if (obj?.[k] !== undefined && obj[k] !== null && obj[k] !== "") return obj[k];
+  }
+  return null;
+}
+
+// Adapter output ({ snow, weather } as the source has them) -> conditions, or null
+export function normalizeConditions(raw) {
+  if (!raw) return null;
+  const snow = raw.snow ?? {};
+  const weather = raw.weather ?? {};
+
+  const out = {
+    base_cm: toCm(pick(snow, ["baseCm", "base", "baseDepth", "snowDepth", "midMountainBase"])),
+    snow_24h_cm: toCm(pick(snow, ["snow24h", "last24Hours", "newSnow24", "newSnow", "snowfall24h"])),
+    snow_48h_cm: toCm(pick(snow, ["snow48h", "last48Hours", "newSnow48", "snowfall48h"])),
+    snow_7d_cm: toCm(pick(snow, ["snow7d", "last7Days", "newSnow7Days", "snowfall7d"])),
+    season_cm: toCm(pick(snow, ["seasonTotal", "season", "snowfallSeason"])),
+    temperature_c: toCelsius(pick(weather, ["temperatureC", "temperature", "temp", "currentTemp"])),
+    weather: pick(weather, ["conditions", "description", "summary", "weather"]),
+    updated: pick(snow, ["updated", "lastUpdated"]) ?? pick(weather, ["updated", "lastUpdated"])
+  };
+
+  return Object.entries(out).some(([k, v]) => k !== "updated" && v !== null) ? out : null;
+}
+
+// "❄️ 12 cm new in 24h · Base 182 cm · -4°C" (empty string when there's nothing to say),
+// in the language of `t` (lib/i18n.mjs translator())
+export function conditionsSummary(c, t = translator()) {
+  if (!c) return "";
+  const parts = [];
+  if (c.snow_24h_cm) parts.push(t("caption.snow_24h", { cm: c.snow_24h_cm }));
+  else if (c.snow_48h_cm) parts.push(t("caption.snow_48h", { cm: c.snow_48h_cm }));
+  if (c.base_cm !== null) parts.push(t("caption.base", { cm: c.base_cm }));
+  if (c.temperature_c !== null) parts.push(t("caption.temperature", { degrees: c.temperature_c }));
+  if (c.weather && parts.length < 3) parts.push(String(c.weather));
+  return parts.join(" · ");
+}
+
+async function readHistory(file) {
+  try {
+    const json = JSON.parse(await fs.readFile(file, "utf8"));
+    if (json?.version === CONDITIONS_VERSION && Array.isArray(json.days)) return json;
+  } catch {}
+  return null;
+}
+
+// Fold this fetch's conditions into today's row of conditions.json
+export async function appendConditions(file, resortId, conditions, { now = new Date(), timeZone }) {
+  const history = (await readHistory(file)) ?? { version: CONDITIONS_VERSION, resort: resortId, days: [] };
+  if (!conditions) return history;
+
+  const day = ymdKey(getTzParts(now, timeZone));
+  let row = history.days.find(d => d.day === day);
+  if (!row) {
+    row = { day, temp_min_c: null, temp_max_c: null };
+    history.days.push(row);
+  }
+
+  const t = conditions.temperature_c;
+  Object.assign(row, {
+    base_cm: conditions.base_cm,
+    snow_24h_cm: conditions.snow_24h_cm,
+    season_cm: conditions.season_cm,
+    temperature_c: t,
+    temp_min_c: t === null ? row.temp_min_c : Math.min(t, row.temp_min_c ?? t),
+    temp_max_c: t === null ? row.temp_max_c : Math.max(t, row.temp_max_c ?? t),
+    fetched_at: now.toISOString()
+  });
+
+  history.days.sort((a, b) => a.day.localeCompare(b.day));
+  history.days = history.days.slice(-CONDITIONS_DAYS);
+  history.updated_at = now.toISOString();
+
+  await fs.writeFile(file, JSON.stringify(history, null, 2));
+  return history;
+}
@@ -0,0 +1,175 @@
+// scripts/lib/config.mjs
+// Settings for the cypress-status CLI: defaults, then cypress-status.json (next to
+// resorts.json), then CYPRESS_STATUS_* environment variables, then command-line flags.
+//
+// Every setting has an environment variable: CYPRESS_STATUS_ + its path in upper snake
+// case, e.g. instagram.graphVersion -> CYPRESS_STATUS_INSTAGRAM_GRAPH_VERSION. Lists are
+// comma-separated, booleans 1/0 or true/false.
+//
+// Paths: dataDir / assetsDir in the file are relative to the file, from the environment
+// or flags relative to the working directory. The files named in sections (mediaHost,
+// notifiers, ...) are relative to assetsDir.
+import fs from "node:fs";
+import path from "node:path";
+import { ASSETS_DIR } from "./resorts.mjs";
+
+export const CONFIG_FILE = "cypress-status.json";
+export const ENV_PREFIX = "CYPRESS_STATUS_";
+export const LOG_FORMATS = ["text", "json"];
+
+export const DEFAULT_CONFIG = {
+  // Data branch checkout: status.json, history.json, event.json, images, ...
+  dataDir: ".",
+  // Main branch checkout: resorts.json, schedules, overlays, templates, locales
+  assetsDir: ASSETS_DIR,
+  log: "text",
+  fetch: {
+    // Let a payload through the "most lifts/runs vanished" guard (lib/source.mjs)
+    acceptVanished: false,
+    // Write a test event.json from the last two snapshots on every run
+    testEvent: false
+  },
+  render: {
+    sizes: ["square", "story", "og"],
+    legend: true,
+    timestamp: true
+  },
+  instagram: {
+    // The resort whose events go to the account (IG_USER_ID)
+    resort: "cypress",
+    graphVersion: "v25.0",
+    template: "post",
+    mediaHost: "media-host.json",
+    publishAttempts: 4,
+    publishRetryMs: 15000,
+    containerTimeoutMs: 120000
+  },
+  notifiers: {
+    file: "notifiers.json"
+  },
+  alerts: {
+    // Don't alert about changes older than this (e.g. after the job was down for a day)
+    maxChangeAgeHours: 6
+  }
+};
+
+// Older names still honoured
+const ENV_ALIASES = {
+  FETCH_ACCEPT_VANISHED: "fetch.acceptVanished"
+};
+
+// A bad setting in the file, the environment or a flag
+export class ConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ConfigError";
+  }
+}
+
+function fail(source, msg) {
+  throw new ConfigError(`${source}: ${msg}`);
+}
+
+const envName = (keyPath) => ENV_PREFIX + keyPath.replace(/\./g, "_").replace(/([a-z])([A-Z])/g, "$1_$2").toUpperCase();
+
+// [["instagram.graphVersion", "v25.0"], ...]
+function leaves(obj, prefix = "") {
+  return Object.entries(obj).flatMap(([key, value]) => {
+    const keyPath = prefix ? `${prefix}.${key}` : key;
+    return value && typeof value === "object" && !Array.isArray(value) ? leaves(value, keyPath) : [[keyPath, value]];
+  });
+}
+
+const SETTINGS = new Map(leaves(DEFAULT_CONFIG));
+
+export function settingEnvNames() {
+  return [...SETTINGS.keys()].map(envName);
+}
+
+// Value from a file must have the default's type; strings from the environment are parsed to it
+function coerce(keyPath, value, { source, fromString = false }) {
+  const def = SETTINGS.get(keyPath);
+  if (Array.isArray(def)) {
+    if (fromString) return value.split(",").map(s => s.trim()).filter(Boolean);
+    if (Array.isArray(value) && value.every(v => typeof v === "string")) return value;
+    fail(source, `${keyPath} should be a list of strings`);
+  }
+  if (typeof def === "boolean") {
+    if (fromString && /^(1|true)$/i.test(value)) return true;
+    if (fromString && /^(0|false|)$/i.test(value)) return false;
+    if (!fromString && typeof value === "boolean") return value;
+    fail(source, `${keyPath} should be true or false, got ${JSON.stringify(value)}`);
+  }
+  if (typeof def === "number") {
+    const n = fromString ? Number(value) : value;
+    if (typeof n === "number" && Number.isFinite(n) && n >= 0) return n;
+    fail(source, `${keyPath} should be a number, got ${JSON.stringify(value)}`);
+  }
+  if (typeof value !== "string" || !value) fail(source, `${keyPath} should be a non-empty string`);
+  return value;
+}
+
+function setPath(config, keyPath, value) {
+  const keys = keyPath.split(".");
+  const last = keys.pop();
+  let obj = config;
+  for (const key of keys) obj = obj[key];
+  obj[last] = value;
+}
+
+function readConfigFile(file, { required }) {
+  let json;
+  try {
+    json = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    if (err.code === "ENOENT" && !required) return null;
+    fail(file, err.message);
+  }
+  if (!json || typeof json !== "object" || Array.isArray(json)) fail(file, "should be a JSON object");
+  return json;
+}
+
+// -> the settings, with absolute dataDir / assetsDir and configFile (null if none was read).
+// flags: { config, dataDir, assetsDir, log } from the command line, any of them null.
+export function loadConfig({ flags = {}, env = process.env, cwd = process.cwd() } = {}) {
+  const config = structuredClone(DEFAULT_CONFIG);
+
+  // The file lives in the assets dir unless it's named explicitly
+  const assetsDirOverride = flags.assetsDir ?? env[envName("assetsDir")] ?? null;
+  const explicit = flags.config ?? env[`${ENV_PREFIX}CONFIG`] ?? null;
+  const configFile = path.resolve(cwd, explicit ?? path.join(assetsDirOverride ?? ASSETS_DIR, CONFIG_FILE));
+
+  const json = readConfigFile(configFile, { required: Boolean(explicit) });
+  if (json) {
+    for (const [keyPath, value] of leaves(json)) {
+      if (keyPath.startsWith("$")) continue; // "$comment"
+      if (!SETTINGS.has(keyPath)) fail(configFile, `unknown setting "${keyPath}" (have: ${[...SETTINGS.keys()].join(", ")})`);
+      const v = coerce(keyPath, value, { source: configFile });
+      setPath(config, keyPath, ["dataDir", "assetsDir"].includes(keyPath) ? path.resolve(path.dirname(configFile), v) : v);
+    }
+  }
+
+  for (const [name, keyPath] of Object.entries(ENV_ALIASES)) {
+    if (env[name] !== undefined) setPath(config, keyPath, coerce(keyPath, env[name], { source: name, fromString: true }));
+  }
+  for (const keyPath of SETTINGS.keys()) {
+    const name = envName(keyPath);
+    if (env[name] !== undefined) setPath(config, keyPath, coerce(keyPath, env[name], { source: name, fromString: true }));
+  }
+
+  if (flags.dataDir) config.dataDir = flags.dataDir;
+  if (flags.assetsDir) config.assetsDir = flags.assetsDir;
+  if (flags.log) config.log = flags.log;
+
+  if (!LOG_FORMATS.includes(config.log)) fail("log", `unknown format "${config.log}" (have: ${LOG_FORMATS.join(", ")})`);
+
+  config.dataDir = path.resolve(cwd, config.dataDir);
+  config.assetsDir = path.resolve(cwd, config.assetsDir);
+  config.configFile = json ? configFile : null;
+  return config;
+}
+
+// A file named in the config (media host, notifiers): relative to the assets dir
+export function configPath(config, file) {
+  return path.resolve(config.assetsDir, file);
+}
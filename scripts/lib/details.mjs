@@ -0,0 +1,62 @@
+// scripts/lib/details.mjs
+// Per-item metadata kept alongside the status in status.json (schema_version 2):
+//
+//   "details": {
+//     "lifts":  { "Eagle Express": { "type": "Express Quad", "wait_minutes": 5, "night": true } },
+//     "trails": { "Panorama": { "difficulty": "intermediate", "groomed": true, "night": false } }
+//   }
+//
+// Adapters hand over whatever the source says; these normalize it the way
+// normalizeStatus() does for open/closed. Unknown = null.
+
+export const STATUS_SCHEMA_VERSION = 2;
+
+export const DIFFICULTIES = ["beginner", "intermediate", "advanced", "expert", "terrain-park"];
+
+export function normalizeDifficulty(v) {
+  const s = String(v ?? "").toLowerCase().replace(/[_-]+/g, " ").trim();
+  if (!s) return null;
+  if (s.includes("park")) return "terrain-park";
+  if (s.includes("double") || s.includes("expert") || s.includes("extreme")) return "expert";
+  if (s.includes("black") || s.includes("advanced") || s.includes("most difficult") || s.includes("diamond")) return "advanced";
+  if (s.includes("blue") || s.includes("intermediate") || s.includes("more difficult") || s.includes("square")) return "intermediate";
+  if (s.includes("green") || s.includes("beginner") || s.includes("easiest") || s.includes("easy") || s.includes("circle")) return "beginner";
+  return null;
+}
+
+// true / false / null from booleans, 1/0 and yes/no-ish strings ("Groomed", "Not Groomed")
+export function normalizeFlag(v) {
+  if (typeof v === "boolean") return v;
+  if (typeof v === "number") return v !== 0;
+  const s = String(v ?? "").toLowerCase().trim();
+  if (!s) return null;
+  if (/^(no|n|false|off|not|un)|\bnot\b|ungroomed/.test(s)) return false;
+  if (/^(yes|y|true|on|groomed|night|open)/.test(s)) return true;
+  return null;
+}
+
+// 5, "5", "5 min", "0:05" -> minutes
+export function normalizeWait(v) {
+  if (typeof v === "number") return Number.isFinite(v) && v >= 0 ? Math.round(v) : null;
+  const s = String(v ?? "").trim();
+  const hm = /^(\d+):(\d{2})$/.exec(s);
+  if (hm) return Number(hm[1]) * 60 + Number(hm[2]);
+  const n = parseInt(s, 10);
+  return Number.isFinite(n) && n >= 0 ? n : null;
+}
+
+export function liftDetails(raw) {
+  return {
+    type: raw.type ? String(raw.type) : null,
+    wait_minutes: normalizeWait(raw.wait),
+    night: normalizeFlag(raw.night)
+  };
+}
+
+export function trailDetails(raw) {
+  return {
+    difficulty: normalizeDifficulty(raw.difficulty),
+    groomed: normalizeFlag(raw.groomed),
+    night: normalizeFlag(raw.night)
+  };
+}
@@ -0,0 +1,51 @@
+// scripts/lib/diff.mjs
+// Status normalization and open/closed diffs between two { name: status } maps.
+
+// Raw source status ("Open", "ON HOLD", "Weather Hold", "closed", "scheduled", ...)
+// -> open / on-hold / closed / unknown
+export function normalizeStatus(s) {
+  const v = String(s || "").toLowerCase();
+  if (v.includes("open")) return "open";
+  if (v.includes("hold")) return "on-hold";
+  if (v.includes("closed")) return "closed";
+  return "unknown";
+}
+
+function setOfOpen(obj) {
+  const out = new Set();
+  for (const [name, status] of Object.entries(obj || {})) {
+    if (String(status).toLowerCase() === "open") out.add(name);
+  }
+  return out;
+}
+
+// { name: status } before/after -> names that became open / stopped being open (A-Z)
+export function diffOpens(prev, curr) {
+  const prevOpen = setOfOpen(prev);
+  const currOpen = setOfOpen(curr);
+
+  const opened = [];
+  const closed = [];
+
+  for (const name of currOpen) if (!prevOpen.has(name)) opened.push(name);
+  for (const name of prevOpen) if (!currOpen.has(name)) closed.push(name);
+
+  opened.sort();
+  closed.sort();
+  return { opened, closed };
+}
+
+// Last two snapshots of history.json and what changed between them (test mode events)
+export function diffFromLastSnapshot(historySnapshots) {
+  const snaps = historySnapshots || [];
+  if (snaps.length < 2) return null;
+
+  // last two snapshots
+  const prev = snaps[snaps.length - 2];
+  const curr = snaps[snaps.length - 1];
+
+  const liftsDiff = diffOpens(prev.lifts, curr.lifts);
+  const trailsDiff = diffOpens(prev.trails, curr.trails);
+
+  return { prev, curr, liftsDiff, trailsDiff };
+}
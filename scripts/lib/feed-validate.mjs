@@ -0,0 +1,218 @@
+// scripts/lib/feed-validate.mjs
+// Shape checks for the generated feeds against the specs:
+//   JSON Feed 1.1  https://www.jsonfeed.org/version/1.1/
+//   Atom 1.0       RFC 4287
+// Each validator returns a list of problems (empty = valid).
+
+const RFC3339 = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/;
+const ABSOLUTE_IRI = /^[A-Za-z][A-Za-z0-9+.-]*:\S+$/;
+
+function isDate(v) {
+  return typeof v === "string" && RFC3339.test(v) && Number.isFinite(Date.parse(v));
+}
+
+function isUrl(v) {
+  return typeof v === "string" && /^https?:\/\/\S+$/.test(v);
+}
+
+// ---- JSON Feed 1.1 ----
+
+const JSON_FEED_TOP = ["version", "title", "home_page_url", "feed_url", "description", "user_comment", "next_url",
+  "icon", "favicon", "authors", "language", "expired", "hubs", "items"];
+const JSON_FEED_ITEM = ["id", "url", "external_url", "title", "content_html", "content_text", "summary", "image",
+  "banner_image", "date_published", "date_modified", "authors", "tags", "language", "attachments"];
+
+function checkAuthors(authors, where, errors) {
+  if (authors === undefined) return;
+  if (!Array.isArray(authors)) {
+    errors.push(`${where}.authors: must be an array`);
+    return;
+  }
+  authors.forEach((a, i) => {
+    if (!a || typeof a !== "object" || !(a.name || a.url || a.avatar)) {
+      errors.push(`${where}.authors[${i}]: needs at least one of name, url, avatar`);
+    }
+  });
+}
+
+function checkKeys(obj, allowed, where, errors) {
+  for (const k of Object.keys(obj)) {
+    if (!allowed.includes(k) && !k.startsWith("_")) errors.push(`${where}.${k}: not a JSON Feed field (extensions must start with "_")`);
+  }
+}
+
+export function validateJsonFeed(feed) {
+  const errors = [];
+  if (!feed || typeof feed !== "object") return ["feed: not an object"];
+
+  if (feed.version !== "https://jsonfeed.org/version/1.1") errors.push("version: must be https://jsonfeed.org/version/1.1");
+  if (typeof feed.title !== "string" || !feed.title) errors.push("title: required string");
+  for (const k of ["home_page_url", "feed_url"]) {
+    if (feed[k] !== undefined && !isUrl(feed[k])) errors.push(`${k}: must be a URL`);
+  }
+  checkAuthors(feed.authors, "feed", errors);
+  checkKeys(feed, JSON_FEED_TOP, "feed", errors);
+
+  if (!Array.isArray(feed.items)) {
+    errors.push("items: required array");
+    return errors;
+  }
+
+  const ids = new Set();
+  feed.items.forEach((item, i) => {
+    const where = `items[${i}]`;
+    if (!item || typeof item !== "object") {
+      errors.push(`${where}: not an object`);
+      return;
+    }
+    if (typeof item.id !== "string" || !item.id) errors.push(`${where}.id: required string`);
+    else if (ids.has(item.id)) errors.push(`${where}.id: duplicate ${item.id}`);
+    else ids.add(item.id);
+
+    if (typeof item.content_text !== "string" && typeof item.content_html !== "string") {
+      errors.push(`${where}: needs content_text or content_html`);
+    }
+    if (item.url !== undefined && !isUrl(item.url)) errors.push(`${where}.url: must be a URL`);
+    for (const k of ["date_published", "date_modified"]) {
+      if (item[k] !== undefined && !isDate(item[k])) errors.push(`${where}.${k}: must be RFC 3339`);
+    }
+    if (item.tags !== undefined && (!Array.isArray(item.tags) || item.tags.some(t => typeof t !== "string"))) {
+      errors.push(`${where}.tags: must be an array of strings`);
+    }
+    checkAuthors(item.authors, where, errors);
+    checkKeys(item, JSON_FEED_ITEM, where, errors);
+  });
+
+  return errors;
+}
+
+// ---- Minimal XML reader (enough for well-formedness + shape) ----
+
+const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" };
+
+function decode(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (m, e) => {
+    if (e[0] === "#") return String.fromCodePoint(e[1].toLowerCase() === "x" ? parseInt(e.slice(2), 16) : Number(e.slice(1)));
+    if (e in ENTITIES) return ENTITIES[e];
+    throw new Error(`unknown entity ${m}`);
+  });
+}
+
+export function parseXml(xml) {
+  const root = { name: "#document", attrs: {}, children: [], text: "" };
+  const stack = [root];
+  const re = /<\?[\s\S]*?\?>|<!--[\s\S]*?-->|<(\/?)([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)|(<)/g;
+  let m;
+
+  while ((m = re.exec(xml))) {
+    const [, closing, name, rawAttrs, selfClosing, text, stray] = m;
+    const top = stack[stack.length - 1];
+
+    if (stray) throw new Error(`malformed tag at offset ${m.index}`);
+    if (text !== undefined) {
+      if (top === root && text.trim()) throw new Error("text outside the root element");
+      top.text += decode(text);
+      continue;
+    }
+    if (!name) continue; // declaration / comment
+
+    if (closing) {
+      if (top.name !== name) throw new Error(`</${name}> closes <${top.name}>`);
+      stack.pop();
+      continue;
+    }
+
+    const attrs = {};
+    for (const a of rawAttrs.matchAll(/([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+      if (a[1] in attrs) throw new Error(`duplicate attribute ${a[1]} on <${name}>`);
+      attrs[a[1]] = decode(a[2] ?? a[3]);
+    }
+
+    const el = { name, attrs, children: [], text: "" };
+    if (top === root && root.children.length) throw new Error("more than one root element");
+    top.children.push(el);
+    if (!selfClosing) stack.push(el);
+  }
+
+  if (stack.length !== 1) throw new Error(`<${stack[stack.length - 1].name}> is never closed`);
+  if (!root.children.length) throw new Error("no root element");
+  return root.children[0];
+}
+
+// ---- Atom 1.0 ----
+
+function only(el, name, where, errors, { required = true } = {}) {
+  const found = el.children.filter(c => c.name === name);
+  if (found.length > 1) errors.push(`${where}: more than one <${name}>`);
+  if (required && !found.length) errors.push(`${where}: missing <${name}>`);
+  return found[0] ?? null;
+}
+
+function checkAtomCommon(el, where, errors) {
+  const id = only(el, "id", where, errors);
+  if (id && !ABSOLUTE_IRI.test(id.text.trim())) errors.push(`${where} <id>: must be an absolute IRI`);
+
+  const title = only(el, "title", where, errors);
+  if (title && !title.text.trim()) errors.push(`${where} <title>: empty`);
+
+  const updated = only(el, "updated", where, errors);
+  if (updated && !isDate(updated.text.trim())) errors.push(`${where} <updated>: must be RFC 3339`);
+
+  const published = only(el, "published", where, errors, { required: false });
+  if (published && !isDate(published.text.trim())) errors.push(`${where} <published>: must be RFC 3339`);
+
+  const alternates = new Set();
+  for (const link of el.children.filter(c => c.name === "link")) {
+    if (!link.attrs.href) errors.push(`${where} <link>: missing href`);
+    const rel = link.attrs.rel ?? "alternate";
+    if (rel === "alternate") {
+      const key = `${link.attrs.type ?? ""}|${link.attrs.hreflang ?? ""}`;
+      if (alternates.has(key)) errors.push(`${where}: duplicate alternate <link> for the same type/hreflang`);
+      alternates.add(key);
+    }
+  }
+
+  for (const author of el.children.filter(c => c.name === "author")) {
+    const name = only(author, "name", `${where} <author>`, errors);
+    if (name && !name.text.trim()) errors.push(`${where} <author><name>: empty`);
+  }
+
+  return { id: id?.text.trim() ?? null, hasAuthor: el.children.some(c => c.name === "author") };
+}
+
+export function validateAtom(xml) {
+  let feed;
+  try {
+    feed = parseXml(xml);
+  } catch (err) {
+    return [`not well-formed XML: ${err.message}`];
+  }
+
+  const errors = [];
+  if (feed.name !== "feed") return [`root element is <${feed.name}>, expected <feed>`];
+  if (feed.attrs.xmlns !== "http://www.w3.org/2005/Atom") errors.push("<feed>: missing Atom namespace");
+
+  const { hasAuthor } = checkAtomCommon(feed, "<feed>", errors);
+
+  const ids = new Set();
+  feed.children.filter(c => c.name === "entry").forEach((entry, i) => {
+    const where = `<entry>[${i}]`;
+    const { id, hasAuthor: entryAuthor } = checkAtomCommon(entry, where, errors);
+
+    if (id) {
+      if (ids.has(id)) errors.push(`${where}: duplicate <id> ${id}`);
+      ids.add(id);
+    }
+    if (!hasAuthor && !entryAuthor) errors.push(`${where}: needs an <author> (none on <feed>)`);
+
+    const content = only(entry, "content", where, errors, { required: false });
+    const hasAlternate = entry.children.some(c => c.name === "link" && (c.attrs.rel ?? "alternate") === "alternate");
+    if (!content && !hasAlternate) errors.push(`${where}: needs <content> or an alternate <link>`);
+    if (content && !["text", "html", "xhtml", undefined].includes(content.attrs.type) && !content.attrs.src) {
+      // MIME-typed content is allowed too, but we only ever write text
+      errors.push(`${where} <content>: unexpected type ${content.attrs.type}`);
+    }
+  });
+
+  return errors;
+}
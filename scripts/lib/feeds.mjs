@@ -0,0 +1,138 @@
+// scripts/lib/feeds.mjs
+// feed.json (JSON Feed 1.1) + feed.xml (Atom 1.0) of the daily status events,
+// so people can follow along in a feed reader / Slack's RSS app.
+//
+// feed.json is also the store: each run reads its items, adds the new event (if
+// any) and rewrites both files. Entry ids come from the event key, so a reader
+// never sees the same day twice; output only changes when an item is added.
+import fs from "node:fs/promises";
+
+export const JSON_FEED_FILE = "feed.json";
+export const ATOM_FILE = "feed.xml";
+const FEED_MAX_ITEMS = 50;
+const JSON_FEED_VERSION = "https://jsonfeed.org/version/1.1";
+const ATOM_NS = "http://www.w3.org/2005/Atom";
+
+function escapeXml(str) {
+  return String(str)
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;")
+    .replaceAll("'", "&apos;");
+}
+
+// Stable, globally unique id per resort + event key (tag: URI, RFC 4151)
+export function entryId(resort, eventKey) {
+  return `tag:harrmony.github.io,2025:cypress-status-map/${resort.id}/${eventKey}`;
+}
+
+function feedId(resort) {
+  return `tag:harrmony.github.io,2025:cypress-status-map/${resort.id}`;
+}
+
+function feedTitle(resort) {
+  return `${resort.name} lift & run status changes`;
+}
+
+// JSON Feed item for one event (lists + caption text come straight from the event)
+export function eventToItem(resort, event) {
+  const caption = event.placeholders?.caption_image ?? event.placeholders?.caption ?? "";
+  const [header = `${resort.name} Update`, date = ""] = caption.split("\n");
+
+  return {
+    id: entryId(resort, event.key),
+    ...(resort.mapUrl ? { url: resort.mapUrl } : {}),
+    title: date ? `${header} — ${date}` : header,
+    content_text: caption,
+    date_published: event.created_at,
+    tags: [
+      ...(event.summary?.opened_total ? ["opened"] : []),
+      ...(event.summary?.closed_total ? ["closed"] : [])
+    ],
+    _status: {
+      key: event.key,
+      lifts: event.details?.lifts ?? { opened: [], closed: [] },
+      trails: event.details?.trails ?? { opened: [], closed: [] }
+    }
+  };
+}
+
+export function buildJsonFeed(resort, items) {
+  const feed = {
+    version: JSON_FEED_VERSION,
+    title: feedTitle(resort),
+    ...(resort.mapUrl ? { home_page_url: resort.mapUrl } : {}),
+    ...(resort.dataUrl ? { feed_url: `${resort.dataUrl}${JSON_FEED_FILE}` } : {}),
+    description: `Lifts and runs that opened or closed at ${resort.name}, once a day.`,
+    language: "en-CA",
+    authors: [{ name: "status-bot" }],
+    items
+  };
+  return feed;
+}
+
+export function buildAtom(resort, items) {
+  // Newest entry drives <updated>, so the file is stable between events
+  const updated = items[0]?.date_published ?? "1970-01-01T00:00:00.000Z";
+  const lines = [
+    `<?xml version="1.0" encoding="utf-8"?>`,
+    `<feed xmlns="${ATOM_NS}" xml:lang="en-CA">`,
+    `  <id>${escapeXml(feedId(resort))}</id>`,
+    `  <title>${escapeXml(feedTitle(resort))}</title>`,
+    `  <updated>${escapeXml(updated)}</updated>`,
+    `  <author><name>status-bot</name></author>`
+  ];
+  if (resort.mapUrl) lines.push(`  <link rel="alternate" type="text/html" href="${escapeXml(resort.mapUrl)}"/>`);
+  if (resort.dataUrl) lines.push(`  <link rel="self" type="application/atom+xml" href="${escapeXml(`${resort.dataUrl}${ATOM_FILE}`)}"/>`);
+
+  for (const item of items) {
+    lines.push(
+      `  <entry>`,
+      `    <id>${escapeXml(item.id)}</id>`,
+      `    <title>${escapeXml(item.title)}</title>`,
+      `    <published>${escapeXml(item.date_published)}</published>`,
+      `    <updated>${escapeXml(item.date_published)}</updated>`
+    );
+    if (item.url) lines.push(`    <link rel="alternate" type="text/html" href="${escapeXml(item.url)}"/>`);
+    for (const tag of item.tags ?? []) lines.push(`    <category term="${escapeXml(tag)}"/>`);
+    lines.push(
+      `    <content type="text">${escapeXml(item.content_text)}</content>`,
+      `  </entry>`
+    );
+  }
+
+  lines.push(`</feed>`);
+  return lines.join("\n") + "\n";
+}
+
+async function readItems(file) {
+  try {
+    const feed = JSON.parse(await fs.readFile(file, "utf8"));
+    return Array.isArray(feed?.items) ? feed.items : [];
+  } catch {
+    return [];
+  }
+}
+
+// Rewrite feed.json + feed.xml, adding `event` if it's a new one.
+// -> { added, items }
+export async function updateFeeds(resort, event, { jsonFile, atomFile }) {
+  let items = await readItems(jsonFile);
+  let added = false;
+
+  if (event?.key && !event.key.startsWith("test_")) {
+    const item = eventToItem(resort, event);
+    if (!items.some(i => i.id === item.id)) {
+      items = [item, ...items];
+      added = true;
+    }
+  }
+
+  items.sort((a, b) => Date.parse(b.date_published) - Date.parse(a.date_published));
+  items = items.slice(0, FEED_MAX_ITEMS);
+
+  await fs.writeFile(jsonFile, JSON.stringify(buildJsonFeed(resort, items), null, 2));
+  await fs.writeFile(atomFile, buildAtom(resort, items));
+  return { added, items };
+}
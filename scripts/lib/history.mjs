@@ -0,0 +1,87 @@
+// scripts/lib/history.mjs
+// history.json snapshots: the rolling 48h window and picking the snapshots the daily
+// event compares (schedule.json "compare": a local time, a day offset, a tolerance).
+import { DEFAULT_TIME_ZONE, getTzParts, zonedTimeToUtc, addLocalDays } from "./time.mjs";
+
+export const HISTORY_RETENTION_HOURS = 48;
+
+// Keeps the last HISTORY_RETENTION_HOURS of snapshots (and drops ones without a time)
+export function pruneSnapshots(snapshots, now = new Date()) {
+  const cutoff = now.getTime() - HISTORY_RETENTION_HOURS * 60 * 60 * 1000;
+  return (snapshots || []).filter(s => {
+    const t = Date.parse(s?.fetched_at);
+    return Number.isFinite(t) && t >= cutoff;
+  });
+}
+
+// Snapshot closest to targetDate on either side, or null if none is within the tolerance
+export function nearestSnapshot(snapshots, targetDate, toleranceMinutes = 90) {
+  const targetMs = targetDate.getTime();
+  const tolMs = toleranceMinutes * 60 * 1000;
+
+  let best = null;
+  let bestDiff = Infinity;
+
+  for (const s of snapshots || []) {
+    const ms = Date.parse(s?.fetched_at);
+    if (!Number.isFinite(ms)) continue;
+    const diff = Math.abs(ms - targetMs);
+    if (diff < bestDiff) {
+      bestDiff = diff;
+      best = s;
+    }
+  }
+
+  if (!best || bestDiff > tolMs) return null;
+  return best;
+}
+
+function sameYmd(a, b) {
+  return a.year === b.year && a.month === b.month && a.day === b.day;
+}
+
+function mins(h, m) {
+  return h * 60 + m;
+}
+
+
+// Finds the snapshot on the same local day whose local time is >= target,
+// choosing the one closest AFTER the target (within tolerance).
+export function nearestSnapshotAtOrAfterLocal(snapshots, dayParts, targetHour, targetMinute, toleranceMinutes = 120, timeZone = DEFAULT_TIME_ZONE) {
+  const targetM = mins(targetHour, targetMinute);
+
+  let best = null;
+  let bestDelta = Infinity; // minutes after target
+
+  for (const s of snapshots || []) {
+    const ms = Date.parse(s?.fetched_at);
+    if (!Number.isFinite(ms)) continue;
+
+    const lp = getTzParts(new Date(ms), timeZone); // resort-local parts for this snapshot
+    if (!sameYmd(lp, dayParts)) continue;
+
+    const m = mins(lp.hour, lp.minute);
+    const delta = m - targetM; // minutes after target
+    if (delta < 0) continue;   // too early
+
+    if (delta <= toleranceMinutes && delta < bestDelta) {
+      bestDelta = delta;
+      best = s;
+    }
+  }
+
+  return best; // null if nothing >= target within tolerance
+}
+
+
+// Snapshot for one side of the schedule's compare block
+export function findCompareSnapshot(snapshots, side, todayParts, timeZone) {
+  const dayParts = addLocalDays(todayParts, side.dayOffset);
+
+  if (side.match === "atOrAfter") {
+    return nearestSnapshotAtOrAfterLocal(snapshots, dayParts, side.hour, side.minute, side.toleranceMinutes, timeZone);
+  }
+
+  const target = zonedTimeToUtc({ ...dayParts, hour: side.hour, minute: side.minute, second: 0 }, timeZone);
+  return nearestSnapshot(snapshots, target, side.toleranceMinutes);
+}
@@ -0,0 +1,35 @@
+// scripts/lib/i18n.mjs
+// Message catalogs (locales/<language>.json, shared with the map) for captions. Read
+// synchronously and cached, since buildCaption() is a plain function.
+import fs from "node:fs";
+import path from "node:path";
+import i18n from "../../i18n.js";
+import { ASSETS_DIR } from "./resorts.mjs";
+
+export const LOCALES_DIR = "locales";
+export const { DEFAULT_LANGUAGE, LANGUAGES } = i18n;
+
+const catalogs = new Map();
+
+export function loadCatalog(language, assetsDir = ASSETS_DIR) {
+  if (!(language in LANGUAGES)) {
+    throw new Error(`Unknown language "${language}" (have: ${Object.keys(LANGUAGES).join(", ")})`);
+  }
+  const file = path.join(assetsDir, LOCALES_DIR, `${language}.json`);
+  if (!catalogs.has(file)) {
+    try {
+      catalogs.set(file, JSON.parse(fs.readFileSync(file, "utf8")));
+    } catch (err) {
+      throw new Error(`Failed reading ${file}: ${err.message}`);
+    }
+  }
+  return catalogs.get(file);
+}
+
+// -> t(key, values), with t.language / t.locale
+export function translator(language = DEFAULT_LANGUAGE, assetsDir = ASSETS_DIR) {
+  return i18n.createTranslator({
+    [DEFAULT_LANGUAGE]: loadCatalog(DEFAULT_LANGUAGE, assetsDir),
+    [language]: loadCatalog(language, assetsDir)
+  }, language);
+}
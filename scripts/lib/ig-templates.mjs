@@ -0,0 +1,360 @@
+// scripts/lib/ig-templates.mjs
+// Instagram caption images from templates in templates/instagram/: <name>.json holds the
+// layout (padding, fonts, one style per slot), its "background" is a PNG/JPEG or an SVG
+// frame ({{width}}, {{height}}, {{page}}, {{pages}} are filled in).
+//
+// Slots, top to bottom: header, date, summary (the lines before the first blank line of
+// the caption), then the body: a "heading" for each "3 new runs open today" line and an
+// "item" per "• name". footer is drawn last ({{page}} / {{pages}}; "paged": only on carousels).
+//
+// Text is measured with the same renderer that draws it (sharp's Pango text input), so
+// lines wrap at the real width. When the caption doesn't fit, the text shrinks down to
+// "minScale"; past that it is split into slides (at that size) for a carousel.
+import fs from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import sharp from "sharp";
+
+// Under the assets dir (main checkout)
+export const TEMPLATE_SUBDIR = "templates/instagram";
+export const TEMPLATE_DIR = fileURLToPath(new URL(`../../${TEMPLATE_SUBDIR}/`, import.meta.url));
+export const DEFAULT_TEMPLATE = "post";
+export const MAX_SLIDES = 10; // Instagram carousel limit
+
+function escapeXml(str) {
+  return String(str)
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;")
+    .replaceAll("'", "&apos;");
+}
+
+function fillVars(str, vars) {
+  return String(str).replace(/\{\{(\w+)\}\}/g, (m, key) => (key in vars ? String(vars[key]) : m));
+}
+
+export async function loadTemplate(name = DEFAULT_TEMPLATE, dir = TEMPLATE_DIR) {
+  const file = path.join(dir, `${name}.json`);
+  let raw;
+  try {
+    raw = JSON.parse(await fs.readFile(file, "utf8"));
+  } catch (err) {
+    throw new Error(`Instagram template "${name}": ${err.message}`);
+  }
+  if (!raw.background) throw new Error(`Instagram template "${name}": no background`);
+  for (const slot of ["header", "date", "heading", "item"]) {
+    if (!raw.slots?.[slot]?.size) throw new Error(`Instagram template "${name}": slots.${slot}.size is required`);
+  }
+
+  const background = path.resolve(path.dirname(file), raw.background);
+  const meta = await sharp(background).metadata();
+
+  return {
+    name,
+    background,
+    width: raw.width ?? meta.width,
+    height: raw.height ?? meta.height,
+    padding: { top: 60, right: 60, bottom: 60, left: 60, ...raw.padding },
+    bodyTop: raw.bodyTop ?? 0,
+    font: { family: "sans-serif", color: "#000000", ...raw.font },
+    slots: raw.slots,
+    gap: raw.gap ?? 0.8,
+    minScale: raw.minScale ?? 1,
+    continued: raw.continued ?? ""
+  };
+}
+
+function slotStyle(template, slot, scale) {
+  const s = template.slots[slot];
+  if (!s) return null;
+  const size = Math.round(s.size * (s.scale === false ? 1 : scale));
+  return {
+    family: s.family ?? template.font.family,
+    color: s.color ?? template.font.color,
+    weight: s.weight ?? 400,
+    size,
+    lineHeight: Math.round(size * (s.lineHeight ?? 1.2))
+  };
+}
+
+// ---- Measurement ----
+
+const widthCache = new Map();
+let pangoAvailable = true;
+
+// Rendered width in px of one line. Falls back to an average glyph width if this
+// sharp/libvips build has no text support.
+export async function measureText(text, style) {
+  if (!text) return 0;
+  const key = `${style.family}|${style.weight}|${style.size}|${text}`;
+  if (widthCache.has(key)) return widthCache.get(key);
+
+  let width = null;
+  if (pangoAvailable) {
+    try {
+      const markup = `<span font_family="${escapeXml(style.family)}" weight="${style.weight}" size="${style.size * 1024}">${escapeXml(text)}</span>`;
+      // dpi 72: 1pt = 1px, the unit the SVG uses
+      const { info } = await sharp({ text: { text: markup, dpi: 72, rgba: true } }).png().toBuffer({ resolveWithObject: true });
+      width = info.width;
+    } catch (err) {
+      pangoAvailable = false;
+      console.warn(`[template] Text measurement unavailable (${err.message}); estimating widths`);
+    }
+  }
+  width ??= Math.round(text.length * style.size * 0.6);
+
+  widthCache.set(key, width);
+  return width;
+}
+
+// Greedy word wrap by measured width. A single word wider than the line is cut.
+export async function wrapText(text, style, maxWidth) {
+  const words = String(text).split(/\s+/).filter(Boolean);
+  const lines = [];
+  let line = "";
+
+  for (const word of words) {
+    const next = line ? `${line} ${word}` : word;
+    if (await measureText(next, style) <= maxWidth) {
+      line = next;
+      continue;
+    }
+    if (line) lines.push(line);
+    line = word;
+
+    while (line.length > 1 && await measureText(line, style) > maxWidth) {
+      let cut = line.length - 1;
+      while (cut > 1 && await measureText(line.slice(0, cut), style) > maxWidth) cut--;
+      lines.push(line.slice(0, cut));
+      line = line.slice(cut);
+    }
+  }
+  if (line) lines.push(line);
+  return lines;
+}
+
+// ---- Caption -> content ----
+
+// Caption text (buildCaption's format) -> { header, date, summary: [], body: [{ type, text }] }
+export function parseCaption(caption) {
+  const lines = String(caption || "").replace(/\r/g, "").split("\n");
+  while (lines.length && !lines[0].trim()) lines.shift();
+
+  const header = lines.shift()?.trim() ?? "";
+  const date = lines.length && lines[0].trim() ? lines.shift().trim() : "";
+  const summary = [];
+  while (lines.length && lines[0].trim()) summary.push(lines.shift().trim());
+
+  const body = [];
+  for (const line of lines) {
+    const t = line.trim();
+    if (!t) {
+      if (body.length && body[body.length - 1].type !== "gap") body.push({ type: "gap" });
+    } else if (t.startsWith("•")) {
+      body.push({ type: "item", text: t.replace(/^•\s*/, "") });
+    } else {
+      body.push({ type: "heading", text: t });
+    }
+  }
+  while (body.length && body[body.length - 1].type === "gap") body.pop();
+
+  return { header, date, summary, body };
+}
+
+// ---- Layout ----
+
+async function textLines(template, slot, text, scale, maxWidth) {
+  const style = slotStyle(template, slot, scale);
+  return (await wrapText(text, style, maxWidth)).map(t => ({ slot, text: t, dx: 0, style }));
+}
+
+// "• name", continuation lines aligned under the name
+async function itemLines(template, text, scale, maxWidth) {
+  const style = slotStyle(template, "item", scale);
+  const indent = (await measureText("• •", style)) - (await measureText("•", style));
+  const wrapped = await wrapText(text, style, maxWidth - indent);
+  return wrapped.map((t, i) => (i
+    ? { slot: "item", text: t, dx: indent, style }
+    : { slot: "item", text: `• ${t}`, dx: 0, style, item: text }));
+}
+
+const blockHeight = (lines) => lines.reduce((h, l) => h + l.style.lineHeight, 0);
+
+// -> [{ lines: [{ slot, text, x, y, style, item? }] }], y = baseline; item = full name on an item's first line
+async function paginate(template, content, scale, paged) {
+  const { width, height, padding } = template;
+  const maxWidth = width - padding.left - padding.right;
+
+  const head = [
+    ...(await textLines(template, "header", content.header, scale, maxWidth)),
+    ...(content.date ? await textLines(template, "date", content.date, scale, maxWidth) : [])
+  ];
+  const summary = [];
+  if (template.slots.summary) {
+    for (const s of content.summary) summary.push(...(await textLines(template, "summary", s, scale, maxWidth)));
+  }
+
+  const headingStyle = slotStyle(template, "heading", scale);
+  const gap = Math.round(headingStyle.lineHeight * template.gap);
+
+  // Body units; an item remembers its section so a continued section can repeat its heading
+  const units = [];
+  let section = null;
+  for (const b of content.body) {
+    if (b.type === "gap") {
+      units.push({ gap });
+    } else if (b.type === "heading") {
+      section = b.text;
+      const lines = await textLines(template, "heading", b.text, scale, maxWidth);
+      units.push({ heading: b.text, lines, height: blockHeight(lines) });
+    } else {
+      const lines = await itemLines(template, b.text, scale, maxWidth);
+      units.push({ item: true, section, lines, height: blockHeight(lines) });
+    }
+  }
+
+  // Bottom of the body area; on a carousel, stay clear of the page number
+  let bottom = height - padding.bottom;
+  const footer = template.slots.footer;
+  if (paged && footer) {
+    const footerStyle = slotStyle(template, "footer", 1);
+    const footerTop = height - (footer.bottom ?? padding.bottom) - footerStyle.size;
+    bottom = Math.min(bottom, footerTop - Math.round(footerStyle.size * 0.3));
+  }
+
+  const slides = [];
+  let slide, y, shownSection;
+
+  const place = (lines) => {
+    for (const l of lines) {
+      slide.lines.push({ slot: l.slot, text: l.text, x: padding.left + l.dx, y: y + l.style.size, style: l.style, item: l.item });
+      y += l.style.lineHeight;
+    }
+  };
+  const newSlide = () => {
+    slide = { lines: [], body: 0 };
+    slides.push(slide);
+    y = padding.top;
+    place(head);
+    if (slides.length === 1 && summary.length) place(summary);
+    y = Math.max(y + Math.round(gap * 0.6), template.bodyTop);
+    shownSection = null;
+  };
+
+  newSlide();
+  for (let i = 0; i < units.length; i++) {
+    const u = units[i];
+
+    if (u.gap) {
+      if (slide.body) y += u.gap;
+      continue;
+    }
+
+    if (u.heading) {
+      // Keep a heading together with its first item
+      const next = units[i + 1]?.item ? units[i + 1].height : 0;
+      if (slide.body && y + u.height + next > bottom) newSlide();
+      place(u.lines);
+      shownSection = u.heading;
+      slide.body++;
+      continue;
+    }
+
+    if (slide.body && y + u.height > bottom) newSlide();
+    if (u.section && shownSection !== u.section) {
+      place(await textLines(template, "heading", u.section + template.continued, scale, maxWidth));
+      shownSection = u.section;
+    }
+    place(u.lines);
+    slide.body++;
+  }
+
+  return slides.map(s => ({ lines: s.lines }));
+}
+
+// Over the carousel limit: cut at MAX_SLIDES and end the last slide with "… and N more"
+async function truncateSlides(template, slides, content, scale) {
+  if (slides.length <= MAX_SLIDES) return slides;
+
+  const kept = slides.slice(0, MAX_SLIDES);
+  const last = kept[kept.length - 1];
+  const shown = kept.flatMap(s => s.lines).filter(l => l.item).length;
+  const total = content.body.filter(b => b.type === "item").length;
+
+  const dropped = last.lines.pop();
+  const more = total - shown + (dropped.item ? 1 : 0);
+  const style = slotStyle(template, "item", scale);
+  last.lines.push({ slot: "item", text: `… and ${more} more`, x: template.padding.left, y: dropped.y, style });
+  return kept;
+}
+
+// caption -> { scale, slides }. One slide if the caption fits at some scale >= minScale.
+export async function layoutCaption(template, caption) {
+  const content = parseCaption(caption);
+
+  // Shrink in 10% steps before splitting
+  for (let step = 10; step >= Math.round(template.minScale * 10); step--) {
+    const scale = step / 10;
+    const slides = await paginate(template, content, scale, false);
+    if (slides.length === 1) return { scale, slides };
+  }
+
+  const scale = template.minScale;
+  const slides = await paginate(template, content, scale, true);
+  return { scale, slides: await truncateSlides(template, slides, content, scale) };
+}
+
+// ---- Rendering ----
+
+function textSvg(template, slide, vars) {
+  const el = ({ text, x, y, style, anchor = "start" }) =>
+    `<text x="${x}" y="${y}" text-anchor="${anchor}" font-family="${escapeXml(style.family)}" font-size="${style.size}" font-weight="${style.weight}" fill="${style.color}">${escapeXml(text)}</text>`;
+
+  const parts = slide.lines.map(el);
+
+  const footer = template.slots.footer;
+  if (footer?.text && (!footer.paged || vars.pages > 1)) {
+    const style = slotStyle(template, "footer", 1);
+    const { width, height, padding } = template;
+    const align = footer.align ?? "left";
+    parts.push(el({
+      text: fillVars(footer.text, vars),
+      x: align === "right" ? width - padding.right : align === "center" ? width / 2 : padding.left,
+      y: height - (footer.bottom ?? padding.bottom),
+      style,
+      anchor: align === "right" ? "end" : align === "center" ? "middle" : "start"
+    }));
+  }
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${template.width}" height="${template.height}">\n${parts.join("\n")}\n</svg>`;
+}
+
+async function backgroundImage(template, vars) {
+  if (template.background.endsWith(".svg")) {
+    const svg = await fs.readFile(template.background, "utf8");
+    return sharp(Buffer.from(fillVars(svg, vars))).resize(template.width, template.height, { fit: "cover" });
+  }
+  return sharp(template.background).resize(template.width, template.height, { fit: "cover" });
+}
+
+// -> PNG Buffer
+export async function renderSlide(template, slide, { page = 1, pages = 1 } = {}) {
+  const vars = { page, pages, width: template.width, height: template.height };
+  const base = await (await backgroundImage(template, vars)).png().toBuffer();
+  return sharp(base)
+    .composite([{ input: Buffer.from(textSvg(template, slide, vars)), top: 0, left: 0 }])
+    .png()
+    .toBuffer();
+}
+
+// caption -> [PNG Buffer], one per slide
+export async function renderCaptionSlides(caption, { template = DEFAULT_TEMPLATE, dir = TEMPLATE_DIR } = {}) {
+  const t = typeof template === "string" ? await loadTemplate(template, dir) : template;
+  const { slides } = await layoutCaption(t, caption);
+  const out = [];
+  for (let i = 0; i < slides.length; i++) {
+    out.push(await renderSlide(t, slides[i], { page: i + 1, pages: slides.length }));
+  }
+  return out;
+}
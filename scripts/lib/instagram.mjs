@@ -0,0 +1,208 @@
+// scripts/lib/instagram.mjs
+// The Instagram side of an event: caption slides (templates/instagram/, see
+// lib/ig-templates.mjs), the caption text and the Graph API calls that post them.
+// `cypress-status event` renders the slides, `cypress-status post` publishes them.
+import fs from "node:fs/promises";
+import path from "node:path";
+import { renderCaptionSlides, TEMPLATE_SUBDIR } from "./ig-templates.mjs";
+import { DEFAULT_LANGUAGE, translator } from "./i18n.mjs";
+import { DEFAULT_MEDIA_HOST, resolveMediaHost } from "./media-hosts/index.mjs";
+
+// Written next to event.json in the data dir
+export const OUTPUT_IMAGE_FILE = "ig_post.png";
+
+// Rendered status map (`cypress-status render`). The story shows the map; falls back
+// to the caption image if it wasn't rendered or couldn't be hosted.
+export const STORY_IMAGE_FILE = "map-story.png";
+
+// Slide 1 keeps the old name (story fallback, existing links); further carousel slides
+// are ig_post_2.png, ig_post_3.png, ...
+export function slideFile(i) {
+  return i === 0 ? OUTPUT_IMAGE_FILE : OUTPUT_IMAGE_FILE.replace(/\.png$/, `_${i + 1}.png`);
+}
+
+// Header, then the "link in bio" line (IG captions can't link), then the rest
+function withLinkInBio(caption, t) {
+  const [header, ...rest] = caption.split("\n");
+  return `${header}\n${t("caption.link_in_bio")}\n\n${rest.join("\n")}`;
+}
+
+// event.json placeholders -> { image, post }: the caption on the slides (no URL) and
+// the post caption, one block per caption language (placeholders.captions, from
+// resorts.json caption.languages; English-only events carry just caption_image).
+// null when the event has no caption.
+export function eventCaptions(placeholders, assetsDir) {
+  const image = placeholders?.caption_image ?? placeholders?.caption;
+  if (!image) return null;
+
+  const captions = placeholders.captions ?? { [DEFAULT_LANGUAGE]: image };
+  const post = Object.entries(captions)
+    .map(([language, caption]) => withLinkInBio(caption, translator(language, assetsDir)))
+    .join("\n\n");
+  return { image, post };
+}
+
+// Caption -> slide images in dir; long days become several slides. -> the paths written,
+// in order (slides left over from a longer earlier post are removed).
+export async function writeCaptionSlides(caption, dir, { template, assetsDir }) {
+  const slides = await renderCaptionSlides(caption, { template, dir: path.join(assetsDir, TEMPLATE_SUBDIR) });
+  const files = slides.map((_, i) => path.join(dir, slideFile(i)));
+
+  for (let i = 0; i < slides.length; i++) {
+    await fs.writeFile(files[i], slides[i]);
+    console.log(`[image] Wrote ${files[i]}`);
+  }
+
+  const names = files.map(f => path.basename(f));
+  const stale = (await fs.readdir(dir)).filter(f => /^ig_post_\d+\.png$/.test(f) && !names.includes(f));
+  for (const f of stale) await fs.rm(path.join(dir, f));
+
+  return files;
+}
+
+// Instagram fetches images by URL: media-host.json says where they're uploaded
+// (lib/media-hosts/). Without the file, the data branch via raw.githubusercontent.
+export async function loadMediaHost(file, { dataDir, env = process.env } = {}) {
+  let raw;
+  try {
+    raw = JSON.parse(await fs.readFile(file, "utf8"));
+  } catch (err) {
+    if (err.code !== "ENOENT") throw err;
+    raw = DEFAULT_MEDIA_HOST;
+  }
+  return resolveMediaHost(raw, env, { dataDir });
+}
+
+function sleep(ms) {
+  return new Promise((r) => setTimeout(r, ms));
+}
+
+function isTransientGraphError(err) {
+  const msg = String(err?.message || "");
+  return (
+    msg.includes('"is_transient":true') ||
+    msg.includes("HTTP 500") ||
+    msg.includes('"code":2')
+  );
+}
+
+// Graph API client for one account. settings: config "instagram" (graphVersion,
+// publishAttempts, publishRetryMs, containerTimeoutMs).
+export function instagramClient({ userId, accessToken, graphVersion, publishAttempts, publishRetryMs, containerTimeoutMs }) {
+  const missing = [];
+  if (!userId) missing.push("IG_USER_ID");
+  if (!accessToken) missing.push("IG_ACCESS_TOKEN");
+  if (missing.length) throw new Error(`Missing env: ${missing.join(", ")}`);
+
+  async function graph(pathPart, { method = "GET", params = {} } = {}) {
+    const url = new URL(`https://graph.facebook.com/${graphVersion}/${pathPart}`);
+    url.searchParams.set("access_token", accessToken);
+
+    for (const [k, v] of Object.entries(params)) {
+      if (v === undefined || v === null) continue;
+      url.searchParams.set(k, String(v));
+    }
+
+    const res = await fetch(url, { method });
+    const text = await res.text();
+
+    let json = null;
+    try {
+      json = JSON.parse(text);
+    } catch {}
+
+    if (!res.ok) {
+      const detail = json?.error ? JSON.stringify(json.error) : text;
+      throw new Error(
+        `Graph API ${method} ${pathPart} failed: HTTP ${res.status} ${detail}`
+      );
+    }
+
+    return json ?? {};
+  }
+
+  // -> creation_id
+  async function createContainer(params) {
+    const resp = await graph(`${userId}/media`, { method: "POST", params });
+    return resp.id;
+  }
+
+  async function waitUntilFinished(creationId) {
+    const start = Date.now();
+    while (true) {
+      const resp = await graph(`${creationId}`, { params: { fields: "status_code" } });
+      const status = resp.status_code; // FINISHED | IN_PROGRESS | ERROR
+      console.log(`[post] ${creationId} status_code=${status}`);
+
+      if (status === "FINISHED") return;
+      if (status === "ERROR") throw new Error(`Container ${creationId} status_code=ERROR`);
+
+      if (Date.now() - start > containerTimeoutMs) {
+        throw new Error(`Timed out waiting for container ${creationId} to finish`);
+      }
+      await sleep(5000);
+    }
+  }
+
+  // -> ig media id
+  async function publish(creationId) {
+    let lastErr;
+
+    for (let attempt = 1; attempt <= publishAttempts; attempt++) {
+      try {
+        console.log(`[post] Publishing attempt ${attempt}/${publishAttempts}...`);
+        const resp = await graph(`${userId}/media_publish`, { method: "POST", params: { creation_id: creationId } });
+        return resp.id;
+      } catch (err) {
+        lastErr = err;
+
+        if (!isTransientGraphError(err) || attempt === publishAttempts) {
+          throw err;
+        }
+
+        console.warn(`[post] Transient publish failure. Retrying in ${publishRetryMs / 1000}s...`);
+        await sleep(publishRetryMs);
+      }
+    }
+
+    throw lastErr;
+  }
+
+  return {
+    // One image, or a carousel (each slide a container of its own, the parent carries the caption)
+    async postImages(urls, caption) {
+      console.log("[post] Creating container...");
+
+      let creationId;
+      if (urls.length === 1) {
+        creationId = await createContainer({ image_url: urls[0], caption });
+      } else {
+        const childIds = [];
+        for (const [i, url] of urls.entries()) {
+          const childId = await createContainer({ image_url: url, is_carousel_item: true });
+          console.log(`[post] Slide ${i + 1}/${urls.length} container: ${childId}`);
+          await waitUntilFinished(childId);
+          childIds.push(childId);
+        }
+        creationId = await createContainer({ media_type: "CAROUSEL", children: childIds.join(","), caption });
+      }
+
+      console.log(`[post] Container created: ${creationId}. Polling status...`);
+      await waitUntilFinished(creationId);
+
+      console.log("[post] Publishing...");
+      return publish(creationId);
+    },
+
+    async postStory(url) {
+      console.log(`[story] Creating story container (image_url=${url})...`);
+      const creationId = await createContainer({ image_url: url, media_type: "STORIES" });
+
+      console.log(`[story] Container created: ${creationId}`);
+      await waitUntilFinished(creationId);
+
+      console.log("[story] Publishing story...");
+      return publish(creationId);
+    }
+  };
+}
@@ -0,0 +1,143 @@
+// scripts/lib/json-schema.mjs
+// Small JSON Schema (2020-12) validator for the schemas in schemas/: enough of the spec
+// for those files, and it throws on any keyword it doesn't implement, so a schema can't
+// quietly rely on one. Returns a list of problems (empty = valid), like feed-validate.mjs.
+//
+// $ref may point into the same file ("#/$defs/slug") or a sibling ("common.schema.json#/$defs/slug").
+import fs from "node:fs/promises";
+import path from "node:path";
+
+const RFC3339 = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/;
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+const ANNOTATIONS = new Set(["$schema", "$id", "$defs", "title", "description"]);
+const KEYWORDS = new Set([
+  "type", "enum", "const", "required", "properties", "additionalProperties", "propertyNames",
+  "items", "allOf", "anyOf", "if", "then", "else", "$ref", "pattern", "minimum", "format"
+]);
+
+const FORMATS = {
+  "date-time": (v) => RFC3339.test(v) && Number.isFinite(Date.parse(v)),
+  date: (v) => DATE.test(v) && Number.isFinite(Date.parse(`${v}T00:00:00Z`))
+};
+
+// Every *.schema.json in dir, by file name
+export async function loadSchemas(dir) {
+  const schemas = {};
+  for (const name of (await fs.readdir(dir)).filter(n => n.endsWith(".schema.json")).sort()) {
+    schemas[name] = JSON.parse(await fs.readFile(path.join(dir, name), "utf8"));
+  }
+  return schemas;
+}
+
+function typeOf(v) {
+  if (v === null) return "null";
+  if (Array.isArray(v)) return "array";
+  if (Number.isInteger(v)) return "integer";
+  return typeof v;
+}
+
+function matchesType(v, type) {
+  const t = typeOf(v);
+  return t === type || (type === "number" && t === "integer");
+}
+
+function resolveRef(schemas, file, ref) {
+  const [target, pointer = ""] = ref.split("#");
+  const targetFile = target || file;
+  let node = schemas[targetFile];
+  if (node === undefined) throw new Error(`$ref ${ref}: no schema named ${targetFile}`);
+
+  for (const part of pointer.split("/").filter(Boolean)) {
+    node = node?.[part.replace(/~1/g, "/").replace(/~0/g, "~")];
+    if (node === undefined) throw new Error(`$ref ${ref}: nothing at ${pointer} in ${targetFile}`);
+  }
+  return { schema: node, file: targetFile };
+}
+
+function check(value, schema, ctx, where, errors) {
+  if (schema === true) return;
+  if (schema === false) {
+    errors.push(`${where}: not allowed`);
+    return;
+  }
+
+  for (const k of Object.keys(schema)) {
+    if (!KEYWORDS.has(k) && !ANNOTATIONS.has(k)) throw new Error(`${ctx.file}: unsupported keyword "${k}"`);
+  }
+
+  if (schema.$ref) {
+    const { schema: target, file } = resolveRef(ctx.schemas, ctx.file, schema.$ref);
+    check(value, target, { ...ctx, file }, where, errors);
+  }
+
+  if (schema.type !== undefined) {
+    const types = [].concat(schema.type);
+    if (!types.some(t => matchesType(value, t))) {
+      errors.push(`${where}: expected ${types.join(" or ")}, got ${typeOf(value)}`);
+      return;
+    }
+  }
+  if (schema.enum && !schema.enum.some(e => e === value)) {
+    errors.push(`${where}: ${JSON.stringify(value)} is not one of ${schema.enum.map(e => JSON.stringify(e)).join(", ")}`);
+  }
+  if (Object.hasOwn(schema, "const") && schema.const !== value) {
+    errors.push(`${where}: must be ${JSON.stringify(schema.const)}`);
+  }
+
+  if (typeof value === "string") {
+    if (schema.pattern && !new RegExp(schema.pattern, "u").test(value)) errors.push(`${where}: "${value}" doesn't match ${schema.pattern}`);
+    if (schema.format) {
+      const test = FORMATS[schema.format];
+      if (!test) throw new Error(`${ctx.file}: unsupported format "${schema.format}"`);
+      if (!test(value)) errors.push(`${where}: "${value}" is not a valid ${schema.format}`);
+    }
+  }
+  if (typeof value === "number" && schema.minimum !== undefined && value < schema.minimum) {
+    errors.push(`${where}: ${value} is below ${schema.minimum}`);
+  }
+
+  if (typeOf(value) === "object") {
+    for (const k of schema.required ?? []) {
+      if (!Object.hasOwn(value, k)) errors.push(`${where}: missing "${k}"`);
+    }
+    for (const [k, v] of Object.entries(value)) {
+      if (schema.propertyNames) check(k, schema.propertyNames, ctx, `${where} key "${k}"`, errors);
+      if (schema.properties && Object.hasOwn(schema.properties, k)) {
+        check(v, schema.properties[k], ctx, `${where}.${k}`, errors);
+      } else if (schema.additionalProperties !== undefined) {
+        check(v, schema.additionalProperties, ctx, `${where}.${k}`, errors);
+      }
+    }
+  }
+
+  if (Array.isArray(value) && schema.items !== undefined) {
+    value.forEach((v, i) => check(v, schema.items, ctx, `${where}[${i}]`, errors));
+  }
+
+  for (const sub of schema.allOf ?? []) check(value, sub, ctx, where, errors);
+
+  if (schema.anyOf) {
+    const passes = schema.anyOf.some(sub => {
+      const e = [];
+      check(value, sub, ctx, where, e);
+      return e.length === 0;
+    });
+    if (!passes) errors.push(`${where}: matches none of the allowed shapes`);
+  }
+
+  if (schema.if !== undefined) {
+    const e = [];
+    check(value, schema.if, ctx, where, e);
+    const branch = e.length === 0 ? schema.then : schema.else;
+    if (branch !== undefined) check(value, branch, ctx, where, errors);
+  }
+}
+
+// schemas = loadSchemas() result; name = the file to validate against
+export function validate(schemas, name, value) {
+  if (!schemas[name]) throw new Error(`No schema named ${name}`);
+  const errors = [];
+  check(value, schemas[name], { schemas, file: name }, "$", errors);
+  return errors;
+}
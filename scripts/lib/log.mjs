@@ -0,0 +1,40 @@
+// scripts/lib/log.mjs
+// --log json for the cypress-status CLI: every console line becomes one JSON object
+//
+//   {"time":"2026-01-14T20:00:03.120Z","level":"info","command":"fetch","resort":"cypress","tag":"event","msg":"Significant change detected → wrote event.json"}
+//
+// The scripts and lib/ log "[tag] message" lines through console; rather than thread a
+// logger through all of them, the CLI swaps console's methods once at startup. The tag
+// becomes a field, Errors keep their stack, and `fields` (command, resort) is read on
+// every line so a command can update it as it goes.
+import util from "node:util";
+
+const LEVELS = { debug: "debug", log: "info", info: "info", warn: "warn", error: "error" };
+
+function toRecord(level, args, fields) {
+  const record = { time: new Date().toISOString(), level, ...fields };
+
+  const error = args.find(a => a instanceof Error);
+  const text = util.format(...args.filter(a => a !== error)).trim();
+  const m = /^\[([\w-]+)\]\s*([\s\S]*)$/.exec(text);
+  if (m) {
+    record.tag = m[1];
+    record.msg = m[2];
+  } else {
+    record.msg = text;
+  }
+  if (error) {
+    record.msg = record.msg ? `${record.msg} ${error.message}` : error.message;
+    record.error = { name: error.name, message: error.message, stack: error.stack };
+  }
+  return record;
+}
+
+// Returns `fields`; stdout gets debug/info lines, stderr warn/error (as with text output)
+export function useJsonConsole(fields = {}, { stdout = process.stdout, stderr = process.stderr } = {}) {
+  for (const [method, level] of Object.entries(LEVELS)) {
+    const stream = level === "warn" || level === "error" ? stderr : stdout;
+    console[method] = (...args) => stream.write(JSON.stringify(toRecord(level, args, fields)) + "\n");
+  }
+  return fields;
+}
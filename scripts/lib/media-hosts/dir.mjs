@@ -0,0 +1,28 @@
+// scripts/lib/media-hosts/dir.mjs
+// Shared by the hosts that keep files in a local directory (github, local).
+import fs from "node:fs/promises";
+import path from "node:path";
+
+// Only files this module wrote (name-<hash>.ext) are ever pruned
+const HASHED = /-[0-9a-f]{16}\.[a-z]+$/;
+
+export async function writeFile(dir, name, bytes) {
+  await fs.mkdir(dir, { recursive: true });
+  await fs.writeFile(path.join(dir, name), bytes);
+}
+
+export async function pruneDir(dir, keep) {
+  let names;
+  try {
+    names = await fs.readdir(dir);
+  } catch {
+    return [];
+  }
+  const removed = names.filter(n => HASHED.test(n) && !keep.has(n));
+  for (const n of removed) await fs.rm(path.join(dir, n));
+  return removed;
+}
+
+export function joinUrl(base, ...parts) {
+  return [base.replace(/\/+$/, ""), ...parts.map(p => String(p).replace(/^\/+|\/+$/g, "")).filter(Boolean)].join("/");
+}
@@ -0,0 +1,28 @@
+// scripts/lib/media-hosts/github.mjs
+// The data branch as image host: files go into <dir>/ of the data checkout, the
+// workflow's data commit pushes them, raw.githubusercontent serves them.
+//
+//   { "type": "github", "baseUrl": "https://raw.githubusercontent.com/<owner>/<repo>/data/", "dir": "media" }
+//
+// Nothing is served until that push, so `cypress-status event` places the files
+// (staged) and the posting step verifies them once pushed. dir is relative to the data
+// checkout, as it is to the branch in baseUrl.
+import path from "node:path";
+import { writeFile, pruneDir, joinUrl } from "./dir.mjs";
+
+async function upload(host, { name, bytes }) {
+  await writeFile(path.resolve(host.dataDir, host.dir), name, bytes);
+  return joinUrl(host.baseUrl, host.dir, name);
+}
+
+export default {
+  type: "github",
+  required: ["baseUrl", "dir"],
+  defaults: {
+    baseUrl: "https://raw.githubusercontent.com/harrmony/cypress-status-map/data/",
+    dir: "media"
+  },
+  staged: true,
+  upload,
+  prune: (host, keep) => pruneDir(path.resolve(host.dataDir, host.dir), keep)
+};
@@ -0,0 +1,124 @@
+// scripts/lib/media-hosts/index.mjs
+// Where `cypress-status post` puts images so Instagram can fetch them by URL.
+// media-host.json picks one:
+//
+//   github  commit them to the data branch, served by raw.githubusercontent (the default)
+//   s3      PUT to an S3-compatible bucket (AWS, R2, MinIO, ...)
+//   local   copy into a directory a web server serves (optionally serve it ourselves)
+//
+// Every file is stored under a content-hash name (ig_post-3f2a9c0e1b7d4a66.png), so
+// a URL never points at different bytes and needs no cache busting. After uploading,
+// verifyServed() downloads each URL until it returns exactly the local bytes, before
+// the URL is handed to Instagram.
+//
+// Like notifiers.json, secrets never go in the file: any "<field>Env" key names the
+// env var that holds <field> (e.g. "secretAccessKeyEnv": "S3_SECRET_ACCESS_KEY").
+import crypto from "node:crypto";
+import fs from "node:fs/promises";
+import path from "node:path";
+import github from "./github.mjs";
+import s3 from "./s3.mjs";
+import local from "./local.mjs";
+
+const TYPES = { github, s3, local };
+
+export const MEDIA_HOST_FILE = "media-host.json";
+export const DEFAULT_MEDIA_HOST = { type: "github" };
+
+const CONTENT_TYPES = { ".png": "image/png", ".jpg": "image/jpeg", ".jpeg": "image/jpeg" };
+const HASH_LENGTH = 16;
+
+export function mediaHostTypes() {
+  return Object.keys(TYPES);
+}
+
+// Config + env -> { type, impl, ...fields }. Unlike a notifier, a host that isn't
+// configured is an error: there is nothing to post without it. dataDir is the data
+// checkout (the github host writes into it).
+export function resolveMediaHost(raw = DEFAULT_MEDIA_HOST, env = process.env, { dataDir = "." } = {}) {
+  const impl = TYPES[raw?.type];
+  if (!impl) throw new Error(`${MEDIA_HOST_FILE}: unknown type "${raw?.type}" (have: ${mediaHostTypes().join(", ")})`);
+
+  const host = { ...impl.defaults, ...raw, impl, dataDir };
+  for (const [key, value] of Object.entries(raw)) {
+    if (key.endsWith("Env") && env[value]) host[key.slice(0, -3)] = env[value];
+  }
+
+  const missing = impl.required.filter(f => !host[f]);
+  if (missing.length) throw new Error(`${MEDIA_HOST_FILE}: ${raw.type} host is missing ${missing.join(", ")}`);
+  return host;
+}
+
+// ig_post.png + bytes -> ig_post-<first 16 hex of sha256>.png
+export function hashedName(file, bytes) {
+  const ext = path.extname(file);
+  const hash = crypto.createHash("sha256").update(bytes).digest("hex").slice(0, HASH_LENGTH);
+  return `${path.basename(file, ext)}-${hash}${ext}`;
+}
+
+function sha256(bytes) {
+  return crypto.createHash("sha256").update(bytes).digest("hex");
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Polls url until it serves exactly `bytes`. Throws with the last reason on timeout.
+export async function verifyServed(url, bytes, { maxWaitMs = 90_000, intervalMs = 3_000, fetchImpl = fetch, wait = sleep } = {}) {
+  const want = sha256(bytes);
+  const start = Date.now();
+
+  while (true) {
+    let reason;
+    try {
+      const res = await fetchImpl(url, { signal: AbortSignal.timeout(15_000) });
+      if (res.ok) {
+        const got = Buffer.from(await res.arrayBuffer());
+        if (sha256(got) === want) {
+          console.log(`[media] Verified ${url} (${got.length} bytes)`);
+          return;
+        }
+        reason = `served ${got.length} bytes that differ from the local file (${bytes.length} bytes)`;
+      } else {
+        reason = `HTTP ${res.status}`;
+      }
+    } catch (err) {
+      reason = err.message;
+    }
+
+    if (Date.now() - start + intervalMs > maxWaitMs) {
+      throw new Error(`${url} not serving the uploaded file after ${Math.round((Date.now() - start) / 1000)}s: ${reason}`);
+    }
+    console.log(`[media] Not ready: ${url} (${reason})`);
+    await wait(intervalMs);
+  }
+}
+
+// Uploads local files under content-hash names; -> [{ file, name, url }] in order.
+// verify: false just places them (the github host's files go out with the next push).
+export async function publishMedia(host, files, { verify = true, fetchImpl, wait } = {}) {
+  const out = [];
+  for (const file of files) {
+    const bytes = await fs.readFile(file);
+    const name = hashedName(file, bytes);
+    const contentType = CONTENT_TYPES[path.extname(file).toLowerCase()] ?? "application/octet-stream";
+
+    const url = await host.impl.upload(host, { name, bytes, contentType });
+    console.log(`[media] ${file} -> ${url}`);
+    if (verify) await verifyServed(url, bytes, { ...host.verify, fetchImpl, wait });
+    out.push({ file, name, url });
+  }
+  return out;
+}
+
+// Removes everything the host holds except `keep` names (hosts without prune keep all,
+// e.g. an S3 bucket uses a lifecycle rule instead)
+export async function pruneMedia(host, keep) {
+  if (!host.impl.prune) return [];
+  const removed = await host.impl.prune(host, new Set(keep));
+  for (const name of removed) console.log(`[media] Removed old ${name}`);
+  return removed;
+}
+
+export async function closeMediaHost(host) {
+  await host.impl.close?.(host);
+}
@@ -0,0 +1,63 @@
+// scripts/lib/media-hosts/local.mjs
+// A directory some web server already serves, or, with "port", served by us for as
+// long as the script runs (behind a tunnel / reverse proxy, or for trying things out).
+//
+//   { "type": "local", "dir": "/var/www/media", "baseUrl": "https://media.example.com/ig/" }
+//   { "type": "local", "dir": "/tmp/media", "port": 8788 }     # baseUrl: http://127.0.0.1:8788/
+import http from "node:http";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { writeFile, pruneDir, joinUrl } from "./dir.mjs";
+
+const CONTENT_TYPES = { ".png": "image/png", ".jpg": "image/jpeg", ".jpeg": "image/jpeg" };
+
+// Plain static GET of the files under `dir`. port 0 picks a free port.
+export function serveDir(dir, port = 0) {
+  const root = path.resolve(dir);
+  const server = http.createServer(async (req, res) => {
+    const file = path.resolve(root, "." + decodeURIComponent(new URL(req.url, "http://localhost").pathname));
+    if (req.method !== "GET" || !file.startsWith(root + path.sep)) {
+      res.writeHead(404).end();
+      return;
+    }
+    try {
+      const bytes = await fs.readFile(file);
+      res.writeHead(200, { "content-type": CONTENT_TYPES[path.extname(file).toLowerCase()] ?? "application/octet-stream", "content-length": bytes.length });
+      res.end(bytes);
+    } catch {
+      res.writeHead(404).end();
+    }
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, "127.0.0.1", () => resolve(server));
+  });
+}
+
+async function upload(host, { name, bytes }) {
+  if (host.port !== undefined && !host.server) {
+    host.server = await serveDir(host.dir, host.port);
+    host.baseUrl ??= `http://127.0.0.1:${host.server.address().port}/`;
+    console.log(`[media] Serving ${host.dir} at ${host.baseUrl}`);
+  }
+  if (!host.baseUrl) throw new Error("local media host needs baseUrl (or port, to serve the directory itself)");
+
+  await writeFile(host.dir, name, bytes);
+  return joinUrl(host.baseUrl, name);
+}
+
+async function close(host) {
+  if (!host.server) return;
+  await new Promise(resolve => host.server.close(resolve));
+  host.server = null;
+}
+
+export default {
+  type: "local",
+  required: ["dir"],
+  defaults: {},
+  upload,
+  prune: (host, keep) => pruneDir(host.dir, keep),
+  close
+};
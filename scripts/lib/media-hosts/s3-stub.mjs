@@ -0,0 +1,43 @@
+// scripts/lib/media-hosts/s3-stub.mjs
+// Just enough of an S3-compatible server (MinIO-style, path-style URLs) to try the
+// s3 media host offline: signed PUT stores an object in memory, GET serves it back.
+// Used by scripts/stub-server.mjs (under /s3) and scripts/check-media-hosts.mjs.
+import { verifyRequest } from "./s3.mjs";
+
+export const STUB_S3 = { accessKeyId: "stub-access-key", secretAccessKey: "stub-secret-key", region: "us-east-1" };
+
+// -> handler(req, res, body: Buffer): true if it answered the request (path under basePath)
+export function s3StubHandler({ basePath = "", credentials = STUB_S3, objects = new Map() } = {}) {
+  return (req, res, body) => {
+    const { pathname } = new URL(req.url, `http://${req.headers.host}`);
+    if (!pathname.startsWith(`${basePath}/`)) return false;
+    const key = decodeURIComponent(pathname.slice(basePath.length)); // "/bucket/path/to/object"
+
+    if (req.method === "PUT") {
+      const problem = verifyRequest({
+        method: "PUT",
+        url: `http://${req.headers.host}${req.url}`,
+        headers: req.headers,
+        body,
+        ...credentials
+      });
+      if (problem) {
+        res.writeHead(403, { "content-type": "application/xml" });
+        res.end(`<Error><Code>SignatureDoesNotMatch</Code><Message>${problem}</Message></Error>`);
+        return true;
+      }
+      objects.set(key, { body, contentType: req.headers["content-type"] ?? "application/octet-stream" });
+      res.writeHead(200, { etag: `"${objects.size}"` }).end();
+      return true;
+    }
+
+    if (req.method === "GET" && objects.has(key)) {
+      const { body: bytes, contentType } = objects.get(key);
+      res.writeHead(200, { "content-type": contentType, "content-length": bytes.length }).end(bytes);
+      return true;
+    }
+
+    res.writeHead(404, { "content-type": "application/xml" }).end("<Error><Code>NoSuchKey</Code></Error>");
+    return true;
+  };
+}
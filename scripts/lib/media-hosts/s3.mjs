@@ -0,0 +1,111 @@
+// scripts/lib/media-hosts/s3.mjs
+// Any S3-compatible bucket (AWS S3, Cloudflare R2, MinIO, ...): a path-style PUT
+// signed with AWS Signature V4. No SDK; node:crypto does the signing.
+//
+//   { "type": "s3", "endpoint": "https://s3.us-west-2.amazonaws.com", "region": "us-west-2",
+//     "bucket": "cypress-status-media", "prefix": "instagram/",
+//     "accessKeyIdEnv": "S3_ACCESS_KEY_ID", "secretAccessKeyEnv": "S3_SECRET_ACCESS_KEY",
+//     "publicUrl": "https://media.example.com/", "acl": "public-read" }
+//
+// publicUrl: where the bucket is readable (CDN / custom domain); defaults to the PUT URL.
+// Names are content-hashed, so objects are sent as immutable; expire old ones with a
+// bucket lifecycle rule.
+import crypto from "node:crypto";
+import { HttpError, withRetry } from "../notifiers/http.mjs";
+import { joinUrl } from "./dir.mjs";
+
+const ALGORITHM = "AWS4-HMAC-SHA256";
+const MAX_SKEW_MS = 15 * 60 * 1000;
+
+const hmac = (key, data) => crypto.createHmac("sha256", key).update(data).digest();
+const sha256Hex = (data) => crypto.createHash("sha256").update(data).digest("hex");
+
+// RFC 3986, as the canonical request wants it (encodeURIComponent leaves !'()* alone)
+const encode = (s) => encodeURIComponent(s).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+
+// 2026-01-14T19:00:00.000Z -> 20260114T190000Z
+export function amzDate(date) {
+  return date.toISOString().replace(/[:-]|\.\d{3}/g, "");
+}
+
+// -> Authorization header value. headers: lowercase names, all of them signed.
+export function signRequest({ method, url, headers, accessKeyId, secretAccessKey, region, service = "s3" }) {
+  const u = new URL(url);
+  const date = headers["x-amz-date"];
+  const day = date.slice(0, 8);
+
+  const names = Object.keys(headers).sort();
+  const canonicalHeaders = names.map(n => `${n}:${String(headers[n]).trim().replace(/\s+/g, " ")}\n`).join("");
+  const signedHeaders = names.join(";");
+  const canonicalPath = u.pathname.split("/").map(s => encode(decodeURIComponent(s))).join("/");
+  const canonicalQuery = [...u.searchParams].map(([k, v]) => `${encode(k)}=${encode(v)}`).sort().join("&");
+
+  const canonicalRequest = [method, canonicalPath, canonicalQuery, canonicalHeaders, signedHeaders, headers["x-amz-content-sha256"]].join("\n");
+  const scope = `${day}/${region}/${service}/aws4_request`;
+  const stringToSign = [ALGORITHM, date, scope, sha256Hex(canonicalRequest)].join("\n");
+
+  const key = hmac(hmac(hmac(hmac(`AWS4${secretAccessKey}`, day), region), service), "aws4_request");
+  const signature = crypto.createHmac("sha256", key).update(stringToSign).digest("hex");
+  return `${ALGORITHM} Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`;
+}
+
+// For the stub bucket: -> null if the request is signed with these credentials, else why not
+export function verifyRequest({ method, url, headers, body, accessKeyId, secretAccessKey, region, now = Date.now() }) {
+  const m = /^AWS4-HMAC-SHA256 Credential=([^/]+)\/[^,]+, SignedHeaders=([^,]+), Signature=([0-9a-f]+)$/.exec(headers.authorization ?? "");
+  if (!m) return "missing or malformed Authorization";
+  if (m[1] !== accessKeyId) return "unknown access key";
+
+  const date = headers["x-amz-date"] ?? "";
+  const at = Date.parse(date.replace(/^(\d{4})(\d\d)(\d\d)T(\d\d)(\d\d)(\d\d)Z$/, "$1-$2-$3T$4:$5:$6Z"));
+  if (!Number.isFinite(at) || Math.abs(now - at) > MAX_SKEW_MS) return "x-amz-date missing or too far off";
+  if (headers["x-amz-content-sha256"] !== sha256Hex(body)) return "x-amz-content-sha256 doesn't match the body";
+
+  const signed = Object.fromEntries(m[2].split(";").map(n => [n, headers[n] ?? ""]));
+  const expected = signRequest({ method, url, headers: signed, accessKeyId, secretAccessKey, region });
+  const a = Buffer.from(expected);
+  const b = Buffer.from(headers.authorization);
+  return a.length === b.length && crypto.timingSafeEqual(a, b) ? null : "signature mismatch";
+}
+
+async function upload(host, { name, bytes, contentType }) {
+  const key = `${host.prefix}${name}`;
+  const url = joinUrl(host.endpoint, host.bucket, key);
+
+  await withRetry(async () => {
+    const headers = {
+      host: new URL(url).host,
+      "cache-control": host.cacheControl,
+      "content-type": contentType,
+      "x-amz-content-sha256": sha256Hex(bytes),
+      "x-amz-date": amzDate(new Date()),
+      ...(host.acl ? { "x-amz-acl": host.acl } : {})
+    };
+    const authorization = signRequest({ method: "PUT", url, headers, ...host });
+    delete headers.host; // fetch sets it from the URL
+
+    let res;
+    try {
+      res = await fetch(url, { method: "PUT", headers: { ...headers, authorization }, body: bytes, signal: AbortSignal.timeout(30_000) });
+    } catch (err) {
+      throw new HttpError(`PUT ${url} failed: ${err.message}`);
+    }
+    if (!res.ok) {
+      const text = await res.text();
+      throw new HttpError(`PUT ${url} failed: HTTP ${res.status} ${text.slice(0, 300)}`, { status: res.status });
+    }
+  }, host.retry, { label: "media:s3" });
+
+  return host.publicUrl ? joinUrl(host.publicUrl, key) : url;
+}
+
+export default {
+  type: "s3",
+  required: ["endpoint", "bucket", "region", "accessKeyId", "secretAccessKey"],
+  defaults: {
+    region: "us-east-1",
+    prefix: "",
+    cacheControl: "public, max-age=31536000, immutable",
+    retry: { maxAttempts: 3, delayMs: 2_000 }
+  },
+  upload
+};
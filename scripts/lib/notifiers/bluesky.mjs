@@ -0,0 +1,53 @@
+// scripts/lib/notifiers/bluesky.mjs
+// Bluesky post via the AT Protocol XRPC API (app password, not the main password).
+//
+//   { "id": "bluesky", "type": "bluesky", "service": "https://bsky.social",
+//     "handleEnv": "BLUESKY_HANDLE", "passwordEnv": "BLUESKY_APP_PASSWORD" }
+import { requestJson, fitText } from "./http.mjs";
+
+const BLUESKY_MAX = 300; // graphemes; fitText counts code points, close enough for our text
+
+// Link facet so the map URL is clickable (byte offsets into UTF-8 text)
+function linkFacet(text, link) {
+  if (!link) return [];
+  const start = text.lastIndexOf(link);
+  if (start === -1) return [];
+  const byteStart = Buffer.byteLength(text.slice(0, start), "utf8");
+  return [{
+    index: { byteStart, byteEnd: byteStart + Buffer.byteLength(link, "utf8") },
+    features: [{ $type: "app.bsky.richtext.facet#link", uri: link }]
+  }];
+}
+
+async function send(target, message) {
+  const xrpc = (method) => new URL(`/xrpc/${method}`, target.service).toString();
+
+  const session = await requestJson(xrpc("com.atproto.server.createSession"), {
+    body: { identifier: target.handle, password: target.password }
+  });
+
+  const text = fitText(message.caption, BLUESKY_MAX, { suffix: message.link });
+
+  const resp = await requestJson(xrpc("com.atproto.repo.createRecord"), {
+    headers: { authorization: `Bearer ${session.accessJwt}` },
+    body: {
+      repo: session.did,
+      collection: "app.bsky.feed.post",
+      record: {
+        $type: "app.bsky.feed.post",
+        text,
+        facets: linkFacet(text, message.link),
+        langs: ["en"],
+        createdAt: new Date().toISOString()
+      }
+    }
+  });
+
+  return { response_id: resp?.uri ?? null };
+}
+
+export default {
+  type: "bluesky",
+  required: ["service", "handle", "password"],
+  send
+};
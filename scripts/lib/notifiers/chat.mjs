@@ -0,0 +1,40 @@
+// scripts/lib/notifiers/chat.mjs
+// Discord and Slack "incoming webhook" targets (plain text message).
+//
+//   { "id": "crew-discord", "type": "discord", "urlEnv": "DISCORD_WEBHOOK_URL" }
+//   { "id": "crew-slack",   "type": "slack",   "urlEnv": "SLACK_WEBHOOK_URL" }
+import { requestJson, fitText } from "./http.mjs";
+
+const DISCORD_MAX = 2000;
+const SLACK_MAX = 3000; // Slack truncates a section at 3000
+
+export const discord = {
+  type: "discord",
+  required: ["url"],
+  async send(target, message) {
+    // ?wait=true makes Discord return the created message (so we get an id)
+    const url = new URL(target.url);
+    url.searchParams.set("wait", "true");
+
+    const resp = await requestJson(url.toString(), {
+      body: {
+        content: fitText(message.caption, DISCORD_MAX, { suffix: message.link }),
+        username: target.username ?? undefined,
+        allowed_mentions: { parse: [] }
+      }
+    });
+    return { response_id: resp?.id ?? null };
+  }
+};
+
+export const slack = {
+  type: "slack",
+  required: ["url"],
+  async send(target, message) {
+    // Slack answers a plain "ok"
+    await requestJson(target.url, {
+      body: { text: fitText(message.caption, SLACK_MAX, { suffix: message.link }) }
+    });
+    return { response_id: null };
+  }
+};
@@ -0,0 +1,100 @@
+// scripts/lib/notifiers/http.mjs
+// Shared HTTP + retry helpers for notifier targets.
+
+export function sleep(ms) {
+  return new Promise((r) => setTimeout(r, ms));
+}
+
+export class HttpError extends Error {
+  constructor(message, { status = null, body = null, retryAfterMs = null } = {}) {
+    super(message);
+    this.name = "HttpError";
+    this.status = status;
+    this.body = body;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const secs = Number(value);
+  if (Number.isFinite(secs)) return secs * 1000;
+  const at = Date.parse(value);
+  return Number.isFinite(at) ? Math.max(0, at - Date.now()) : null;
+}
+
+// fetch() that throws HttpError on non-2xx and returns parsed JSON (or text)
+export async function requestJson(url, { method = "POST", headers = {}, body, timeoutMs = 15_000 } = {}) {
+  let res;
+  try {
+    res = await fetch(url, {
+      method,
+      headers: body !== undefined ? { "content-type": "application/json", ...headers } : headers,
+      body: body === undefined ? undefined : typeof body === "string" ? body : JSON.stringify(body),
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+  } catch (err) {
+    // Network error / timeout: no status, always worth a retry
+    throw new HttpError(`${method} ${url} failed: ${err.message}`);
+  }
+
+  const text = await res.text();
+  let json = null;
+  try {
+    json = text ? JSON.parse(text) : null;
+  } catch {}
+
+  if (!res.ok) {
+    throw new HttpError(`${method} ${url} failed: HTTP ${res.status} ${text.slice(0, 300)}`, {
+      status: res.status,
+      body: json ?? text,
+      retryAfterMs: parseRetryAfter(res.headers.get("retry-after"))
+    });
+  }
+
+  return json ?? text;
+}
+
+// Network errors, timeouts, 408, 425, 429 and 5xx are worth another attempt
+export function isTransientHttpError(err) {
+  if (!(err instanceof HttpError)) return false;
+  if (err.status === null) return true;
+  return err.status === 408 || err.status === 425 || err.status === 429 || err.status >= 500;
+}
+
+export const DEFAULT_RETRY = { maxAttempts: 4, delayMs: 10_000, backoff: 2, maxDelayMs: 120_000 };
+
+// Runs fn(attempt) with exponential backoff. onAttempt(attempt, err|null) is for bookkeeping.
+export async function withRetry(fn, policy = {}, { isTransient = isTransientHttpError, label = "notify", wait = sleep, onAttempt } = {}) {
+  const { maxAttempts, delayMs, backoff, maxDelayMs } = { ...DEFAULT_RETRY, ...policy };
+  let lastErr;
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    try {
+      const result = await fn(attempt);
+      onAttempt?.(attempt, null);
+      return result;
+    } catch (err) {
+      lastErr = err;
+      onAttempt?.(attempt, err);
+
+      if (!isTransient(err) || attempt === maxAttempts) throw err;
+
+      const backoffMs = Math.min(maxDelayMs, delayMs * backoff ** (attempt - 1));
+      const waitMs = Math.max(backoffMs, err.retryAfterMs ?? 0);
+      console.warn(`[${label}] Attempt ${attempt}/${maxAttempts} failed (${err.message}). Retrying in ${Math.round(waitMs / 1000)}s...`);
+      await wait(waitMs);
+    }
+  }
+
+  throw lastErr;
+}
+
+// Trim text to a length limit without cutting the trailing link
+export function fitText(text, max, { suffix = "" } = {}) {
+  const tail = suffix ? `\n\n${suffix}` : "";
+  const chars = [...String(text)];
+  if (chars.length + [...tail].length <= max) return `${text}${tail}`;
+  const room = Math.max(0, max - [...tail].length - 1);
+  return `${chars.slice(0, room).join("").trimEnd()}…${tail}`;
+}
@@ -0,0 +1,152 @@
+// scripts/lib/notifiers/index.mjs
+// Fans event.json out to the targets in notifiers.json.
+//
+// Each target keeps its own delivery state inside event.json, so a target that
+// already delivered is never sent twice, and one failing target doesn't block
+// (or re-trigger) the others:
+//
+//   "notifications": {
+//     "crew-discord": { "delivered": true, "delivered_at": "...", "response_id": "...",
+//                       "attempts": 1, "runs": 1, "last_error": null, "gave_up": false }
+//   }
+//
+// Secrets never go in notifiers.json: any "<field>Env" key names the env var
+// that holds <field> (e.g. "urlEnv": "DISCORD_WEBHOOK_URL").
+import webhook from "./webhook.mjs";
+import { discord, slack } from "./chat.mjs";
+import mastodon from "./mastodon.mjs";
+import bluesky from "./bluesky.mjs";
+import { withRetry, DEFAULT_RETRY } from "./http.mjs";
+
+const TYPES = { webhook, discord, slack, mastodon, bluesky };
+
+// Give up on a target after this many runs that each exhausted their retries
+const DEFAULT_MAX_RUNS = 3;
+// Don't announce stale events (e.g. a target added days after the event)
+const DEFAULT_MAX_EVENT_AGE_HOURS = 24;
+
+export function notifierTypes() {
+  return Object.keys(TYPES);
+}
+
+// Config entry + env -> { id, type, impl, retry, ...fields } or { id, skip: reason }
+export function resolveTarget(raw, env = process.env, defaults = {}) {
+  const id = raw?.id;
+  if (!id) throw new Error("notifiers.json: every target needs an id");
+
+  const impl = TYPES[raw.type];
+  if (!impl) throw new Error(`notifiers.json: target "${id}" has unknown type "${raw.type}" (have: ${notifierTypes().join(", ")})`);
+
+  if (raw.enabled === false) return { id, skip: "disabled" };
+
+  // Literal fields first, then "<field>Env" values from the environment win
+  const target = { ...raw, id, type: raw.type, impl };
+  for (const [key, value] of Object.entries(raw)) {
+    if (key.endsWith("Env") && env[value]) target[key.slice(0, -3)] = env[value];
+  }
+
+  const missing = impl.required.filter(f => !target[f]);
+  if (missing.length) return { id, skip: `not configured (missing ${missing.join(", ")})` };
+
+  target.retry = { ...DEFAULT_RETRY, ...defaults.retry, ...raw.retry };
+  target.maxRuns = raw.maxRuns ?? defaults.maxRuns ?? DEFAULT_MAX_RUNS;
+  return target;
+}
+
+// What every target gets to format from. With several caption languages the text
+// has them all, one after the other (fitText trims the end for short limits).
+export function buildMessage(event, resort, targetId) {
+  const captions = event.placeholders?.captions;
+  const caption = captions
+    ? Object.values(captions).join("\n\n")
+    : event.placeholders?.caption_image ?? event.placeholders?.caption ?? "";
+  return {
+    event,
+    resort,
+    caption,
+    link: resort.mapUrl ?? null,
+    text: resort.mapUrl ? `${caption}\n\n${resort.mapUrl}` : caption,
+    idempotencyKey: `${event.key}:${targetId}`
+  };
+}
+
+// Sends `event` to each target; calls save(event) after every target that changed state.
+// -> { delivered, failed, skipped } target ids
+export async function notifyEvent(event, resort, targets, {
+  save = async () => {},
+  dryRun = false,
+  now = new Date(),
+  maxEventAgeHours = DEFAULT_MAX_EVENT_AGE_HOURS,
+  wait
+} = {}) {
+  const result = { delivered: [], failed: [], skipped: [] };
+  event.notifications = event.notifications || {};
+
+  const ageHours = (now.getTime() - Date.parse(event.created_at)) / 3_600_000;
+  const stale = Number.isFinite(ageHours) && ageHours > maxEventAgeHours;
+
+  for (const target of targets) {
+    const state = event.notifications[target.id] || {};
+
+    if (target.skip) {
+      console.log(`[notify] ${target.id}: skip, ${target.skip}`);
+      result.skipped.push(target.id);
+      continue;
+    }
+    if (state.delivered) {
+      console.log(`[notify] ${target.id}: already delivered (${state.response_id ?? "no id"})`);
+      result.skipped.push(target.id);
+      continue;
+    }
+    if (state.gave_up) {
+      console.log(`[notify] ${target.id}: gave up earlier (${state.last_error})`);
+      result.skipped.push(target.id);
+      continue;
+    }
+    if (stale) {
+      console.log(`[notify] ${target.id}: skip, event is ${ageHours.toFixed(1)}h old`);
+      result.skipped.push(target.id);
+      continue;
+    }
+
+    const message = buildMessage(event, resort, target.id);
+
+    if (dryRun) {
+      console.log(`[notify] ${target.id} (${target.type}) dry run, would send:\n${message.text}`);
+      result.skipped.push(target.id);
+      continue;
+    }
+
+    state.attempts = state.attempts || 0;
+    state.runs = (state.runs || 0) + 1;
+
+    try {
+      const resp = await withRetry(() => target.impl.send(target, message), target.retry, {
+        label: `notify:${target.id}`,
+        wait,
+        onAttempt: () => { state.attempts++; }
+      });
+
+      Object.assign(state, {
+        delivered: true,
+        delivered_at: new Date().toISOString(),
+        response_id: resp?.response_id ?? null,
+        ...(resp?.url ? { url: resp.url } : {}),
+        last_error: null
+      });
+      console.log(`[notify] ${target.id}: delivered (${state.response_id ?? "ok"})`);
+      result.delivered.push(target.id);
+    } catch (err) {
+      state.delivered = false;
+      state.last_error = err.message;
+      state.gave_up = state.runs >= target.maxRuns;
+      console.error(`[notify] ${target.id}: failed${state.gave_up ? ", giving up" : ""}: ${err.message}`);
+      result.failed.push(target.id);
+    }
+
+    event.notifications[target.id] = state;
+    await save(event);
+  }
+
+  return result;
+}
@@ -0,0 +1,35 @@
+// scripts/lib/notifiers/mastodon.mjs
+// Mastodon status via POST /api/v1/statuses.
+//
+//   { "id": "mastodon", "type": "mastodon", "instance": "https://mastodon.social",
+//     "tokenEnv": "MASTODON_TOKEN", "visibility": "public" }
+//
+// Mastodon honours Idempotency-Key itself, so a retry after a lost response
+// returns the same status instead of posting twice.
+import { requestJson, fitText } from "./http.mjs";
+
+const MASTODON_MAX = 500;
+
+async function send(target, message) {
+  const url = new URL("/api/v1/statuses", target.instance).toString();
+
+  const resp = await requestJson(url, {
+    headers: {
+      authorization: `Bearer ${target.token}`,
+      "idempotency-key": message.idempotencyKey
+    },
+    body: {
+      status: fitText(message.caption, MASTODON_MAX, { suffix: message.link }),
+      visibility: target.visibility ?? "public",
+      language: "en"
+    }
+  });
+
+  return { response_id: resp?.id ?? null, url: resp?.url ?? null };
+}
+
+export default {
+  type: "mastodon",
+  required: ["instance", "token"],
+  send
+};
@@ -0,0 +1,79 @@
+// scripts/lib/notifiers/stub.mjs
+// Stand-in endpoints for every notifier type: webhook (checks the signature), Discord,
+// Slack, Mastodon and Bluesky. Used by scripts/stub-server.mjs and
+// scripts/check-notifiers.mjs.
+//
+// failFirst N answers 503 to the first N requests on each path (exercises retries),
+// with Retry-After when retryAfterSec is set. Idempotency-Key replays the first
+// response, like Mastodon does.
+import { verifySignature } from "./webhook.mjs";
+
+export const STUB_SECRET = "stub-secret";
+
+const routes = {
+  "/webhook": (req, body, ids) => {
+    const ok = verifySignature(STUB_SECRET, {
+      timestamp: req.headers["x-status-timestamp"],
+      signature: req.headers["x-status-signature"],
+      body
+    });
+    return ok ? [200, { id: `wh-${ids.next++}` }] : [401, { error: "bad signature" }];
+  },
+  "/discord": (req, body, ids) => [200, { id: `dc-${ids.next++}` }],
+  "/slack": () => [200, "ok"],
+  "/api/v1/statuses": (req, body, ids) => {
+    if (req.headers.authorization !== "Bearer stub-token") return [401, { error: "bad token" }];
+    const id = ids.next++;
+    return [200, { id: `md-${id}`, url: `http://${req.headers.host}/@stub/${id}` }];
+  },
+  "/xrpc/com.atproto.server.createSession": (req, body) => {
+    const { identifier, password } = JSON.parse(body || "{}");
+    if (!identifier || password !== "stub-password") return [401, { error: "AuthenticationRequired" }];
+    return [200, { accessJwt: "stub-jwt", did: "did:plc:stub", handle: identifier }];
+  },
+  "/xrpc/com.atproto.repo.createRecord": (req, body, ids) => {
+    if (req.headers.authorization !== "Bearer stub-jwt") return [401, { error: "InvalidToken" }];
+    return [200, { uri: `at://did:plc:stub/app.bsky.feed.post/${ids.next++}`, cid: "stub" }];
+  }
+};
+
+function reply(res, status, body, headers = {}) {
+  res.writeHead(status, { "content-type": "application/json", ...headers });
+  res.end(JSON.stringify(body));
+}
+
+// -> handler(req, res, body: Buffer): true if it answered the request (a notifier path).
+// requests collects { path, n, status, idempotencyKey, body } for every request answered.
+export function notifierStubHandler({ failFirst = 0, retryAfterSec = null, requests = [], log = () => {} } = {}) {
+  const hits = new Map();
+  const seenKeys = new Map(); // path|Idempotency-Key -> [status, payload]
+  const ids = { next: 1 };
+
+  return (req, res, raw) => {
+    const { pathname } = new URL(req.url, `http://${req.headers.host}`);
+    const route = routes[pathname];
+    if (!route || req.method !== "POST") return false;
+
+    const body = raw.toString("utf8");
+    const n = (hits.get(pathname) ?? 0) + 1;
+    hits.set(pathname, n);
+
+    const idemKey = req.headers["idempotency-key"] ?? null;
+    log(`[stub] ${req.method} ${pathname} #${n}${idemKey ? ` key=${idemKey}` : ""}\n${body}\n`);
+
+    let status, payload, headers = {};
+    if (n <= failFirst) {
+      [status, payload] = [503, { error: "stub: failing on purpose" }];
+      if (retryAfterSec !== null) headers = { "retry-after": String(retryAfterSec) };
+    } else if (idemKey && seenKeys.has(`${pathname}|${idemKey}`)) {
+      [status, payload] = seenKeys.get(`${pathname}|${idemKey}`);
+    } else {
+      [status, payload] = route(req, body, ids);
+      if (idemKey && status < 300) seenKeys.set(`${pathname}|${idemKey}`, [status, payload]);
+    }
+
+    requests.push({ path: pathname, n, status, idempotencyKey: idemKey, body });
+    reply(res, status, payload, headers);
+    return true;
+  };
+}
@@ -0,0 +1,58 @@
+// scripts/lib/notifiers/webhook.mjs
+// Generic JSON webhook, optionally HMAC-signed.
+//
+//   { "id": "hooks", "type": "webhook", "urlEnv": "WEBHOOK_URL", "secretEnv": "WEBHOOK_SECRET" }
+//
+// Headers sent:
+//   Idempotency-Key:    <event key>:<target id>   (same on every retry)
+//   X-Status-Timestamp: unix seconds
+//   X-Status-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<raw body>" with the secret>
+import crypto from "node:crypto";
+import { requestJson } from "./http.mjs";
+
+export function signBody(secret, timestamp, body) {
+  return "sha256=" + crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+}
+
+// For receivers (and the stub server): constant-time check, 5 min clock skew
+export function verifySignature(secret, { timestamp, signature, body, toleranceSec = 300, nowSec = Math.floor(Date.now() / 1000) }) {
+  if (!timestamp || !signature) return false;
+  if (Math.abs(nowSec - Number(timestamp)) > toleranceSec) return false;
+  const expected = Buffer.from(signBody(secret, timestamp, body));
+  const actual = Buffer.from(String(signature));
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+export function buildPayload(message) {
+  return {
+    type: "status.event",
+    id: message.idempotencyKey,
+    event: message.event.key,
+    resort: message.resort.id,
+    created_at: message.event.created_at,
+    summary: message.event.summary,
+    details: message.event.details,
+    text: message.text,
+    map_url: message.resort.mapUrl
+  };
+}
+
+async function send(target, message) {
+  const body = JSON.stringify(buildPayload(message));
+  const headers = { "idempotency-key": message.idempotencyKey };
+
+  if (target.secret) {
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    headers["x-status-timestamp"] = timestamp;
+    headers["x-status-signature"] = signBody(target.secret, timestamp, body);
+  }
+
+  const resp = await requestJson(target.url, { headers, body });
+  return { response_id: typeof resp === "object" ? resp?.id ?? null : null };
+}
+
+export default {
+  type: "webhook",
+  required: ["url"],
+  send
+};
@@ -0,0 +1,205 @@
+// scripts/lib/overlays.mjs
+// Overlay files (curves.json, overlays.geojson), the API-name alias table, and the
+// consistency checks behind check-overlays.mjs and `cypress-status check`.
+//
+// aliases.json maps names as the source reports them to overlay names:
+//   { "lifts": { "Eagle Express Chair": "Eagle Express" }, "trails": { "Russel": "Russell" } }
+import fs from "node:fs/promises";
+import { assetPath, ASSETS_DIR } from "./resorts.mjs";
+import { slugify } from "./api.mjs";
+
+// map.jpg is 2000×857; overlay coordinates are pixels on it
+export const IMAGE_WIDTH = 2000;
+export const IMAGE_HEIGHT = 857;
+
+const KINDS = [
+  { kind: "lift", key: "lifts" },
+  { kind: "trail", key: "trails" }
+];
+
+async function readJson(file) {
+  try {
+    return JSON.parse(await fs.readFile(file, "utf8"));
+  } catch (err) {
+    throw new Error(`Failed reading ${file}: ${err.message}`);
+  }
+}
+
+// -> [{ kind, name, type: "curve" | "line", tension, points: [[x,y]], source: "curves.json#3" }]
+export async function loadOverlays(resort, assetsDir = ASSETS_DIR) {
+  const out = [];
+
+  if (resort.overlays.curves) {
+    const json = await readJson(assetPath(resort.overlays.curves, assetsDir));
+    (json?.curves ?? []).forEach((c, i) => {
+      out.push({
+        kind: c?.kind ?? null,
+        name: c?.name ?? null,
+        type: "curve",
+        tension: c?.tension ?? 0.8,
+        points: c?.points ?? [],
+        source: `${resort.overlays.curves}#${i}`
+      });
+    });
+  }
+
+  if (resort.overlays.geojson) {
+    const json = await readJson(assetPath(resort.overlays.geojson, assetsDir));
+    (json?.features ?? []).forEach((f, i) => {
+      out.push({
+        kind: f?.properties?.kind ?? null,
+        name: f?.properties?.name ?? null,
+        type: "line",
+        tension: null,
+        points: f?.geometry?.coordinates ?? [],
+        source: `${resort.overlays.geojson}#${i}`
+      });
+    });
+  }
+
+  return out;
+}
+
+// -> { lifts: { apiName: overlayName }, trails: { ... } } (empty when the resort has none)
+export async function loadAliases(resort, assetsDir = ASSETS_DIR) {
+  if (!resort.overlays.aliases) return { lifts: {}, trails: {} };
+  const json = await readJson(assetPath(resort.overlays.aliases, assetsDir));
+  return { lifts: { ...json?.lifts }, trails: { ...json?.trails } };
+}
+
+export function aliasName(aliases, kind, name) {
+  const table = kind === "lift" ? aliases.lifts : aliases.trails;
+  return Object.hasOwn(table, name) ? table[name] : name;
+}
+
+// ---- Fuzzy matching ----
+
+function simplify(name) {
+  return String(name).toLowerCase().normalize("NFKD").replace(/[\u0300-\u036f]/g, "").replace(/[^a-z0-9]+/g, " ").trim();
+}
+
+function levenshtein(a, b) {
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    for (let j = 1; j <= b.length; j++) {
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+// Same name give or take case, punctuation, accents or a typo or two ("Russel" vs "Russell")
+export function isNearMiss(a, b) {
+  const x = simplify(a);
+  const y = simplify(b);
+  if (!x || !y) return false;
+  if (x === y) return true;
+  const distance = levenshtein(x, y);
+  return distance <= 2 && distance / Math.max(x.length, y.length) <= 0.25;
+}
+
+// ---- Checks ----
+
+export function checkGeometry(overlays, { width = IMAGE_WIDTH, height = IMAGE_HEIGHT } = {}) {
+  const problems = [];
+  const seen = new Map();
+  const slugs = new Map();
+
+  for (const o of overlays) {
+    const label = `${o.source} (${o.name ?? "no name"})`;
+    if (!o.name) problems.push(`${label}: missing name`);
+    if (!["lift", "trail"].includes(o.kind)) problems.push(`${label}: kind must be "lift" or "trail"`);
+
+    const points = Array.isArray(o.points) ? o.points : [];
+    if (points.length < 2) problems.push(`${label}: needs at least 2 points (has ${points.length})`);
+
+    const bad = points.filter(p => !Array.isArray(p) || !Number.isFinite(p[0]) || !Number.isFinite(p[1]));
+    if (bad.length) problems.push(`${label}: ${bad.length} point(s) aren't [x, y] numbers`);
+
+    const outside = points.filter(p => Array.isArray(p) && (p[0] < 0 || p[0] > width || p[1] < 0 || p[1] > height));
+    if (outside.length) problems.push(`${label}: ${outside.length} point(s) outside the ${width}×${height} image, e.g. [${outside[0].join(", ")}]`);
+
+    const key = `${o.kind}/${o.name}`;
+    if (o.name && seen.has(key)) problems.push(`${label}: same ${o.kind} name as ${seen.get(key)}`);
+    else seen.set(key, o.source);
+
+    // Public API slugs (lib/api.mjs) must be unique per kind, or one gets a "-2" suffix
+    const slugKey = `${o.kind}/${slugify(o.name ?? "")}`;
+    const other = slugs.get(slugKey);
+    if (o.name && other && other !== o.name) problems.push(`${label}: same API slug as ${o.kind} "${other}"`);
+    else if (o.name) slugs.set(slugKey, o.name);
+  }
+
+  return problems;
+}
+
+// api = { lifts: [names], trails: [names] } as reported by the source
+// (aliased: true when they already went through aliases.json, as in status.json).
+// -> { unmapped, orphaned, nearMisses, aliasProblems, staleAliases }
+export function checkNames(api, overlays, aliases, { aliased = false } = {}) {
+  const result = { unmapped: [], orphaned: [], nearMisses: [], aliasProblems: [], staleAliases: [] };
+
+  for (const { kind, key } of KINDS) {
+    const drawn = new Set(overlays.filter(o => o.kind === kind && o.name).map(o => o.name));
+    const reported = new Set(api[key] ?? []);
+    const mapped = new Set();
+
+    for (const name of [...reported].sort()) {
+      const target = aliased ? name : aliasName(aliases, kind, name);
+      if (drawn.has(target)) mapped.add(target);
+      else result.unmapped.push({ kind, name, ...(target !== name ? { alias: target } : {}) });
+    }
+
+    for (const name of [...drawn].sort()) {
+      if (!mapped.has(name)) result.orphaned.push({ kind, name });
+    }
+
+    // An unmapped API name that looks like an orphaned overlay is almost always a rename
+    for (const u of result.unmapped.filter(u => u.kind === kind)) {
+      for (const o of result.orphaned.filter(o => o.kind === kind)) {
+        if (isNearMiss(u.name, o.name)) result.nearMisses.push({ kind, api: u.name, overlay: o.name });
+      }
+    }
+
+    const table = kind === "lift" ? aliases.lifts : aliases.trails;
+    for (const [from, to] of Object.entries(table)) {
+      if (!drawn.has(to)) result.aliasProblems.push(`${key}: alias "${from}" → "${to}" points at no overlay`);
+      if (!aliased && !reported.has(from)) result.staleAliases.push(`${key}: alias "${from}" isn't reported by the source`);
+    }
+  }
+
+  return result;
+}
+
+// Problem categories of overlayReport(); check-overlays.mjs --allow takes these
+export const OVERLAY_CHECK_CATEGORIES = ["geometry", "unmapped", "orphaned", "near-miss", "alias"];
+
+// Names in a status.json: drawn ones (already aliased) plus the unmapped ones
+export function statusNames(status) {
+  return {
+    lifts: [...Object.keys(status.lifts ?? {}), ...(status.unmapped?.lifts ?? [])],
+    trails: [...Object.keys(status.trails ?? {}), ...(status.unmapped?.trails ?? [])]
+  };
+}
+
+// Source names vs one resort's overlays -> { resort, source, problems: { <category>: [messages] }, warnings }
+export async function overlayReport(resort, { api, aliased, from }, assetsDir = ASSETS_DIR) {
+  const overlays = await loadOverlays(resort, assetsDir);
+  const aliases = await loadAliases(resort, assetsDir);
+  const names = checkNames(api, overlays, aliases, { aliased });
+
+  return {
+    resort: resort.id,
+    source: from,
+    problems: {
+      geometry: checkGeometry(overlays),
+      unmapped: names.unmapped.map(u => `${u.kind} "${u.name}"${u.alias ? ` (alias → "${u.alias}")` : ""} has no overlay`),
+      orphaned: names.orphaned.map(o => `${o.kind} overlay "${o.name}" isn't in the source`),
+      "near-miss": names.nearMisses.map(n => `${n.kind} "${n.api}" (source) looks like "${n.overlay}" (overlay): add an alias or rename`),
+      alias: names.aliasProblems
+    },
+    warnings: names.staleAliases
+  };
+}
@@ -0,0 +1,481 @@
+// scripts/lib/pipeline.mjs
+// fetch -> status.json -> history.json -> event.json, for one resort.
+//
+// Everything that touches the outside world is injectable so the same code
+// runs live (cypress-status fetch) and offline (replay.mjs):
+//   now()                 clock, defaults to new Date()
+//   fetcher(url, resort)  returns the parsed upstream JSON
+//   dataRoot / assetsDir  where outputs are written / overlays + schedule are read
+import fs from "node:fs/promises";
+import path from "node:path";
+import { ASSETS_DIR, assetPath, dataPath } from "./resorts.mjs";
+import { getAdapter } from "./adapters/index.mjs";
+import { loadSchedule, ruleAt, nextUpdateAt } from "./schedule.mjs";
+import { loadAliases, aliasName } from "./overlays.mjs";
+import { STATUS_SCHEMA_VERSION, liftDetails, trailDetails } from "./details.mjs";
+import { CONDITIONS_FILE, normalizeConditions, appendConditions } from "./conditions.mjs";
+import { ARCHIVE_DIR, appendToArchive } from "./archive.mjs";
+import { API_DIR, buildApiFiles, writeApi } from "./api.mjs";
+import { fetchJson, validatePayload, checkVanished, DEFAULT_MAX_VANISHED_PERCENT } from "./source.mjs";
+import { CHANGES_FILE, appendChanges, feedCovers, netChanges } from "./changes.mjs";
+import { JSON_FEED_FILE, ATOM_FILE, updateFeeds } from "./feeds.mjs";
+import { getTzParts, ymdKey, addLocalDays } from "./time.mjs";
+import { translator } from "./i18n.mjs";
+import { pruneSnapshots, findCompareSnapshot } from "./history.mjs";
+import { normalizeStatus, diffOpens, diffFromLastSnapshot } from "./diff.mjs";
+import { buildCaption, captionPlaceholders } from "./caption.mjs";
+
+
+// DATE AND UPDATE TIMING CONTROLS
+// Season, polling windows, comparison times and thresholds live in schedule.json
+// (see schedule.mjs); picking the snapshots to compare is in history.mjs.
+
+export async function getMappedNames(resort, assetsDir = ASSETS_DIR) {
+  const mappedLifts = new Set();
+  const mappedTrails = new Set();
+
+  // Read curved overlays
+  if (resort.overlays.curves) {
+    try {
+      const curvesJson = JSON.parse(await fs.readFile(assetPath(resort.overlays.curves, assetsDir), "utf8"));
+      const curves = curvesJson?.curves ?? [];
+
+      for (const item of curves) {
+        if (!item?.name || !item?.kind) continue;
+        if (item.kind === "lift") mappedLifts.add(item.name);
+        if (item.kind === "trail") mappedTrails.add(item.name);
+      }
+    } catch (err) {
+      throw new Error(`Failed reading ${resort.overlays.curves}: ${err.message}`);
+    }
+  }
+
+  // Read straight overlays
+  if (resort.overlays.geojson) {
+    try {
+      const overlaysJson = JSON.parse(await fs.readFile(assetPath(resort.overlays.geojson, assetsDir), "utf8"));
+      const features = overlaysJson?.features ?? [];
+
+      for (const feature of features) {
+        const kind = feature?.properties?.kind;
+        const name = feature?.properties?.name;
+        if (!name || !kind) continue;
+
+        if (kind === "lift") mappedLifts.add(name);
+        if (kind === "trail") mappedTrails.add(name);
+      }
+    } catch (err) {
+      throw new Error(`Failed reading ${resort.overlays.geojson}: ${err.message}`);
+    }
+  }
+
+  return { mappedLifts, mappedTrails };
+}
+
+// OUTPUT FILES (per resort dataDir)
+
+export const STATUS_FILE = "status.json";
+export const HISTORY_FILE = "history.json";
+export const EVENT_FILE = "event.json";
+
+async function readJsonOrNull(path) {
+  try {
+    return JSON.parse(await fs.readFile(path, "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+// TIMING CONTROL
+
+// Read last fetched time to respect the interval from schedule.json
+async function shouldRunNow(resort, schedule, { now, dataRoot }) {
+  const rule = ruleAt(schedule, now, resort.timeZone);
+  const minIntervalMs = rule.intervalMs;
+
+  if (minIntervalMs === null) {
+    const where = rule.range ? `range ${rule.range.name}` : "no range";
+    console.log(`[skip] Outside update window: ${rule.reason}, ${where} (${resort.timeZone} time ${rule.parts.hour}:${String(rule.parts.minute).padStart(2,"0")}, month ${rule.parts.month})`);
+    return null;
+  }
+
+  try {
+    const existing = JSON.parse(await fs.readFile(dataPath(resort, STATUS_FILE, dataRoot), "utf8"));
+    // A degraded run counts as an attempt: retry on the schedule's cadence, not every cron tick
+    const lastAttempt = existing?.degraded?.last_attempt_at ?? existing?.fetched_at;
+    if (lastAttempt) {
+      const last = new Date(lastAttempt).getTime();
+      const delta = now.getTime() - last;
+      if (Number.isFinite(last) && delta >= 0 && delta < minIntervalMs) {
+        console.log(`[skip] Last fetch ${(delta/60000).toFixed(1)} min ago; need ${(minIntervalMs/60000)} min`);
+        return null;
+      }
+    }
+  } catch {
+    // No prior status.json or unreadable -> allow run
+  }
+
+  console.log(`[run] In window (${rule.range.name}); min interval ${(minIntervalMs/60000)} min`);
+  return rule;
+}
+
+
+// FETCH + BUILD (once per resort)
+
+// The source failed us (fetch, payload shape or sanity guard): keep the last good
+// status.json, flag it "degraded" with the reason, and stop before history/events.
+// With no previous status there's nothing to fall back to, so this throws.
+async function keepLastGood(resort, { statusFile, dataRoot, schedule, now, reason }) {
+  const existing = await readJsonOrNull(statusFile);
+  if (!existing) throw new Error(`${reason} (and no previous ${STATUS_FILE} to fall back to)`);
+
+  existing.degraded = {
+    reason,
+    since: existing.degraded?.since ?? now.toISOString(),
+    last_attempt_at: now.toISOString()
+  };
+  existing.next_update_at = nextUpdateAt(schedule, now, resort.timeZone)?.toISOString() ?? null;
+  await fs.writeFile(statusFile, JSON.stringify(existing, null, 2));
+  console.warn(`[degraded] ${reason}; kept status from ${existing.fetched_at}`);
+
+  // The public API says so too (it's otherwise only rebuilt on a good fetch)
+  const apiStatusFile = path.join(dataPath(resort, API_DIR, dataRoot), "status.json");
+  const apiStatus = await readJsonOrNull(apiStatusFile);
+  if (apiStatus) {
+    apiStatus.degraded = existing.degraded;
+    await fs.writeFile(apiStatusFile, JSON.stringify(apiStatus, null, 2));
+  }
+
+  return { ran: true, degraded: reason, status: existing, history: null, event: null, changes: null };
+}
+
+// Returns { ran, status, history, event } (ran=false when the schedule says skip;
+// degraded = the reason when the source failed and the last good status was kept).
+// acceptVanished lets a payload past the sanity guard; testEvent writes a test
+// event.json from the last two snapshots on every run (config fetch.*).
+export async function runResort(resort, {
+  now: clock = () => new Date(),
+  fetcher = fetchJson,
+  dataRoot = ".",
+  assetsDir = ASSETS_DIR,
+  acceptVanished = false,
+  testEvent = false
+} = {}) {
+  const statusFile = dataPath(resort, STATUS_FILE, dataRoot);
+  const historyFile = dataPath(resort, HISTORY_FILE, dataRoot);
+  const eventFile = dataPath(resort, EVENT_FILE, dataRoot);
+
+  // One instant per run, so every timestamp written below agrees
+  const now = clock();
+
+  const schedule = await loadSchedule(assetPath(resort.schedule, assetsDir));
+  const rule = await shouldRunNow(resort, schedule, { now, dataRoot });
+  if (!rule) return { ran: false, status: null, history: null, event: null, changes: null };
+
+  await fs.mkdir(path.dirname(statusFile), { recursive: true });
+
+  const fallback = (reason) => keepLastGood(resort, { statusFile, dataRoot, schedule, now, reason });
+
+  const adapter = getAdapter(resort.source.adapter);
+  let parsed;
+  try {
+    const data = await fetcher(resort.source.url, resort);
+    const problems = validatePayload(adapter, data, resort.source);
+    if (problems.length) {
+      return fallback(`Unexpected payload: ${problems.slice(0, 3).join("; ")}${problems.length > 3 ? ` (+${problems.length - 3} more)` : ""}`);
+    }
+    parsed = adapter.parse(data, resort.source);
+  } catch (err) {
+    return fallback(`Fetch failed: ${err.message}`);
+  }
+
+  const { mappedLifts, mappedTrails } = await getMappedNames(resort, assetsDir);
+
+  // Renamed upstream? aliases.json maps the source's name back to the overlay's
+  const aliases = await loadAliases(resort, assetsDir);
+  for (const lift of parsed.lifts) lift.name = aliasName(aliases, "lift", lift.name);
+  for (const trail of parsed.trails) trail.name = aliasName(aliases, "trail", trail.name);
+
+  console.log(`[map-filter] mapped lifts=${mappedLifts.size}, mapped trails=${mappedTrails.size}`);
+
+  const lifts = {};
+  const trails = {};
+  const details = { lifts: {}, trails: {} };
+
+  for (const lift of parsed.lifts) {
+    if (!mappedLifts.has(lift.name)) continue;
+    lifts[lift.name] = normalizeStatus(lift.status);
+    details.lifts[lift.name] = liftDetails(lift);
+  }
+
+  for (const trail of parsed.trails) {
+    if (!mappedTrails.has(trail.name)) continue;
+    trails[trail.name] = normalizeStatus(trail.status);
+    details.trails[trail.name] = trailDetails(trail);
+  }
+
+  console.log(`[map-filter] kept lifts=${Object.keys(lifts).length}, kept trails=${Object.keys(trails).length}`);
+
+  // Sanity guard: a payload that lost most of what the map draws is more likely broken
+  // than a real change. acceptVanished lets one through on purpose.
+  const lastGood = await readJsonOrNull(statusFile);
+  const maxVanished = resort.source.maxVanishedPercent ?? DEFAULT_MAX_VANISHED_PERCENT;
+  const guard = checkVanished(lastGood, { lifts, trails }, maxVanished);
+  if (!guard.ok && !acceptVanished) {
+    return fallback(`${guard.vanished.length} of ${guard.total} mapped lifts/runs (${guard.percent}%) missing from the source, limit ${maxVanished}%`);
+  }
+
+  const out = {
+    schema_version: STATUS_SCHEMA_VERSION,
+    resort: resort.id,
+    fetched_at: now.toISOString(),
+    source_updated: parsed.source_updated,
+    lifts_updated: parsed.lifts_updated,
+    trails_updated: parsed.trails_updated,
+    operations: parsed.operations,
+    // Snow + weather (lib/conditions.mjs); daily history in conditions.json
+    conditions: normalizeConditions(parsed.conditions),
+    // Lets the map poll on the schedule's cadence and spot stale data
+    update_interval_ms: rule.intervalMs,
+    next_update_at: nextUpdateAt(schedule, now, resort.timeZone)?.toISOString() ?? null,
+    // { reason, since, last_attempt_at } while the source is failing and this is the last good data
+    degraded: null,
+    lifts,
+    trails,
+    // Difficulty, grooming, night skiing, lift type/wait (lib/details.mjs)
+    details,
+    // Reported by the source but not drawn on the map (the overlay editor offers these names)
+    unmapped: {
+      lifts: [...new Set(parsed.lifts.map(l => l.name).filter(n => !mappedLifts.has(n)))].sort(),
+      trails: [...new Set(parsed.trails.map(t => t.name).filter(n => !mappedTrails.has(n)))].sort()
+    }
+  };
+
+
+  // UPDATE CURRENT STATUS
+  await fs.writeFile(statusFile, JSON.stringify(out, null, 2));
+  console.log(`Wrote ${statusFile}`);
+
+
+  // UPDATE HISTORY
+  const timeZone = resort.timeZone;
+
+  // Load history (or initialize)
+  const history = (await readJsonOrNull(historyFile)) || { tz: timeZone, snapshots: [], meta: {} };
+
+  // Append a lightweight snapshot (only what we need)
+  history.snapshots = history.snapshots || [];
+  const prevSnapshot = history.snapshots[history.snapshots.length - 1] ?? null;
+  const snapshot = {
+    fetched_at: out.fetched_at,
+    source_updated: out.source_updated,
+    lifts: out.lifts,
+    trails: out.trails,
+    operations: out.operations,
+    conditions: out.conditions
+  };
+  history.snapshots.push(snapshot);
+
+  // Long-term archive keeps only transitions (history.json is pruned to 48h)
+  try {
+    const archived = await appendToArchive(dataPath(resort, ARCHIVE_DIR, dataRoot), snapshot, prevSnapshot, timeZone);
+    if (archived.length) console.log(`[archive] Appended ${archived.length} record(s)`);
+  } catch (err) {
+    console.warn(`[archive] Failed to append: ${err.message}`);
+  }
+
+  // Rolling per-item change feed; the daily event below is one consumer of it
+  let changeFeed = null;
+  try {
+    const { feed, added } = await appendChanges(dataPath(resort, CHANGES_FILE, dataRoot), resort.id, snapshot, prevSnapshot, { now });
+    changeFeed = feed;
+    if (added.length) console.log(`[changes] ${added.map(c => `${c.name} ${c.type}`).join(", ")}`);
+  } catch (err) {
+    console.warn(`[changes] Failed to update ${CHANGES_FILE}: ${err.message}`);
+  }
+
+  // Daily snow/weather history for the map's sparklines
+  try {
+    await appendConditions(dataPath(resort, CONDITIONS_FILE, dataRoot), resort.id, out.conditions, { now, timeZone });
+  } catch (err) {
+    console.warn(`[conditions] Failed to update ${CONDITIONS_FILE}: ${err.message}`);
+  }
+
+  // Prune to last 48h
+  history.snapshots = pruneSnapshots(history.snapshots, now);
+
+  // Comparison targets + thresholds come from today's schedule range
+  const { compare, thresholds } = rule.range;
+  const todayParts = getTzParts(now, timeZone);
+  const fromDay = addLocalDays(todayParts, compare.from.dayOffset);
+  const toDay = addLocalDays(todayParts, compare.to.dayOffset);
+
+  const snapFrom = findCompareSnapshot(history.snapshots, compare.from, todayParts, timeZone);
+  const snapTo = findCompareSnapshot(history.snapshots, compare.to, todayParts, timeZone);
+
+
+  // Build event key so we only fire once per day
+  const eventKey = `${ymdKey(toDay)}_${compare.to.timeLabel}_vs_${ymdKey(fromDay)}_${compare.from.timeLabel}`;
+  history.meta = history.meta || {};
+  const alreadyFired = history.meta.last_event_key === eventKey;
+
+  let event = null;
+
+  if (snapTo && snapFrom && !alreadyFired) {
+    // Diff lifts + trails: net changes from the feed when it covers the whole
+    // window, otherwise (feed restarted, file lost) the two snapshots directly
+    const viaFeed = feedCovers(changeFeed, snapFrom.fetched_at, snapTo.fetched_at);
+    const { lifts: liftsDiff, trails: trailsDiff } = viaFeed
+      ? netChanges(changeFeed, snapFrom.fetched_at, snapTo.fetched_at)
+      : { lifts: diffOpens(snapFrom.lifts, snapTo.lifts), trails: diffOpens(snapFrom.trails, snapTo.trails) };
+
+    const openedCount = liftsDiff.opened.length + trailsDiff.opened.length;
+    const closedCount = liftsDiff.closed.length + trailsDiff.closed.length;
+
+    const significant = openedCount >= thresholds.opened || closedCount >= thresholds.closed;
+
+    if (significant) {
+
+      const captionFields = captionPlaceholders({
+        liftsOpened: liftsDiff.opened,
+        trailsOpened: trailsDiff.opened,
+        liftsClosed: liftsDiff.closed,
+        trailsClosed: trailsDiff.closed
+      }, resort, now, { conditions: resort.caption?.conditions ? out.conditions : null, assetsDir });
+
+      event = {
+        key: eventKey,
+        resort: resort.id,
+        created_at: now.toISOString(),
+        compare: {
+          from: { label: compare.from.label, fetched_at: snapFrom.fetched_at },
+          to:   { label: compare.to.label, fetched_at: snapTo.fetched_at },
+          source: viaFeed ? CHANGES_FILE : "snapshots"
+        },
+        summary: {
+          opened_total: openedCount,
+          closed_total: closedCount,
+          opened_lifts: liftsDiff.opened.length,
+          closed_lifts: liftsDiff.closed.length,
+          opened_trails: trailsDiff.opened.length,
+          closed_trails: trailsDiff.closed.length
+        },
+        details: {
+          lifts: liftsDiff,
+          trails: trailsDiff
+        },
+        placeholders: {
+          screenshot_path: null,
+          instagram_posted: false,
+          instagram_post_id: null,
+          instagram_story_posted: false,
+          instagram_story_id: null,
+          ...captionFields
+        }
+      };
+
+      // Save event placeholder for later automation steps
+      await fs.writeFile(eventFile, JSON.stringify(event, null, 2));
+      console.log(`[event] Significant change detected → wrote ${eventFile}`);
+
+      // Mark as fired so we don't spam
+      history.meta.last_event_key = eventKey;
+      history.meta.last_event_created_at = event.created_at;
+    } else {
+      console.log(`[event] Not significant (opened=${openedCount}, closed=${closedCount})`);
+    }
+  } else {
+    if (!snapTo || !snapFrom) {
+      console.log(`[event] Not enough history near targets yet (need snapshots for ${compare.to.label} and ${compare.from.label}).`);
+    } else if (alreadyFired) {
+      console.log(`[event] Already fired for ${eventKey}`);
+    }
+  }
+
+  // Always write history
+  await fs.writeFile(historyFile, JSON.stringify(history, null, 2));
+  console.log(`Wrote ${historyFile} (snapshots=${history.snapshots.length})`);
+
+  // Atom + JSON Feed of the daily events (unchanged unless a new event was added)
+  try {
+    const { added, items } = await updateFeeds(resort, event, {
+      jsonFile: dataPath(resort, JSON_FEED_FILE, dataRoot),
+      atomFile: dataPath(resort, ATOM_FILE, dataRoot)
+    });
+    if (added) console.log(`[feeds] Added ${event.key} (items=${items.length})`);
+  } catch (err) {
+    console.warn(`[feeds] Failed to write feeds: ${err.message}`);
+  }
+
+  // Versioned public API (lib/api.mjs): fixed shape, slugs from the overlay names
+  try {
+    const files = buildApiFiles({ resort, status: out, history, changes: changeFeed, mapped: { lifts: mappedLifts, trails: mappedTrails } });
+    await writeApi(dataPath(resort, API_DIR, dataRoot), files);
+    console.log(`[api] Wrote ${Object.keys(files).length} file(s) to ${API_DIR}`);
+  } catch (err) {
+    console.warn(`[api] Failed to write ${API_DIR}: ${err.message}`);
+  }
+
+
+  if (testEvent) {
+    const diff = diffFromLastSnapshot(history.snapshots);
+
+    if (!diff) {
+      console.log("[test-event] Not enough history yet to build caption (need 2 snapshots).");
+    } else {
+      const { prev, curr, liftsDiff, trailsDiff } = diff;
+
+      const openedCount = liftsDiff.opened.length + trailsDiff.opened.length;
+      const closedCount = liftsDiff.closed.length + trailsDiff.closed.length;
+
+      // Build caption even if no changes; you can decide how you want to handle that
+      let caption = buildCaption({
+        liftsOpened: liftsDiff.opened,
+        trailsOpened: trailsDiff.opened,
+        liftsClosed: liftsDiff.closed,
+        trailsClosed: trailsDiff.closed
+      }, resort, now, { conditions: resort.caption?.conditions ? out.conditions : null, language: resort.caption?.languages?.[0], assetsDir });
+
+      if (!caption) {
+        // If buildCaption returns "" (no opens/closes), make a basic status line
+        caption = translator(resort.caption?.languages?.[0], assetsDir)("caption.no_changes", { resort: resort.name });
+      }
+
+      // Unique key each run so you can see it changing
+      const eventKey = `test_${curr.fetched_at}`;
+
+      const event = {
+        key: eventKey,
+        resort: resort.id,
+        created_at: now.toISOString(),
+        compare: {
+          from: { label: "previous_fetch", fetched_at: prev.fetched_at },
+          to:   { label: "latest_fetch", fetched_at: curr.fetched_at }
+        },
+        summary: {
+          opened_total: openedCount,
+          closed_total: closedCount,
+          opened_lifts: liftsDiff.opened.length,
+          closed_lifts: liftsDiff.closed.length,
+          opened_trails: trailsDiff.opened.length,
+          closed_trails: trailsDiff.closed.length
+        },
+        details: {
+          lifts: liftsDiff,
+          trails: trailsDiff
+        },
+        placeholders: {
+          screenshot_path: null,
+          instagram_posted: false,     // force post each run (TESTING)
+          instagram_post_id: null,
+          caption
+        }
+      };
+
+      await fs.writeFile(eventFile, JSON.stringify(event, null, 2));
+      console.log(`[test-event] Wrote ${eventFile} (opened=${openedCount}, closed=${closedCount})`);
+    }
+  }
+
+  return { ran: true, status: out, history, event, changes: changeFeed };
+}
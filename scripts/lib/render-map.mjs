@@ -0,0 +1,178 @@
+// scripts/lib/render-map.mjs
+// Server-side status map: the resort's base map with every overlay drawn in its status
+// color, as a PNG (sharp + SVG). Curves use the same Catmull-Rom -> Bézier math as the
+// live map (bezier.js), so the image matches what index.html shows.
+//
+//   square  1080×1080   Instagram feed
+//   story   1080×1920   Instagram story
+//   og      1200×630    Open Graph / link previews
+//
+// Overlay coordinates are map pixels with y pointing up (Leaflet CRS.Simple); SVG's
+// y points down, hence the flip in toCanvas().
+import sharp from "sharp";
+import bezier from "../../bezier.js";
+import statusStyle from "../../status-style.js";
+import { assetPath, ASSETS_DIR } from "./resorts.mjs";
+import { loadOverlays } from "./overlays.mjs";
+
+export const MAP_IMAGE_SIZES = {
+  square: { width: 1080, height: 1080 },
+  story: { width: 1080, height: 1920 },
+  og: { width: 1200, height: 630 }
+};
+
+// Colors and line patterns from status-style.js, like the page's default palette
+const STATUS_LABELS = { open: "Open", "on-hold": "On-hold", closed: "Closed" };
+
+const BACKGROUND = "#0B2D5C";
+const FONT = "system-ui, -apple-system, Segoe UI, Roboto, Arial, sans-serif";
+
+export function mapImageFile(size) {
+  return `map-${size}.png`;
+}
+
+function escapeXml(str) {
+  return String(str)
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;")
+    .replaceAll("'", "&apos;");
+}
+
+function itemStatus(status, kind, name) {
+  const s = (kind === "lift" ? status?.lifts : status?.trails)?.[name];
+  return s in statusStyle.STATUS_PATTERNS ? s : "unknown";
+}
+
+function formatUpdated(iso, timeZone) {
+  if (!iso) return null;
+  const d = new Date(iso);
+  if (!Number.isFinite(d.getTime())) return null;
+  return d.toLocaleString("en-CA", {
+    timeZone, weekday: "short", month: "short", day: "numeric", hour: "numeric", minute: "2-digit", hour12: true
+  });
+}
+
+// Header / map / footer boxes for one output size. Wide images (og) get a single
+// footer row (legend left, time right); tall ones a title + time header and a legend
+// footer, kept together with the map as one vertically centered block.
+// top = y of the header, bottom = y where the footer ends.
+function layout({ width, height }, mapWidth, mapHeight, { legend, timestamp }) {
+  const unit = width / 1080;
+  const wide = width / height > 1.5;
+  const pad = Math.round(28 * unit);
+  const font = Math.round((wide ? 24 : 30) * unit);
+
+  const header = !wide && (legend || timestamp) ? Math.round(font * 3.4) : 0;
+  const footer = legend || (wide && timestamp) ? Math.round(font * 2.4) : 0;
+
+  const availH = height - header - footer;
+  const scale = Math.min(width / mapWidth, availH / mapHeight);
+  const w = Math.round(mapWidth * scale);
+  const h = Math.round(mapHeight * scale);
+  const top = wide ? 0 : Math.round((availH - h) / 2);
+  const mapTop = wide ? header + Math.round((availH - h) / 2) : top + header;
+
+  return {
+    unit, wide, pad, font, header, footer, scale, top,
+    bottom: wide ? height : mapTop + h + footer,
+    map: { left: Math.round((width - w) / 2), top: mapTop, width: w, height: h }
+  };
+}
+
+function overlaySvg(overlays, status, box, mapHeight, unit) {
+  const toCanvas = (x, y) => [box.left + x * box.scale, box.top + (mapHeight - y) * box.scale];
+  const paths = [];
+
+  // Trails first, lifts on top
+  for (const kind of ["trail", "lift"]) {
+    for (const o of overlays.filter(o => o.kind === kind && o.points.length >= 2)) {
+      const s = itemStatus(status, o.kind, o.name);
+      const width = (kind === "lift" ? 6 : 3.5) * unit;
+      const d = o.type === "curve"
+        ? bezier.catmullRomToSvgPath(o.points, o.tension ?? 0.8, toCanvas)
+        : "M " + o.points.map(([x, y]) => toCanvas(x, y).map(n => Math.round(n * 10) / 10).join(" ")).join(" L ");
+      const dashArray = statusStyle.statusDashArray(s, Math.round(width * 10) / 10);
+      const dash = dashArray ? ` stroke-dasharray="${dashArray}"` : "";
+
+      // Dark casing under the colored line keeps it readable on snow
+      paths.push(`<path d="${d}" fill="none" stroke="#000" stroke-opacity="0.35" stroke-width="${(width + 2.5 * unit).toFixed(1)}" stroke-linecap="round" stroke-linejoin="round"/>`);
+      paths.push(`<path d="${d}" fill="none" stroke="${statusStyle.statusColor(s)}" stroke-opacity="0.95" stroke-width="${width.toFixed(1)}" stroke-linecap="round" stroke-linejoin="round"${dash}><title>${escapeXml(o.name)}</title></path>`);
+    }
+  }
+  return paths.join("\n");
+}
+
+function legendSvg(counts, x, y, font) {
+  const parts = [];
+  let cx = x;
+  for (const key of ["open", "on-hold", "closed"]) {
+    const text = `${STATUS_LABELS[key]} ${counts[key] ?? 0}`;
+    parts.push(`<circle cx="${cx + font * 0.4}" cy="${y - font * 0.35}" r="${font * 0.4}" fill="${statusStyle.statusColor(key)}"/>`);
+    parts.push(`<text x="${cx + font * 1.1}" y="${y}" font-family="${FONT}" font-size="${font}" font-weight="600" fill="#fff">${escapeXml(text)}</text>`);
+    // Rough advance width: digits/letters average ~0.58em in a sans-serif
+    cx += font * (1.1 + text.length * 0.58 + 1.2);
+  }
+  return parts.join("\n");
+}
+
+// -> PNG Buffer. status = status.json (may be null: everything "unknown").
+export async function renderMapImage({
+  resort,
+  status,
+  size = "square",
+  legend = true,
+  timestamp = true,
+  assetsDir = ASSETS_DIR,
+  overlays = null
+}) {
+  const dims = MAP_IMAGE_SIZES[size];
+  if (!dims) throw new Error(`Unknown map image size "${size}" (have: ${Object.keys(MAP_IMAGE_SIZES).join(", ")})`);
+  if (!resort.baseMap) throw new Error(`Resort "${resort.id}" has no baseMap`);
+
+  const mapFile = assetPath(resort.baseMap, assetsDir);
+  const meta = await sharp(mapFile).metadata();
+  const L = layout(dims, meta.width, meta.height, { legend, timestamp });
+
+  overlays ??= await loadOverlays(resort, assetsDir);
+
+  const counts = {};
+  for (const o of overlays) {
+    const s = itemStatus(status, o.kind, o.name);
+    counts[s] = (counts[s] ?? 0) + 1;
+  }
+
+  const updated = timestamp ? formatUpdated(status?.source_updated ?? status?.fetched_at, resort.timeZone) : null;
+  const text = [];
+  if (L.wide) {
+    const baseline = dims.height - Math.round((L.footer - L.font) / 2) - Math.round(L.font * 0.15);
+    if (legend) text.push(legendSvg(counts, L.pad, baseline, L.font));
+    if (updated) {
+      text.push(`<text x="${dims.width - L.pad}" y="${baseline}" text-anchor="end" font-family="${FONT}" font-size="${L.font}" fill="#fff" fill-opacity="0.85">${escapeXml(`Updated ${updated}`)}</text>`);
+    }
+  } else {
+    if (L.header) {
+      text.push(`<text x="${L.pad}" y="${L.top + Math.round(L.font * 1.6)}" font-family="${FONT}" font-size="${Math.round(L.font * 1.25)}" font-weight="800" fill="#fff">${escapeXml(`${resort.name} · Live lift & run status`)}</text>`);
+      if (updated) text.push(`<text x="${L.pad}" y="${L.top + Math.round(L.font * 2.85)}" font-family="${FONT}" font-size="${L.font}" fill="#fff" fill-opacity="0.85">${escapeXml(`Updated ${updated}`)}</text>`);
+    }
+    if (legend) text.push(legendSvg(counts, L.pad, L.bottom - Math.round(L.footer * 0.38), L.font));
+  }
+
+  const box = { ...L.map, scale: L.scale };
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${dims.width}" height="${dims.height}">
+${overlaySvg(overlays, status, box, meta.height, L.unit)}
+${text.join("\n")}
+</svg>`;
+
+  const map = await sharp(mapFile).resize(L.map.width, L.map.height).toBuffer();
+
+  return sharp({ create: { width: dims.width, height: dims.height, channels: 3, background: BACKGROUND } })
+    .composite([
+      { input: map, left: L.map.left, top: L.map.top },
+      { input: Buffer.from(svg), left: 0, top: 0 }
+    ])
+    // Palette PNG: about a quarter of the size, and these are committed on every change
+    .png({ palette: true, quality: 90, compressionLevel: 9 })
+    .toBuffer();
+}
@@ -0,0 +1,66 @@
+// scripts/lib/replay.mjs
+// Recorded upstream responses (scripts/fixtures/replay/<scenario>/responses/) and the
+// loop that plays them through runResort() with an injected clock + fetcher.
+// Used by replay.mjs (asserts the outputs) and check-api.mjs (validates the API files).
+import fs from "node:fs/promises";
+import path from "node:path";
+import { runResort } from "./pipeline.mjs";
+
+// "2026-01-14T18-05-00Z" (filesystem-safe) -> Date
+function parseStepTime(fileName) {
+  const m = /^(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})(?:\.(\d{3}))?Z/.exec(fileName);
+  if (!m) return null;
+  const d = new Date(`${m[1]}T${m[2]}:${m[3]}:${m[4]}.${m[5] ?? "000"}Z`);
+  return Number.isFinite(d.getTime()) ? d : null;
+}
+
+export async function loadSteps(dir) {
+  const responsesDir = path.join(dir, "responses");
+  const steps = [];
+
+  for (const name of await fs.readdir(responsesDir)) {
+    const at = parseStepTime(name);
+    if (!at) throw new Error(`replay: can't read a timestamp from responses/${name}`);
+
+    const httpError = /\.http-(\d{3})$/.exec(name);
+    if (httpError) {
+      steps.push({ at, name, httpStatus: Number(httpError[1]), body: null });
+    } else if (name.endsWith(".json")) {
+      steps.push({ at, name, httpStatus: 200, body: JSON.parse(await fs.readFile(path.join(responsesDir, name), "utf8")) });
+    } else {
+      throw new Error(`replay: responses/${name} should end in .json or .http-<status>`);
+    }
+  }
+
+  steps.sort((a, b) => a.at - b.at);
+  return steps;
+}
+
+export async function copyDir(from, to) {
+  let entries;
+  try {
+    entries = await fs.readdir(from);
+  } catch {
+    return; // optional
+  }
+  for (const name of entries) await fs.copyFile(path.join(from, name), path.join(to, name));
+}
+
+// Run every step in order against workDir. onStep(step) is called before each run.
+export async function replaySteps(resort, steps, workDir, { onStep = () => {} } = {}) {
+  for (const step of steps) {
+    onStep(step);
+
+    const fetcher = async () => {
+      if (step.httpStatus !== 200) throw new Error(`HTTP ${step.httpStatus}`);
+      return structuredClone(step.body);
+    };
+
+    try {
+      await runResort(resort, { now: () => new Date(step.at), fetcher, dataRoot: workDir });
+    } catch (err) {
+      // Same as the live loop: log and carry on with the next run
+      console.error(`[error] ${resort.id}: ${err.message}`);
+    }
+  }
+}
@@ -0,0 +1,101 @@
+// scripts/lib/resorts.mjs
+// Loads resorts.json (lives next to curves.json in the main checkout).
+import fs from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { getAdapter } from "./adapters/index.mjs";
+import i18n from "../../i18n.js";
+
+// Repo root of the main branch checkout (scripts/lib/ -> ../../)
+export const ASSETS_DIR = fileURLToPath(new URL("../../", import.meta.url));
+
+export const RESORTS_FILE = "resorts.json";
+
+function fail(resortId, msg) {
+  throw new Error(`resorts.json: resort "${resortId ?? "?"}" ${msg}`);
+}
+
+function captionLanguages(resortId, languages) {
+  if (languages === undefined) return [i18n.DEFAULT_LANGUAGE];
+  if (!Array.isArray(languages) || !languages.length) fail(resortId, "needs caption.languages to be a non-empty list");
+  for (const language of languages) {
+    if (!(language in i18n.LANGUAGES)) {
+      fail(resortId, `has unknown caption language "${language}" (have: ${Object.keys(i18n.LANGUAGES).join(", ")})`);
+    }
+  }
+  return [...new Set(languages)];
+}
+
+// Fill defaults + sanity check one entry
+function normalizeResort(raw) {
+  const id = raw?.id;
+  if (!id || !/^[a-z0-9-]+$/.test(id)) fail(id, "needs a lowercase id (a-z, 0-9, -)");
+  if (!raw.source?.url) fail(id, "is missing source.url");
+
+  const adapter = raw.source.adapter || "reportpal";
+  getAdapter(adapter); // throws on unknown adapter
+
+  return {
+    id,
+    name: raw.name || id,
+    enabled: raw.enabled !== false,
+    source: { ...raw.source, adapter },
+    timeZone: raw.timeZone || "America/Vancouver",
+    // Season, polling windows, comparison times + thresholds (see lib/schedule.mjs)
+    schedule: raw.schedule ?? "schedule.json",
+    overlays: {
+      curves: raw.overlays?.curves ?? null,
+      geojson: raw.overlays?.geojson ?? null,
+      // Source name -> overlay name, for renames (see lib/overlays.mjs)
+      aliases: raw.overlays?.aliases ?? null
+    },
+    baseMap: raw.baseMap ?? null,
+    mapUrl: raw.mapUrl ?? null,
+    // Optional caption extras: { "conditions": true } adds a one-line snow/weather summary;
+    // "languages": ["en", "fr"] posts a caption per language (locales/), first one on the image
+    caption: { conditions: raw.caption?.conditions === true, languages: captionLanguages(id, raw.caption?.languages) },
+    // Public base URL of dataDir (feeds link back to themselves), with trailing slash
+    dataUrl: raw.dataUrl ? raw.dataUrl.replace(/\/?$/, "/") : null,
+    // Public URL of scripts/alerts-server.mjs; the map shows its alerts button when set
+    alertsUrl: raw.alertsUrl ? raw.alertsUrl.replace(/\/?$/, "/") : null,
+    // "." keeps Cypress files at the root of the data branch, where the map already reads them
+    dataDir: raw.dataDir ?? id
+  };
+}
+
+export async function loadResorts({ assetsDir = ASSETS_DIR, only = null } = {}) {
+  const file = path.join(assetsDir, RESORTS_FILE);
+
+  let json;
+  try {
+    json = JSON.parse(await fs.readFile(file, "utf8"));
+  } catch (err) {
+    throw new Error(`Failed reading ${file}: ${err.message}`);
+  }
+
+  const resorts = (json?.resorts ?? []).map(normalizeResort);
+
+  const seen = new Set();
+  for (const r of resorts) {
+    if (seen.has(r.id)) fail(r.id, "is listed twice");
+    seen.add(r.id);
+  }
+
+  if (only) {
+    const picked = resorts.filter(r => r.id === only);
+    if (!picked.length) throw new Error(`Unknown resort "${only}" (have: ${[...seen].join(", ")})`);
+    return picked;
+  }
+
+  return resorts.filter(r => r.enabled);
+}
+
+// Path of an asset (overlay file, base map) in the main checkout
+export function assetPath(file, assetsDir = ASSETS_DIR) {
+  return path.join(assetsDir, file);
+}
+
+// Path of a namespaced output (status.json, history.json, event.json) for a resort
+export function dataPath(resort, file, dataRoot = ".") {
+  return path.join(dataRoot, resort.dataDir, file);
+}
@@ -0,0 +1,342 @@
+// scripts/lib/schedule.mjs
+// Declarative polling schedule (schedule.json), replacing the old hardcoded
+// inSeason() / getMinIntervalMs() rules and the "12pm for SPRING" edits.
+//
+// {
+//   "defaults": { windows, compare, thresholds },   // merged into every range
+//   "ranges": [
+//     {
+//       "name": "spring",
+//       "start": "03-01", "end": "04-30",           // MM-DD, inclusive, may wrap New Year
+//       "weekdays": ["fri", "sat"],                 // optional, default every day
+//       "windows": [{ "from": "05:00", "to": "07:50", "everyMinutes": 10 }],
+//       "compare": {
+//         "from": { "dayOffset": -1, "time": "15:00", "match": "nearest",   "toleranceMinutes": 90 },
+//         "to":   { "dayOffset": 0,  "time": "12:00", "match": "atOrAfter", "toleranceMinutes": 600 }
+//       },
+//       "thresholds": { "opened": 1, "closed": 1 }
+//     }
+//   ]
+// }
+//
+// Ranges may not overlap (same date AND same weekday). Outside every range = off season.
+import fs from "node:fs/promises";
+import { getTzParts, localWeekday, minutesSinceMidnight, ymdKey, formatHm, addLocalDays, zonedTimeToUtc } from "./time.mjs";
+
+const WEEKDAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+const DAYS_IN_MONTH = [31, 29, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31]; // leap year, so 02-29 is valid
+const MATCH_MODES = ["nearest", "atOrAfter"];
+
+// ---- Parsing helpers ----
+
+function parseMonthDay(v) {
+  const m = /^(\d{2})-(\d{2})$/.exec(String(v ?? ""));
+  if (!m) return null;
+  const month = Number(m[1]);
+  const day = Number(m[2]);
+  if (month < 1 || month > 12 || day < 1 || day > DAYS_IN_MONTH[month - 1]) return null;
+  return { month, day };
+}
+
+function parseHm(v) {
+  const m = /^(\d{2}):(\d{2})$/.exec(String(v ?? ""));
+  if (!m) return null;
+  const h = Number(m[1]);
+  const min = Number(m[2]);
+  // "24:00" is allowed as an end-of-day bound
+  if (min > 59 || h > 24 || (h === 24 && min !== 0)) return null;
+  return h * 60 + min;
+}
+
+function isNonNegInt(v) {
+  return Number.isInteger(v) && v >= 0;
+}
+
+function monthDayOrd({ month, day }) {
+  return month * 100 + day;
+}
+
+function rangeHasDate(range, md) {
+  const ord = monthDayOrd(md);
+  const s = monthDayOrd(range.startMd);
+  const e = monthDayOrd(range.endMd);
+  return s <= e ? (ord >= s && ord <= e) : (ord >= s || ord <= e);
+}
+
+// "15:00" -> "3pm", "12:30" -> "12_30pm" (used in labels + event keys)
+function timeLabel(minutes) {
+  const h = Math.floor(minutes / 60);
+  const m = minutes % 60;
+  const suffix = h < 12 || h === 24 ? "am" : "pm";
+  const h12 = h % 12 === 0 ? 12 : h % 12;
+  return m ? `${h12}_${String(m).padStart(2, "0")}${suffix}` : `${h12}${suffix}`;
+}
+
+function dayLabel(offset) {
+  if (offset === 0) return "today";
+  if (offset === -1) return "yesterday";
+  return offset < 0 ? `${-offset}_days_ago` : `in_${offset}_days`;
+}
+
+// ---- Validation ----
+
+function validateCompareSide(side, where, errors) {
+  if (!side || typeof side !== "object") {
+    errors.push(`${where}: missing`);
+    return;
+  }
+  if (!Number.isInteger(side.dayOffset) || side.dayOffset > 0) errors.push(`${where}.dayOffset: must be an integer <= 0`);
+  if (parseHm(side.time) === null) errors.push(`${where}.time: expected "HH:MM", got ${JSON.stringify(side.time)}`);
+  if (!MATCH_MODES.includes(side.match)) errors.push(`${where}.match: must be one of ${MATCH_MODES.join(", ")}`);
+  if (!isNonNegInt(side.toleranceMinutes)) errors.push(`${where}.toleranceMinutes: must be an integer >= 0`);
+}
+
+function mergeRange(defaults, raw) {
+  return {
+    ...raw,
+    windows: raw.windows ?? defaults.windows,
+    compare: {
+      from: { ...defaults.compare?.from, ...raw.compare?.from },
+      to: { ...defaults.compare?.to, ...raw.compare?.to }
+    },
+    thresholds: { ...defaults.thresholds, ...raw.thresholds }
+  };
+}
+
+// Returns a list of human-readable problems (empty = valid)
+export function validateSchedule(json) {
+  const errors = [];
+  const defaults = json?.defaults ?? {};
+  const ranges = json?.ranges;
+
+  if (!Array.isArray(ranges) || ranges.length === 0) {
+    return ["ranges: expected a non-empty array"];
+  }
+
+  const names = new Set();
+
+  ranges.forEach((raw, i) => {
+    const r = mergeRange(defaults, raw ?? {});
+    const where = `ranges[${i}]${r.name ? ` (${r.name})` : ""}`;
+
+    if (!r.name || typeof r.name !== "string") errors.push(`${where}.name: required`);
+    else if (names.has(r.name)) errors.push(`${where}.name: duplicate "${r.name}"`);
+    else names.add(r.name);
+
+    if (!parseMonthDay(r.start)) errors.push(`${where}.start: expected "MM-DD", got ${JSON.stringify(r.start)}`);
+    if (!parseMonthDay(r.end)) errors.push(`${where}.end: expected "MM-DD", got ${JSON.stringify(r.end)}`);
+
+    if (r.weekdays !== undefined) {
+      if (!Array.isArray(r.weekdays) || r.weekdays.length === 0) errors.push(`${where}.weekdays: expected a non-empty array`);
+      else for (const d of r.weekdays) {
+        if (!WEEKDAYS.includes(String(d).toLowerCase())) errors.push(`${where}.weekdays: unknown day ${JSON.stringify(d)}`);
+      }
+    }
+
+    if (!Array.isArray(r.windows) || r.windows.length === 0) {
+      errors.push(`${where}.windows: expected a non-empty array`);
+    } else {
+      const spans = [];
+      r.windows.forEach((w, j) => {
+        const from = parseHm(w?.from);
+        const to = parseHm(w?.to);
+        if (from === null) errors.push(`${where}.windows[${j}].from: expected "HH:MM"`);
+        if (to === null) errors.push(`${where}.windows[${j}].to: expected "HH:MM"`);
+        if (from !== null && to !== null && from >= to) errors.push(`${where}.windows[${j}]: from must be before to`);
+        if (!Number.isInteger(w?.everyMinutes) || w.everyMinutes < 1) errors.push(`${where}.windows[${j}].everyMinutes: must be an integer >= 1`);
+        if (from !== null && to !== null && from < to) spans.push({ from, to, j });
+      });
+
+      spans.sort((a, b) => a.from - b.from);
+      for (let k = 1; k < spans.length; k++) {
+        if (spans[k].from < spans[k - 1].to) {
+          errors.push(`${where}.windows[${spans[k - 1].j}] and windows[${spans[k].j}] overlap`);
+        }
+      }
+    }
+
+    validateCompareSide(r.compare.from, `${where}.compare.from`, errors);
+    validateCompareSide(r.compare.to, `${where}.compare.to`, errors);
+
+    if (!isNonNegInt(r.thresholds.opened)) errors.push(`${where}.thresholds.opened: must be an integer >= 0`);
+    if (!isNonNegInt(r.thresholds.closed)) errors.push(`${where}.thresholds.closed: must be an integer >= 0`);
+  });
+
+  if (errors.length) return errors;
+
+  // Overlap check: walk every calendar day, each (date, weekday) may belong to one range.
+  // Weekday of a MM-DD changes by year, so any shared weekday counts as overlap.
+  const compiled = compileRanges(json);
+  for (let a = 0; a < compiled.length; a++) {
+    for (let b = a + 1; b < compiled.length; b++) {
+      const A = compiled[a];
+      const B = compiled[b];
+      const sharedDays = A.weekdays.filter(d => B.weekdays.includes(d));
+      if (!sharedDays.length) continue;
+
+      const clash = firstSharedDate(A, B);
+      if (clash) {
+        errors.push(`ranges "${A.name}" and "${B.name}" overlap on ${clash} (${sharedDays.map(d => WEEKDAYS[d]).join(", ")})`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+function firstSharedDate(A, B) {
+  for (let month = 1; month <= 12; month++) {
+    for (let day = 1; day <= DAYS_IN_MONTH[month - 1]; day++) {
+      const md = { month, day };
+      if (rangeHasDate(A, md) && rangeHasDate(B, md)) {
+        return `${String(month).padStart(2, "0")}-${String(day).padStart(2, "0")}`;
+      }
+    }
+  }
+  return null;
+}
+
+// ---- Compile (assumes valid) ----
+
+function compileSide(side) {
+  const minutes = parseHm(side.time);
+  return {
+    ...side,
+    minutes,
+    timeLabel: timeLabel(minutes),
+    label: `${dayLabel(side.dayOffset)}_${timeLabel(minutes)}`,
+    hour: Math.floor(minutes / 60),
+    minute: minutes % 60
+  };
+}
+
+function compileRanges(json) {
+  const defaults = json?.defaults ?? {};
+
+  return json.ranges.map(raw => {
+    const r = mergeRange(defaults, raw);
+    return {
+      name: r.name,
+      start: r.start,
+      end: r.end,
+      startMd: parseMonthDay(r.start),
+      endMd: parseMonthDay(r.end),
+      weekdays: (r.weekdays ?? WEEKDAYS).map(d => WEEKDAYS.indexOf(String(d).toLowerCase())),
+      windows: r.windows
+        .map(w => ({ from: parseHm(w.from), to: parseHm(w.to), everyMinutes: w.everyMinutes }))
+        .sort((a, b) => a.from - b.from),
+      compare: {
+        from: compileSide(r.compare.from),
+        to: compileSide(r.compare.to)
+      },
+      thresholds: { opened: r.thresholds.opened, closed: r.thresholds.closed }
+    };
+  });
+}
+
+export function parseSchedule(json, source = "schedule") {
+  const errors = validateSchedule(json);
+  if (errors.length) {
+    throw new Error(`Invalid ${source}:\n  - ${errors.join("\n  - ")}`);
+  }
+  return { ranges: compileRanges(json) };
+}
+
+export async function loadSchedule(file) {
+  let json;
+  try {
+    json = JSON.parse(await fs.readFile(file, "utf8"));
+  } catch (err) {
+    throw new Error(`Failed reading ${file}: ${err.message}`);
+  }
+  return parseSchedule(json, file);
+}
+
+// ---- Lookup ----
+
+function rangeForDay(schedule, day) {
+  const weekday = localWeekday(day);
+  return schedule.ranges.find(r =>
+    r.weekdays.includes(weekday) && rangeHasDate(r, { month: day.month, day: day.day })
+  ) ?? null;
+}
+
+// Which rule applies at this instant?
+// -> { parts, weekday, range, window, intervalMs, reason }
+// range=null means off season; window=null means outside polling windows.
+export function ruleAt(schedule, date, timeZone) {
+  const parts = getTzParts(date, timeZone);
+  const weekday = localWeekday(parts);
+  const m = minutesSinceMidnight(parts);
+
+  const range = rangeForDay(schedule, parts);
+
+  if (!range) {
+    return { parts, weekday, range: null, window: null, intervalMs: null, reason: "off season" };
+  }
+
+  const window = range.windows.find(w => m >= w.from && m < w.to) ?? null;
+  if (!window) {
+    return { parts, weekday, range, window: null, intervalMs: null, reason: "outside polling windows" };
+  }
+
+  return { parts, weekday, range, window, intervalMs: window.everyMinutes * 60 * 1000, reason: null };
+}
+
+// When is the fetch after one at `date` due? Inside a window that's date + interval,
+// otherwise the start of the next polling window (null = none within a year).
+export function nextUpdateAt(schedule, date, timeZone) {
+  const rule = ruleAt(schedule, date, timeZone);
+  if (rule.intervalMs !== null) {
+    const next = new Date(date.getTime() + rule.intervalMs);
+    if (ruleAt(schedule, next, timeZone).intervalMs !== null) return next;
+  }
+
+  const today = getTzParts(date, timeZone);
+  const nowMinutes = minutesSinceMidnight(today);
+
+  for (let offset = 0; offset <= 366; offset++) {
+    const day = addLocalDays(today, offset);
+    const range = rangeForDay(schedule, day);
+    if (!range) continue;
+
+    const starts = range.windows
+      .map(w => w.from)
+      .filter(from => offset > 0 || from > nowMinutes)
+      .sort((a, b) => a - b);
+    if (starts.length) {
+      return zonedTimeToUtc({ ...day, hour: Math.floor(starts[0] / 60), minute: starts[0] % 60 }, timeZone);
+    }
+  }
+  return null;
+}
+
+// ---- --explain output ----
+
+function describeSide(side) {
+  const how = side.match === "nearest"
+    ? `nearest within ±${side.toleranceMinutes} min`
+    : `first at/after, within ${side.toleranceMinutes} min`;
+  return `${dayLabel(side.dayOffset)} ${formatHm(side.minutes)} (${how})`;
+}
+
+export function explainRule(rule, { resortId, timeZone, at }) {
+  const { parts, weekday, range, window } = rule;
+  const local = `${WEEKDAYS[weekday]} ${ymdKey(parts)} ${formatHm(minutesSinceMidnight(parts))}`;
+  const lines = [`[explain] ${at.toISOString()} → ${resortId} (${timeZone}) local ${local}`];
+
+  if (!range) {
+    lines.push("  range:      none (off season) → no polling, no events");
+    return lines.join("\n");
+  }
+
+  const days = range.weekdays.length === 7 ? "every day" : range.weekdays.map(d => WEEKDAYS[d]).join(",");
+  lines.push(`  range:      ${range.name} (${range.start} → ${range.end}, ${days})`);
+  lines.push(window
+    ? `  window:     ${formatHm(window.from)}–${formatHm(window.to)} → poll every ${window.everyMinutes} min`
+    : "  window:     none → no polling at this time");
+  lines.push(`  windows:    ${range.windows.map(w => `${formatHm(w.from)}–${formatHm(w.to)}/${w.everyMinutes}m`).join("  ")}`);
+  lines.push(`  compare:    ${describeSide(range.compare.from)} vs ${describeSide(range.compare.to)}`);
+  lines.push(`  thresholds: opened >= ${range.thresholds.opened}, closed >= ${range.thresholds.closed}`);
+  return lines.join("\n");
+}
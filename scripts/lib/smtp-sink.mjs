@@ -0,0 +1,50 @@
+// scripts/lib/smtp-sink.mjs
+// Just enough of an SMTP server to accept every message: EHLO, MAIL, RCPT, DATA, QUIT.
+// Used by scripts/smtp-sink.mjs and scripts/check-alerts.mjs.
+import net from "node:net";
+
+// -> a net.Server (not listening yet); onMessage({ from, to }, data) gets each message
+export function smtpSink(onMessage) {
+  return net.createServer((socket) => {
+    let buffer = "";
+    let envelope = { from: null, to: [] };
+    let data = null; // collecting DATA lines when not null
+
+    const say = (line) => socket.write(`${line}\r\n`);
+    say("220 smtp-sink ready");
+
+    socket.on("data", (chunk) => {
+      buffer += chunk.toString("utf8");
+      let i;
+      while ((i = buffer.indexOf("\r\n")) !== -1) {
+        const line = buffer.slice(0, i);
+        buffer = buffer.slice(i + 2);
+
+        if (data !== null) {
+          if (line === ".") {
+            Promise.resolve(onMessage(envelope, data.join("\r\n"))).catch(console.error);
+            envelope = { from: null, to: [] };
+            data = null;
+            say("250 OK: queued");
+          } else {
+            data.push(line.startsWith("..") ? line.slice(1) : line);
+          }
+          continue;
+        }
+
+        const cmd = line.slice(0, 4).toUpperCase();
+        if (cmd === "EHLO") say("250-smtp-sink\r\n250-8BITMIME\r\n250 SMTPUTF8");
+        else if (cmd === "HELO") say("250 smtp-sink");
+        else if (cmd === "MAIL") { envelope.from = /<(.*)>/.exec(line)?.[1] ?? ""; say("250 OK"); }
+        else if (cmd === "RCPT") { envelope.to.push(/<(.*)>/.exec(line)?.[1] ?? ""); say("250 OK"); }
+        else if (cmd === "DATA") { data = []; say("354 End data with <CR><LF>.<CR><LF>"); }
+        else if (cmd === "RSET") { envelope = { from: null, to: [] }; say("250 OK"); }
+        else if (cmd === "NOOP") say("250 OK");
+        else if (cmd === "QUIT") { say("221 Bye"); socket.end(); }
+        else say("502 Command not implemented");
+      }
+    });
+
+    socket.on("error", () => {});
+  });
+}
@@ -0,0 +1,90 @@
+// scripts/lib/source.mjs
+// Getting a payload we can trust out of the upstream API:
+//
+//   fetchJson()        per-attempt timeout, exponential backoff on 5xx / 429 / network errors
+//   validatePayload()  the adapter's shape check, before anything is parsed
+//   checkVanished()    refuses a payload in which most mapped lifts/runs silently disappeared
+//
+// When one of them fails, the pipeline keeps the last good status.json and marks it
+// "degraded" instead of overwriting it (see keepLastGood in pipeline.mjs).
+//
+// Per-resort overrides in resorts.json "source": timeoutMs, retries, maxVanishedPercent.
+
+export const DEFAULT_TIMEOUT_MS = 15_000;
+export const DEFAULT_RETRIES = 3;
+export const DEFAULT_MAX_VANISHED_PERCENT = 50;
+const BASE_DELAY_MS = 2_000;
+const MAX_DELAY_MS = 30_000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// 408, 429 and 5xx are worth another try; other 4xx won't change
+function retryableStatus(status) {
+  return status === 408 || status === 429 || status >= 500;
+}
+
+// Retry-After in seconds or as an HTTP date -> ms (null if absent/unreadable)
+function retryAfterMs(res) {
+  const v = res.headers.get("retry-after");
+  if (!v) return null;
+  const seconds = Number(v);
+  if (Number.isFinite(seconds)) return seconds * 1000;
+  const at = Date.parse(v);
+  return Number.isFinite(at) ? Math.max(0, at - Date.now()) : null;
+}
+
+// resort (optional) supplies source.timeoutMs / source.retries.
+// fetchImpl + wait are injectable so the backoff can be exercised offline.
+export async function fetchJson(url, resort = null, { fetchImpl = fetch, wait = sleep } = {}) {
+  const timeoutMs = resort?.source?.timeoutMs ?? DEFAULT_TIMEOUT_MS;
+  const retries = resort?.source?.retries ?? DEFAULT_RETRIES;
+
+  for (let attempt = 0; ; attempt++) {
+    let delay = Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** attempt);
+    let error;
+
+    try {
+      const res = await fetchImpl(url, { headers: { accept: "application/json" }, signal: AbortSignal.timeout(timeoutMs) });
+      if (res.ok) return await res.json();
+
+      error = new Error(`HTTP ${res.status}`);
+      if (!retryableStatus(res.status)) throw Object.assign(error, { final: true });
+      delay = Math.min(MAX_DELAY_MS, retryAfterMs(res) ?? delay);
+    } catch (err) {
+      if (err.final) throw err;
+      error = err.name === "TimeoutError" ? new Error(`No response within ${timeoutMs} ms`) : err;
+    }
+
+    if (attempt >= retries) {
+      throw new Error(`${error.message} (after ${attempt + 1} attempt${attempt ? "s" : ""})`);
+    }
+
+    // Jitter, so several resorts failing together don't retry in lockstep
+    const ms = Math.round(delay * (0.75 + Math.random() * 0.5));
+    console.warn(`[fetch] Attempt ${attempt + 1} failed (${error.message}); retrying in ${(ms / 1000).toFixed(1)}s`);
+    await wait(ms);
+  }
+}
+
+// -> list of problems (empty = looks like a real payload)
+export function validatePayload(adapter, data, source = {}) {
+  if (data === null || typeof data !== "object") return [`payload is ${data === null ? "null" : typeof data}, not JSON object/array`];
+  return adapter.validate ? adapter.validate(data, source) : [];
+}
+
+// prev/curr = { lifts: { name: status }, trails: { ... } } (mapped items only).
+// -> { vanished: [names], total, percent, ok }
+export function checkVanished(prev, curr, maxPercent = DEFAULT_MAX_VANISHED_PERCENT) {
+  const vanished = [];
+  let total = 0;
+
+  for (const key of ["lifts", "trails"]) {
+    for (const name of Object.keys(prev?.[key] ?? {})) {
+      total++;
+      if (!Object.hasOwn(curr?.[key] ?? {}, name)) vanished.push(name);
+    }
+  }
+
+  const percent = total ? Math.round((vanished.length / total) * 100) : 0;
+  return { vanished, total, percent, ok: percent <= maxPercent };
+}
@@ -0,0 +1,76 @@
+// scripts/lib/time.mjs
+// ---- Timezone helpers (DST-safe) ----
+
+export const DEFAULT_TIME_ZONE = "America/Vancouver";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export function getTzParts(date, timeZone = DEFAULT_TIME_ZONE) {
+  const parts = new Intl.DateTimeFormat("en-CA", {
+    timeZone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+    hour12: false
+  }).formatToParts(date);
+
+  const get = (type) => Number(parts.find(p => p.type === type)?.value);
+  return {
+    year: get("year"),
+    month: get("month"),   // 1-12
+    day: get("day"),
+    hour: get("hour") % 24, // some engines print midnight as 24
+    minute: get("minute"),
+    second: get("second")
+  };
+}
+
+export function getOffsetMinutes(date, timeZone = DEFAULT_TIME_ZONE) {
+  // Offset = (local time as UTC) - (actual UTC) in minutes
+  const p = getTzParts(date, timeZone);
+  const localAsUTC = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return (localAsUTC - date.getTime()) / 60000;
+}
+
+// Convert "resort local clock time" -> real UTC instant. Around DST changes: a time the
+// clocks fall back through happens twice (the first is returned); one they spring forward
+// over doesn't happen at all (read with the old offset, 02:30 comes out as 03:30).
+export function zonedTimeToUtc({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone = DEFAULT_TIME_ZONE) {
+  const wall = Date.UTC(year, month - 1, day, hour, minute, second);
+
+  // The zone's offset a day before and after: the same unless a DST change is near
+  const offsets = [...new Set([wall - DAY_MS, wall + DAY_MS].map(ms => getOffsetMinutes(new Date(ms), timeZone)))];
+
+  const matches = offsets
+    .map(offset => wall - offset * 60000)
+    .filter(ms => getOffsetMinutes(new Date(ms), timeZone) === (wall - ms) / 60000)
+    .sort((a, b) => a - b);
+
+  return new Date(matches.length ? matches[0] : wall - offsets[0] * 60000);
+}
+
+export function ymdKey({ year, month, day }) {
+  return `${year}-${String(month).padStart(2, "0")}-${String(day).padStart(2, "0")}`;
+}
+
+// Calendar-day shift of local parts (not "minus 24h", which drifts across DST)
+export function addLocalDays({ year, month, day }, days) {
+  const d = new Date(Date.UTC(year, month - 1, day + days));
+  return { year: d.getUTCFullYear(), month: d.getUTCMonth() + 1, day: d.getUTCDate() };
+}
+
+// 0 = Sunday ... 6 = Saturday, for a local calendar date
+export function localWeekday({ year, month, day }) {
+  return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+}
+
+export function minutesSinceMidnight({ hour, minute }) {
+  return hour * 60 + minute;
+}
+
+export function formatHm(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, "0")}:${String(minutes % 60).padStart(2, "0")}`;
+}
@@ -0,0 +1,136 @@
+// scripts/replay.mjs
+// Offline replay of recorded upstream responses through the real pipeline
+// (lib/pipeline.mjs) with an injected clock + fetcher, then assert the outputs.
+//
+//   node scripts/replay.mjs <dir> [--update] [--keep] [--resort cypress]
+//
+// <dir>/
+//   responses/2026-01-14T18-05-00Z.json       body the API returned at that instant
+//   responses/2026-01-14T18-30-00Z.http-503   the API failed at that instant (empty file)
+//   initial/                                  optional: files copied into the data dir first
+//   expected/status.json                      asserted after the last step
+//   expected/history.json
+//   expected/event.json                       if missing, asserts that NO event was written
+//   expected/changes.json
+//   replay.json                               optional: { "resort": "cypress" }
+//
+// Steps run in timestamp order. The schedule still applies, so a response
+// recorded outside a polling window (or too soon after the last) is skipped,
+// exactly as it would be live. --update rewrites expected/ from this run.
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { loadResorts } from "./lib/resorts.mjs";
+import { STATUS_FILE, HISTORY_FILE, EVENT_FILE } from "./lib/pipeline.mjs";
+import { CHANGES_FILE } from "./lib/changes.mjs";
+import { loadSteps, copyDir, replaySteps } from "./lib/replay.mjs";
+
+const OUTPUT_FILES = [STATUS_FILE, HISTORY_FILE, EVENT_FILE, CHANGES_FILE];
+
+function argValue(flag) {
+  const i = process.argv.indexOf(flag);
+  return i !== -1 ? process.argv[i + 1] : null;
+}
+
+async function readJsonOrNull(p) {
+  try {
+    return JSON.parse(await fs.readFile(p, "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+// First path where two JSON values differ, or null
+function firstDifference(a, b, where = "$") {
+  if (a === b) return null;
+  if (typeof a !== typeof b || a === null || b === null || typeof a !== "object" || Array.isArray(a) !== Array.isArray(b)) {
+    return `${where}: expected ${JSON.stringify(b)}, got ${JSON.stringify(a)}`;
+  }
+
+  const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+  for (const k of keys) {
+    const d = firstDifference(a[k], b[k], Array.isArray(a) ? `${where}[${k}]` : `${where}.${k}`);
+    if (d) return d;
+  }
+  return null;
+}
+
+async function main() {
+  const dir = process.argv[2];
+  if (!dir || dir.startsWith("--")) {
+    console.error("usage: node scripts/replay.mjs <dir> [--update] [--keep] [--resort <id>]");
+    process.exitCode = 2;
+    return;
+  }
+
+  const UPDATE = process.argv.includes("--update");
+  const KEEP = process.argv.includes("--keep");
+
+  const config = (await readJsonOrNull(path.join(dir, "replay.json"))) ?? {};
+  const resortId = argValue("--resort") ?? config.resort ?? "cypress";
+  const [configured] = await loadResorts({ only: resortId });
+
+  // Outputs land at the root of a scratch dir, whatever dataDir the resort uses live
+  const resort = { ...configured, dataDir: "." };
+  const workDir = await fs.mkdtemp(path.join(os.tmpdir(), `replay-${resort.id}-`));
+  await copyDir(path.join(dir, "initial"), workDir);
+
+  const steps = await loadSteps(dir);
+  console.log(`[replay] ${dir}: ${steps.length} recorded responses → ${workDir}`);
+
+  await replaySteps(resort, steps, workDir, {
+    onStep: (step) => console.log(`\n--- ${step.at.toISOString()} (${step.name}) ---`)
+  });
+
+  const expectedDir = path.join(dir, "expected");
+  let failures = 0;
+
+  if (UPDATE) await fs.mkdir(expectedDir, { recursive: true });
+
+  for (const file of OUTPUT_FILES) {
+    const actual = await readJsonOrNull(path.join(workDir, file));
+    const expectedPath = path.join(expectedDir, file);
+
+    if (UPDATE) {
+      if (actual) await fs.writeFile(expectedPath, JSON.stringify(actual, null, 2) + "\n");
+      else await fs.rm(expectedPath, { force: true });
+      console.log(`[update] ${actual ? "Wrote" : "Removed"} expected/${file}`);
+      continue;
+    }
+
+    const expected = await readJsonOrNull(expectedPath);
+
+    if (!expected && !actual) {
+      console.log(`[ok] ${file}: not written (as expected)`);
+      continue;
+    }
+    if (!expected) {
+      console.error(`[fail] ${file}: written but expected/${file} does not exist`);
+      failures++;
+      continue;
+    }
+    if (!actual) {
+      console.error(`[fail] ${file}: expected but not written`);
+      failures++;
+      continue;
+    }
+
+    const diff = firstDifference(actual, expected);
+    if (diff) {
+      console.error(`[fail] ${file}: ${diff}`);
+      failures++;
+    } else {
+      console.log(`[ok] ${file}`);
+    }
+  }
+
+  if (KEEP) console.log(`[replay] Kept outputs in ${workDir}`);
+  else await fs.rm(workDir, { recursive: true, force: true });
+
+  if (failures) process.exitCode = 1;
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exitCode = 1;
+});
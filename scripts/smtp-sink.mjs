@@ -0,0 +1,36 @@
+// scripts/smtp-sink.mjs
+// Local SMTP server that accepts every message and prints it, for trying
+// `post alerts` without a real mail provider.
+//
+//   node scripts/smtp-sink.mjs [--port 2525] [--out /tmp/mail]
+//   SMTP_URL=smtp://127.0.0.1:2525 ALERTS_FROM=alerts@localhost node scripts/cypress-status.mjs post alerts --subscriptions subs.json
+//
+// --out writes each message to <out>/<n>.eml as well. The protocol is in lib/smtp-sink.mjs.
+import fs from "node:fs/promises";
+import path from "node:path";
+import { smtpSink } from "./lib/smtp-sink.mjs";
+
+function argValue(flag, fallback) {
+  const i = process.argv.indexOf(flag);
+  return i !== -1 ? process.argv[i + 1] : fallback;
+}
+
+const PORT = Number(argValue("--port", 2525));
+const OUT_DIR = argValue("--out", null);
+let count = 0;
+
+async function deliver(envelope, data) {
+  count++;
+  const subject = /^subject:\s*(.*)$/im.exec(data)?.[1] ?? "(no subject)";
+  console.log(`[mail ${count}] ${envelope.from} -> ${envelope.to.join(", ")}: ${subject}`);
+  if (OUT_DIR) {
+    await fs.mkdir(OUT_DIR, { recursive: true });
+    await fs.writeFile(path.join(OUT_DIR, `${count}.eml`), data);
+  }
+}
+
+const server = smtpSink(deliver);
+
+server.listen(PORT, () => {
+  console.log(`[smtp-sink] Listening on smtp://127.0.0.1:${PORT}`);
+});
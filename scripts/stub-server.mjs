@@ -0,0 +1,49 @@
+// scripts/stub-server.mjs
+// Local stand-in for every notifier target, for trying `post notify` without
+// touching real accounts. Logs each request and checks webhook signatures
+// (lib/notifiers/stub.mjs).
+//
+//   node scripts/stub-server.mjs [--port 8787] [--fail-first 2]
+//   node scripts/cypress-status.mjs post notify --notifiers scripts/fixtures/notifiers.stub.json
+//
+// --fail-first N answers 503 to the first N requests on each path (exercises retries).
+//
+// Also an S3-compatible bucket under /s3 for the s3 media host (credentials in
+// lib/media-hosts/s3-stub.mjs):
+//
+//   node scripts/cypress-status.mjs post instagram --media-config scripts/fixtures/media-host.s3-stub.json ...
+import http from "node:http";
+import { notifierStubHandler } from "./lib/notifiers/stub.mjs";
+import { s3StubHandler } from "./lib/media-hosts/s3-stub.mjs";
+
+function argValue(flag, fallback) {
+  const i = process.argv.indexOf(flag);
+  return i !== -1 ? process.argv[i + 1] : fallback;
+}
+
+const PORT = Number(argValue("--port", 8787));
+const FAIL_FIRST = Number(argValue("--fail-first", 0));
+
+const notifiers = notifierStubHandler({ failFirst: FAIL_FIRST, log: (line) => console.log(line) });
+const s3 = s3StubHandler({ basePath: "/s3" });
+
+const server = http.createServer((req, res) => {
+  const chunks = [];
+  req.on("data", (c) => { chunks.push(c); });
+  req.on("end", () => {
+    const raw = Buffer.concat(chunks);
+    if (s3(req, res, raw)) {
+      console.log(`[stub] ${req.method} ${req.url} -> ${res.statusCode} (${raw.length} bytes)`);
+      return;
+    }
+    if (notifiers(req, res, raw)) return;
+
+    console.log(`[stub] ${req.method} ${req.url} -> 404`);
+    res.writeHead(404, { "content-type": "application/json" });
+    res.end(JSON.stringify({ error: "not found" }));
+  });
+});
+
+server.listen(PORT, "127.0.0.1", () => {
+  console.log(`[stub] Listening on http://127.0.0.1:${PORT} (Ctrl+C to stop)`);
+});
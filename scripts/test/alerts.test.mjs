@@ -0,0 +1,169 @@
+// scripts/test/alerts.test.mjs
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import {
+  transitionsOf, matchSubscription, unsubscribeSig, checkUnsubscribeSig, unsubscribeUrl,
+  checkConfirmSig, confirmUrl, recipientKey, validateSubscription, runAlerts, DEFAULT_DAILY_LIMIT, ALERTS_STATE_FILE
+} from "../lib/alerts.mjs";
+
+const RESORT = { id: "cypress", name: "Cypress", dataDir: ".", timeZone: "America/Vancouver", mapUrl: null };
+const CONFIRMED = "2026-01-10T12:00:00Z";
+const change = (name, from, to, at = "2026-01-14T19:00:00Z", kind = "trail") => ({ id: `${at}|${name}`, at, kind, name, from, to });
+
+test("transitionsOf: opened, closed, on-hold", () => {
+  assert.deepEqual(transitionsOf(change("Fork", "closed", "open")), ["any", "opened"]);
+  assert.deepEqual(transitionsOf(change("Fork", "open", "on-hold")), ["any", "closed", "on-hold"]);
+  assert.deepEqual(transitionsOf(change("Fork", "on-hold", "closed")), ["any"]);
+});
+
+test("matchSubscription: by kind, name and transition", () => {
+  const sub = { items: [{ kind: "trail", name: "Fork" }, { kind: "lift", name: "Eagle Express" }], transitions: ["opened"] };
+  const changes = [
+    change("Fork", "closed", "open"),
+    change("Fork", "open", "closed"),
+    change("Fork", "closed", "open", undefined, "lift"),
+    change("Windjammer", "closed", "open"),
+    change("Eagle Express", "on-hold", "open", undefined, "lift")
+  ];
+  assert.deepEqual(matchSubscription(sub, changes).map(c => `${c.kind}/${c.name}/${c.to}`), ["trail/Fork/open", "lift/Eagle Express/open"]);
+});
+
+test("unsubscribe signatures", () => {
+  const sig = unsubscribeSig("s3cret", "sub_1");
+  assert.equal(sig.length, 32);
+  assert.ok(checkUnsubscribeSig("s3cret", "sub_1", sig));
+  assert.ok(!checkUnsubscribeSig("s3cret", "sub_2", sig), "another id");
+  assert.ok(!checkUnsubscribeSig("other", "sub_1", sig), "another secret");
+  assert.ok(!checkUnsubscribeSig("s3cret", "sub_1", null));
+  assert.equal(unsubscribeUrl("https://alerts.example/api", "s3cret", "sub_1"), `https://alerts.example/api/unsubscribe?id=sub_1&sig=${sig}`);
+});
+
+test("confirm links are signed apart from unsubscribe links", () => {
+  const url = new URL(confirmUrl("https://alerts.example/api/", "s3cret", "sub_1"));
+  assert.equal(url.pathname, "/api/confirm");
+  assert.ok(checkConfirmSig("s3cret", "sub_1", url.searchParams.get("sig")));
+  assert.ok(!checkConfirmSig("s3cret", "sub_1", unsubscribeSig("s3cret", "sub_1")), "an unsubscribe signature");
+});
+
+test("recipientKey: one key per address, not the address itself", () => {
+  const a = recipientKey({ channel: "email", email: "Crew@Example.com " }, "s3cret");
+  assert.equal(a, recipientKey({ channel: "email", email: "crew@example.com" }, "s3cret"));
+  assert.notEqual(a, recipientKey({ channel: "email", email: "other@example.com" }, "s3cret"));
+  assert.notEqual(a, recipientKey({ channel: "email", email: "crew@example.com" }, "other"));
+  assert.ok(!a.includes("crew"));
+});
+
+test("validateSubscription defaults the daily limit", () => {
+  const { errors, sub } = validateSubscription({ channel: "email", email: "crew@example.com", items: [{ kind: "trail", name: "Fork" }], transitions: ["opened"] });
+  assert.deepEqual(errors, []);
+  assert.equal(sub.daily_limit, DEFAULT_DAILY_LIMIT);
+});
+
+// A data dir holding changes.json and alerts-state.json; -> run(now) with a recording sender
+async function alertsRun({ changes, state, subscriptions, env = {} }) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "alerts-"));
+  const sent = [];
+  const senders = { email: async (sub, alert) => { sent.push({ id: sub.id, subject: alert.subject }); return "msg"; } };
+  await fs.writeFile(path.join(dir, ALERTS_STATE_FILE), JSON.stringify(state));
+
+  return {
+    sent,
+    state: async () => JSON.parse(await fs.readFile(path.join(dir, ALERTS_STATE_FILE), "utf8")),
+    run: async (now, moreChanges = []) => {
+      changes.push(...moreChanges);
+      const updated_at = changes[changes.length - 1].at;
+      await fs.writeFile(path.join(dir, "changes.json"), JSON.stringify({ updated_at, changes }));
+      const log = console.log;
+      console.log = () => {};
+      try {
+        return await runAlerts(RESORT, subscriptions, senders, { env, dataRoot: dir, now: new Date(now) });
+      } finally {
+        console.log = log;
+      }
+    }
+  };
+}
+
+test("runAlerts: the default daily limit, then suppressed", async () => {
+  const sub = { id: "sub_1", channel: "email", email: "crew@example.com", items: [{ kind: "trail", name: "Fork" }], transitions: ["any"], confirmed_at: CONFIRMED };
+  const key = recipientKey(sub);
+  const alerts = await alertsRun({
+    changes: [change("Fork", "closed", "open", "2026-01-14T19:00:00Z")],
+    state: { last_change_at: "2026-01-14T18:00:00Z", recipients: { [key]: { day: "2026-01-14", sent: DEFAULT_DAILY_LIMIT - 1, suppressed: 0 } } },
+    subscriptions: [sub]
+  });
+
+  assert.deepEqual(await alerts.run("2026-01-14T19:05:00Z"), { sent: 1, failed: 0, limited: 0 });
+  assert.deepEqual(await alerts.run("2026-01-14T20:05:00Z", [change("Fork", "open", "on-hold", "2026-01-14T20:00:00Z")]), { sent: 0, failed: 0, limited: 1 });
+
+  const state = await alerts.state();
+  assert.deepEqual(state.recipients[key], { day: "2026-01-14", sent: DEFAULT_DAILY_LIMIT, suppressed: 1 });
+  assert.equal(state.last_change_at, "2026-01-14T20:00:00Z");
+  assert.deepEqual(alerts.sent, [{ id: "sub_1", subject: "Cypress: Fork opened" }]);
+});
+
+test("runAlerts: the counter starts again on a new resort-local day", async () => {
+  const sub = { id: "sub_1", channel: "email", email: "crew@example.com", items: [{ kind: "trail", name: "Fork" }], transitions: ["opened"], daily_limit: 1, confirmed_at: CONFIRMED };
+  const key = recipientKey(sub);
+  const alerts = await alertsRun({
+    // 2026-01-15T07:30Z is still the 14th in Vancouver; 08:30Z is the 15th
+    changes: [change("Fork", "closed", "open", "2026-01-15T07:30:00Z")],
+    state: {
+      last_change_at: "2026-01-15T07:00:00Z",
+      recipients: { [key]: { day: "2026-01-13", sent: 1, suppressed: 4 }, rcpt_gone: { day: "2026-01-14", sent: 1, suppressed: 0 } },
+      subscriptions: { sub_1: { day: "2026-01-15", sent: 1, suppressed: 0 } }
+    },
+    subscriptions: [sub]
+  });
+
+  assert.equal((await alerts.run("2026-01-15T07:35:00Z")).sent, 1);
+  assert.equal((await alerts.run("2026-01-15T07:50:00Z", [change("Fork", "closed", "open", "2026-01-15T07:45:00Z")])).limited, 1);
+  assert.equal((await alerts.run("2026-01-15T08:35:00Z", [change("Fork", "closed", "open", "2026-01-15T08:30:00Z")])).sent, 1);
+
+  const state = await alerts.state();
+  assert.deepEqual(state.recipients, { [key]: { day: "2026-01-15", sent: 1, suppressed: 0 } }, "counters of removed recipients are dropped");
+  assert.equal(state.subscriptions, undefined, "per-subscription counters of older state files are dropped");
+});
+
+test("runAlerts: an unconfirmed subscription gets no alert", async () => {
+  const pending = { id: "sub_pending", channel: "email", email: "someone@example.com", items: [{ kind: "trail", name: "Fork" }], transitions: ["any"], confirmed_at: null };
+  const legacy = { ...pending, id: "sub_legacy", email: "legacy@example.com" };
+  delete legacy.confirmed_at;
+  const alerts = await alertsRun({
+    changes: [change("Fork", "closed", "open")],
+    state: { last_change_at: "2026-01-14T18:00:00Z", recipients: {} },
+    subscriptions: [pending, legacy]
+  });
+
+  assert.deepEqual(await alerts.run("2026-01-14T19:05:00Z"), { sent: 0, failed: 0, limited: 0 });
+  assert.deepEqual(alerts.sent, []);
+  assert.deepEqual((await alerts.state()).recipients, {});
+});
+
+test("runAlerts: the daily limit counts per address across its subscriptions", async () => {
+  const env = { ALERTS_SECRET: "s3cret" };
+  const base = { channel: "email", email: "crew@example.com", transitions: ["any"], daily_limit: 2, confirmed_at: CONFIRMED };
+  const subscriptions = [
+    { ...base, id: "sub_fork", items: [{ kind: "trail", name: "Fork" }] },
+    { ...base, id: "sub_rainbow", items: [{ kind: "trail", name: "Rainbow" }] },
+    { ...base, id: "sub_eagle", email: "CREW@example.com", items: [{ kind: "lift", name: "Eagle Express" }] },
+    { ...base, id: "sub_other", email: "other@example.com", items: [{ kind: "trail", name: "Fork" }] }
+  ];
+  const alerts = await alertsRun({
+    changes: [change("Fork", "closed", "open"), change("Rainbow", "closed", "open"), change("Eagle Express", "closed", "open", undefined, "lift")],
+    state: { last_change_at: "2026-01-14T18:00:00Z", recipients: {} },
+    subscriptions,
+    env
+  });
+
+  assert.deepEqual(await alerts.run("2026-01-14T19:05:00Z"), { sent: 3, failed: 0, limited: 1 });
+  assert.deepEqual(alerts.sent.map(s => s.id), ["sub_fork", "sub_rainbow", "sub_other"]);
+
+  const state = await alerts.state();
+  assert.deepEqual(state.recipients[recipientKey(base, env.ALERTS_SECRET)], { day: "2026-01-14", sent: 2, suppressed: 1 });
+  assert.equal(Object.keys(state.recipients).length, 2);
+  assert.ok(!JSON.stringify(state).includes("example.com"), "no addresses in the public state file");
+});
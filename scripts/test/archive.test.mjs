@@ -0,0 +1,94 @@
+// scripts/test/archive.test.mjs
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { appendToArchive, readArchive, computeStats, statsToCsv } from "../lib/archive.mjs";
+
+const TZ = "America/Vancouver";
+const snap = (fetched_at, lifts, trails = {}) => ({ fetched_at, lifts, trails });
+
+test("appendToArchive: keyframe, then changes, then an hourly heartbeat", async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "archive-"));
+  const s1 = snap("2026-01-14T17:00:00Z", { "Eagle Express": "closed" });
+  const s2 = snap("2026-01-14T17:10:00Z", { "Eagle Express": "open" });
+  const s3 = snap("2026-01-14T17:20:00Z", { "Eagle Express": "open" });
+  const s4 = snap("2026-01-14T18:10:00Z", { "Eagle Express": "open" });
+
+  assert.deepEqual(await appendToArchive(dir, s1, null, TZ), [
+    { type: "state", t: s1.fetched_at, lifts: { "Eagle Express": "closed" }, trails: {} }
+  ]);
+  assert.deepEqual(await appendToArchive(dir, s2, s1, TZ), [
+    { type: "change", t: s2.fetched_at, kind: "lift", name: "Eagle Express", from: "closed", to: "open" }
+  ]);
+  assert.deepEqual(await appendToArchive(dir, s3, s2, TZ), [], "no change, less than an hour since the last record");
+  assert.deepEqual(await appendToArchive(dir, s4, s3, TZ), [{ type: "seen", t: s4.fetched_at }]);
+
+  // The next local day gets its own file, starting with a keyframe
+  const s5 = snap("2026-01-15T17:00:00Z", { "Eagle Express": "open" });
+  assert.equal((await appendToArchive(dir, s5, s4, TZ))[0].type, "state");
+
+  const days = await readArchive(dir);
+  assert.deepEqual(days.map(d => [d.day, d.records.length]), [["2026-01-14", 3], ["2026-01-15", 1]]);
+});
+
+test("computeStats: a day counts only its own records", () => {
+  const stats = computeStats([
+    { day: "2026-01-10", records: [
+      { type: "state", t: "2026-01-10T17:00:00Z", lifts: { "Eagle Express": "open" }, trails: {} },
+      { type: "seen", t: "2026-01-10T21:00:00Z" }
+    ] },
+    { day: "2026-01-11", records: [
+      { type: "state", t: "2026-01-11T17:00:00Z", lifts: { "Eagle Express": "closed" }, trails: {} },
+      { type: "seen", t: "2026-01-11T21:00:00Z" }
+    ] }
+  ]);
+
+  assert.deepEqual(stats.lifts["Eagle Express"], {
+    open_days: 1,
+    first_open: "2026-01-10",
+    last_open: "2026-01-10",
+    open_hours: 4,
+    on_hold_count: 0,
+    on_hold_days: 0
+  });
+});
+
+test("computeStats: on-hold spells and open hours up to the day's last record", () => {
+  const change = (t, to, from) => ({ type: "change", t, kind: "trail", name: "Fork", from, to });
+  const stats = computeStats([
+    { day: "2026-01-10", records: [
+      { type: "state", t: "2026-01-10T17:00:00Z", lifts: {}, trails: { Fork: "open" } },
+      change("2026-01-10T18:00:00Z", "on-hold", "open"),
+      change("2026-01-10T19:00:00Z", "open", "on-hold"),
+      change("2026-01-10T20:00:00Z", "on-hold", "open"),
+      change("2026-01-10T20:30:00Z", "open", "on-hold"),
+      { type: "seen", t: "2026-01-10T22:00:00Z" }
+    ] },
+    { day: "2026-01-11", records: [
+      { type: "state", t: "2026-01-11T17:00:00Z", lifts: {}, trails: { Fork: "on-hold" } },
+      { type: "seen", t: "2026-01-11T18:00:00Z" }
+    ] }
+  ]);
+
+  const fork = stats.trails.Fork;
+  assert.equal(fork.on_hold_count, 3);
+  assert.equal(fork.on_hold_days, 2);
+  assert.equal(fork.open_days, 1);
+  assert.equal(fork.open_hours, 3.5, "17-18, 19-20 and 20:30 to the last record at 22:00");
+  assert.equal(stats.days_archived, 2);
+  assert.equal(stats.first_day, "2026-01-10");
+});
+
+test("statsToCsv quotes commas and quotes", () => {
+  const csv = statsToCsv({
+    lifts: {},
+    trails: { 'Bob\'s "Big" Run, Upper': { open_days: 1, first_open: "2026-01-10", last_open: "2026-01-10", open_hours: 2, on_hold_count: 0, on_hold_days: 0 } }
+  });
+  assert.equal(csv, [
+    "kind,name,open_days,first_open,last_open,open_hours,on_hold_count,on_hold_days",
+    'trail,"Bob\'s ""Big"" Run, Upper",1,2026-01-10,2026-01-10,2,0,0',
+    ""
+  ].join("\n"));
+});
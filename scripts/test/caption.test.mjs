@@ -0,0 +1,73 @@
+// scripts/test/caption.test.mjs
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildCaption, captionPlaceholders } from "../lib/caption.mjs";
+
+const resort = { name: "Cypress", timeZone: "America/Vancouver" };
+const now = new Date("2026-01-14T20:00:00Z");
+const none = { liftsOpened: [], trailsOpened: [], liftsClosed: [], trailsClosed: [] };
+
+test("one change: singular, no blank blocks", () => {
+  assert.equal(
+    buildCaption({ ...none, trailsOpened: ["Panorama"] }, resort, now),
+    "Cypress Update\nWednesday, January 14\n\n1 new run open today\n  • Panorama"
+  );
+});
+
+test("every block: plurals and a blank line between blocks", () => {
+  const changes = { liftsOpened: ["Eagle Express", "Sky Chair"], trailsOpened: ["Panorama"], liftsClosed: ["Lions Express"], trailsClosed: ["Bowen", "Collins"] };
+  assert.equal(buildCaption(changes, resort, now), [
+    "Cypress Update", "Wednesday, January 14", "",
+    "2 new chairs open today", "  • Eagle Express", "  • Sky Chair", "",
+    "1 new run open today", "  • Panorama", "",
+    "1 chair closed from today", "  • Lions Express", "",
+    "2 runs closed from today", "  • Bowen", "  • Collins"
+  ].join("\n"));
+});
+
+test("closures alone: the header's blank line plus the one before closures", () => {
+  assert.equal(
+    buildCaption({ ...none, liftsClosed: ["Sky Chair"] }, resort, now),
+    "Cypress Update\nWednesday, January 14\n\n\n1 chair closed from today\n  • Sky Chair"
+  );
+});
+
+test("conditions go on the line under the date", () => {
+  const conditions = { snow_24h_cm: 12, base_cm: 182, temperature_c: -4, weather: null };
+  const lines = buildCaption({ ...none, trailsOpened: ["Panorama"] }, resort, now, { conditions }).split("\n");
+  assert.equal(lines[2], "❄️ 12 cm new in 24h · Base 182 cm · -4°C");
+  assert.equal(lines[3], "");
+});
+
+test("the date is the resort's local day", () => {
+  // 02:00Z on the 15th is still the 14th in Vancouver
+  const caption = buildCaption({ ...none, trailsOpened: ["Panorama"] }, resort, new Date("2026-01-15T02:00:00Z"));
+  assert.equal(caption.split("\n")[1], "Wednesday, January 14");
+});
+
+test("French plurals and date", () => {
+  const caption = buildCaption({ ...none, liftsOpened: ["Eagle Express"], trailsOpened: ["Panorama", "Collins"] }, resort, now, { language: "fr" });
+  assert.equal(caption, [
+    "Mise à jour Cypress", "mercredi 14 janvier", "",
+    "1 nouveau télésiège ouvert aujourd'hui", "  • Eagle Express", "",
+    "2 nouvelles pistes ouvertes aujourd'hui", "  • Panorama", "  • Collins"
+  ].join("\n"));
+});
+
+test("captionPlaceholders: English only writes no captions map", () => {
+  const placeholders = captionPlaceholders({ ...none, trailsOpened: ["Panorama"] }, { ...resort, mapUrl: "https://example.com/map" }, now);
+  assert.deepEqual(Object.keys(placeholders), ["caption_image", "caption_ig"]);
+  assert.equal(placeholders.caption_ig, `${placeholders.caption_image}\n\nLive map: https://example.com/map`);
+});
+
+test("captionPlaceholders: each language gets its own Live map line", () => {
+  const bilingual = { ...resort, mapUrl: "https://example.com/map", caption: { languages: ["en", "fr"] } };
+  const { caption_image, caption_ig, captions } = captionPlaceholders({ ...none, trailsOpened: ["Panorama"] }, bilingual, now);
+
+  assert.deepEqual(Object.keys(captions), ["en", "fr"]);
+  assert.equal(caption_image, captions.en);
+  assert.equal(caption_ig, [
+    captions.en, "", "Live map: https://example.com/map", "",
+    captions.fr, "", "Carte en direct : https://example.com/map"
+  ].join("\n"));
+});
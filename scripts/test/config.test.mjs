@@ -0,0 +1,54 @@
+// scripts/test/config.test.mjs
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { loadConfig, DEFAULT_CONFIG } from "../lib/config.mjs";
+
+// A scratch assets dir holding cypress-status.json
+function withConfigFile(json) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "cypress-status-config-"));
+  fs.writeFileSync(path.join(dir, "cypress-status.json"), JSON.stringify(json));
+  return dir;
+}
+
+test("defaults without a config file", () => {
+  const cwd = fs.mkdtempSync(path.join(os.tmpdir(), "cypress-status-config-"));
+  const config = loadConfig({ flags: { assetsDir: cwd }, env: {}, cwd });
+
+  assert.equal(config.configFile, null);
+  assert.equal(config.dataDir, cwd);
+  assert.deepEqual(config.instagram, DEFAULT_CONFIG.instagram);
+});
+
+test("file, then environment, then flags", () => {
+  const dir = withConfigFile({ $comment: "ignored", dataDir: "data", render: { sizes: ["og"], legend: false }, instagram: { graphVersion: "v24.0" } });
+  const env = {
+    CYPRESS_STATUS_INSTAGRAM_GRAPH_VERSION: "v26.0",
+    CYPRESS_STATUS_RENDER_SIZES: "og, story",
+    CYPRESS_STATUS_INSTAGRAM_PUBLISH_ATTEMPTS: "2",
+    FETCH_ACCEPT_VANISHED: "1"
+  };
+  const config = loadConfig({ flags: { assetsDir: dir, log: "json" }, env, cwd: "/" });
+
+  assert.equal(config.configFile, path.join(dir, "cypress-status.json"));
+  assert.equal(config.dataDir, path.join(dir, "data"), "relative to the file");
+  assert.equal(config.render.legend, false);
+  assert.deepEqual(config.render.sizes, ["og", "story"]);
+  assert.equal(config.instagram.graphVersion, "v26.0");
+  assert.equal(config.instagram.publishAttempts, 2);
+  assert.equal(config.fetch.acceptVanished, true);
+  assert.equal(config.log, "json");
+
+  const flagged = loadConfig({ flags: { assetsDir: dir, dataDir: "elsewhere" }, env: {}, cwd: "/tmp" });
+  assert.equal(flagged.dataDir, "/tmp/elsewhere", "relative to the working directory");
+});
+
+test("unknown settings and wrong types are errors", () => {
+  assert.throws(() => loadConfig({ flags: { assetsDir: withConfigFile({ render: { sizez: ["og"] } }) }, env: {} }), /unknown setting "render\.sizez"/);
+  assert.throws(() => loadConfig({ flags: { assetsDir: withConfigFile({ render: { legend: "no" } }) }, env: {} }), /render\.legend should be true or false/);
+  assert.throws(() => loadConfig({ env: { CYPRESS_STATUS_ALERTS_MAX_CHANGE_AGE_HOURS: "soon" } }), /should be a number/);
+  assert.throws(() => loadConfig({ flags: { log: "xml" }, env: {} }), /unknown format "xml"/);
+  assert.throws(() => loadConfig({ flags: { config: "/nonexistent/cypress-status.json" }, env: {} }), /ENOENT/);
+});
@@ -0,0 +1,43 @@
+// scripts/test/diff.test.mjs
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { normalizeStatus, diffOpens, diffFromLastSnapshot } from "../lib/diff.mjs";
+
+test("normalizeStatus: raw ReportPal strings", () => {
+  const cases = {
+    open: ["Open", "OPEN", "open"],
+    "on-hold": ["Hold", "hold", "On Hold", "ON HOLD", "Weather Hold"],
+    closed: ["Closed", "CLOSED", "closed"],
+    unknown: ["Scheduled", "scheduled", "", null, undefined]
+  };
+  for (const [expected, raws] of Object.entries(cases)) {
+    for (const raw of raws) assert.equal(normalizeStatus(raw), expected, `${JSON.stringify(raw)}`);
+  }
+});
+
+test("diffOpens lists what opened and closed, A-Z", () => {
+  const prev = { Sky: "open", Eagle: "closed", Lions: "open", Raven: "on-hold" };
+  const curr = { Sky: "closed", Eagle: "open", Lions: "open", Raven: "open", Bowen: "open" };
+  assert.deepEqual(diffOpens(prev, curr), { opened: ["Bowen", "Eagle", "Raven"], closed: ["Sky"] });
+});
+
+test("diffOpens: a name missing from one side counts as not open", () => {
+  assert.deepEqual(diffOpens(null, { Sky: "open" }), { opened: ["Sky"], closed: [] });
+  assert.deepEqual(diffOpens({ Sky: "open" }, {}), { opened: [], closed: ["Sky"] });
+});
+
+test("diffFromLastSnapshot compares the last two snapshots", () => {
+  assert.equal(diffFromLastSnapshot([]), null);
+  assert.equal(diffFromLastSnapshot([{ lifts: {}, trails: {} }]), null);
+
+  const snaps = [
+    { lifts: { Sky: "closed" }, trails: {} },
+    { lifts: { Sky: "closed" }, trails: { Panorama: "open" } },
+    { lifts: { Sky: "open" }, trails: {} }
+  ];
+  const { prev, curr, liftsDiff, trailsDiff } = diffFromLastSnapshot(snaps);
+  assert.equal(prev, snaps[1]);
+  assert.equal(curr, snaps[2]);
+  assert.deepEqual(liftsDiff, { opened: ["Sky"], closed: [] });
+  assert.deepEqual(trailsDiff, { opened: [], closed: ["Panorama"] });
+});
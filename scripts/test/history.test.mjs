@@ -0,0 +1,76 @@
+// scripts/test/history.test.mjs
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { pruneSnapshots, nearestSnapshot, nearestSnapshotAtOrAfterLocal, findCompareSnapshot } from "../lib/history.mjs";
+
+const snap = (fetched_at) => ({ fetched_at, lifts: {}, trails: {} });
+const at = (snapshot) => snapshot?.fetched_at ?? null;
+
+// 14 January 2026 in Vancouver (PST, UTC-8)
+const JAN_14 = { year: 2026, month: 1, day: 14 };
+
+test("pruneSnapshots keeps the last 48 hours", () => {
+  const now = new Date("2026-01-14T20:00:00Z");
+  const kept = pruneSnapshots([
+    snap("2026-01-12T19:59:00Z"),
+    snap("2026-01-12T20:00:00Z"),
+    snap("2026-01-14T19:00:00Z"),
+    snap("not a time"),
+    null
+  ], now);
+  assert.deepEqual(kept.map(at), ["2026-01-12T20:00:00Z", "2026-01-14T19:00:00Z"]);
+});
+
+test("nearestSnapshot: closest on either side, within the tolerance", () => {
+  const snaps = [snap("2026-01-14T17:00:00Z"), snap("2026-01-14T18:50:00Z"), snap("2026-01-14T21:20:00Z"), snap("bad")];
+  const target = new Date("2026-01-14T20:00:00Z");
+
+  assert.equal(at(nearestSnapshot(snaps, target)), "2026-01-14T18:50:00Z");
+  assert.equal(at(nearestSnapshot(snaps, target, 70)), "2026-01-14T18:50:00Z");
+  assert.equal(nearestSnapshot(snaps, target, 69), null);
+  assert.equal(nearestSnapshot([], target), null);
+  assert.equal(nearestSnapshot([snap("bad")], target), null);
+});
+
+test("nearestSnapshotAtOrAfterLocal: same local day, at or after the time, within the tolerance", () => {
+  const snaps = [
+    snap("2026-01-14T16:50:00Z"), // 08:50 local, too early
+    snap("2026-01-14T17:40:00Z"), // 09:40
+    snap("2026-01-14T17:10:00Z"), // 09:10
+    snap("2026-01-15T17:05:00Z")  // 09:05 the next day
+  ];
+  assert.equal(at(nearestSnapshotAtOrAfterLocal(snaps, JAN_14, 9, 0)), "2026-01-14T17:10:00Z");
+  assert.equal(at(nearestSnapshotAtOrAfterLocal(snaps, JAN_14, 9, 10, 0)), "2026-01-14T17:10:00Z");
+  assert.equal(nearestSnapshotAtOrAfterLocal(snaps, JAN_14, 9, 0, 5), null);
+  assert.equal(nearestSnapshotAtOrAfterLocal(snaps, JAN_14, 10, 0), null);
+});
+
+test("nearestSnapshotAtOrAfterLocal uses the resort's local day, not UTC's", () => {
+  // 17:30 on the 14th in Vancouver is already the 15th in UTC
+  const snaps = [snap("2026-01-15T01:30:00Z")];
+  assert.equal(at(nearestSnapshotAtOrAfterLocal(snaps, JAN_14, 17, 0)), "2026-01-15T01:30:00Z");
+  assert.equal(nearestSnapshotAtOrAfterLocal(snaps, { year: 2026, month: 1, day: 15 }, 17, 0), null);
+});
+
+test("findCompareSnapshot: yesterday's close vs this morning", () => {
+  const snaps = [
+    snap("2026-01-13T23:55:00Z"), // 15:55 yesterday
+    snap("2026-01-14T00:30:00Z"), // 16:30 yesterday
+    snap("2026-01-14T16:55:00Z"), // 08:55 today
+    snap("2026-01-14T17:20:00Z")  // 09:20 today
+  ];
+  const from = { dayOffset: -1, hour: 16, minute: 0, toleranceMinutes: 90 };
+  const to = { dayOffset: 0, hour: 9, minute: 0, toleranceMinutes: 120, match: "atOrAfter" };
+
+  assert.equal(at(findCompareSnapshot(snaps, from, JAN_14, "America/Vancouver")), "2026-01-13T23:55:00Z");
+  assert.equal(at(findCompareSnapshot(snaps, to, JAN_14, "America/Vancouver")), "2026-01-14T17:20:00Z");
+});
+
+test("findCompareSnapshot across the spring-forward night", () => {
+  // 7 March is still PST (16:00 = 00:00Z), 8 March is PDT (09:00 = 16:00Z)
+  const snaps = [snap("2026-03-08T00:10:00Z"), snap("2026-03-08T16:05:00Z")];
+  const today = { year: 2026, month: 3, day: 8 };
+
+  assert.equal(at(findCompareSnapshot(snaps, { dayOffset: -1, hour: 16, minute: 0, toleranceMinutes: 15 }, today, "America/Vancouver")), "2026-03-08T00:10:00Z");
+  assert.equal(at(findCompareSnapshot(snaps, { dayOffset: 0, hour: 9, minute: 0, toleranceMinutes: 15, match: "atOrAfter" }, today, "America/Vancouver")), "2026-03-08T16:05:00Z");
+});
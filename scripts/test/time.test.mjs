@@ -0,0 +1,49 @@
+// scripts/test/time.test.mjs
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { getTzParts, zonedTimeToUtc, addLocalDays } from "../lib/time.mjs";
+
+const utc = (parts, timeZone) => zonedTimeToUtc(parts, timeZone).toISOString();
+
+test("zonedTimeToUtc: standard and daylight time", () => {
+  assert.equal(utc({ year: 2026, month: 1, day: 14, hour: 12 }), "2026-01-14T20:00:00.000Z");
+  assert.equal(utc({ year: 2026, month: 7, day: 1, hour: 12 }), "2026-07-01T19:00:00.000Z");
+});
+
+test("zonedTimeToUtc: spring forward (Vancouver, 8 March 2026)", () => {
+  assert.equal(utc({ year: 2026, month: 3, day: 8, hour: 1, minute: 30 }), "2026-03-08T09:30:00.000Z");
+  assert.equal(utc({ year: 2026, month: 3, day: 8, hour: 3 }), "2026-03-08T10:00:00.000Z");
+  // 02:00-02:59 never shows on the clock: read with the old offset, an hour later
+  assert.equal(utc({ year: 2026, month: 3, day: 8, hour: 2 }), "2026-03-08T10:00:00.000Z");
+  assert.equal(utc({ year: 2026, month: 3, day: 8, hour: 2, minute: 30 }), "2026-03-08T10:30:00.000Z");
+});
+
+test("zonedTimeToUtc: fall back (Vancouver, 1 November 2026)", () => {
+  assert.equal(utc({ year: 2026, month: 11, day: 1, hour: 0, minute: 30 }), "2026-11-01T07:30:00.000Z");
+  // 01:00-01:59 happens twice: the first (PDT) one
+  assert.equal(utc({ year: 2026, month: 11, day: 1, hour: 1, minute: 30 }), "2026-11-01T08:30:00.000Z");
+  assert.equal(utc({ year: 2026, month: 11, day: 1, hour: 2 }), "2026-11-01T10:00:00.000Z");
+});
+
+test("zonedTimeToUtc: DST edges east of UTC (London)", () => {
+  assert.equal(utc({ year: 2026, month: 3, day: 29, hour: 1, minute: 30 }, "Europe/London"), "2026-03-29T01:30:00.000Z");
+  assert.equal(utc({ year: 2026, month: 10, day: 25, hour: 1, minute: 30 }, "Europe/London"), "2026-10-25T00:30:00.000Z");
+});
+
+test("getTzParts reads back what zonedTimeToUtc wrote", () => {
+  for (const parts of [
+    { year: 2026, month: 1, day: 1, hour: 0, minute: 0, second: 0 },
+    { year: 2026, month: 3, day: 8, hour: 3, minute: 15, second: 0 },
+    { year: 2026, month: 11, day: 1, hour: 1, minute: 30, second: 0 },
+    { year: 2026, month: 12, day: 31, hour: 23, minute: 59, second: 59 }
+  ]) {
+    assert.deepEqual(getTzParts(zonedTimeToUtc(parts)), parts);
+  }
+});
+
+test("addLocalDays shifts calendar days across months, years and DST", () => {
+  assert.deepEqual(addLocalDays({ year: 2026, month: 3, day: 8 }, -1), { year: 2026, month: 3, day: 7 });
+  assert.deepEqual(addLocalDays({ year: 2026, month: 3, day: 1 }, -1), { year: 2026, month: 2, day: 28 });
+  assert.deepEqual(addLocalDays({ year: 2026, month: 12, day: 31 }, 1), { year: 2027, month: 1, day: 1 });
+  assert.deepEqual(addLocalDays({ year: 2028, month: 2, day: 28 }, 1), { year: 2028, month: 2, day: 29 });
+});
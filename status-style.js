@@ -0,0 +1,38 @@
+// status-style.js
+// Status colors and line patterns, shared by the map (index.html loads it as a classic
+// script: these become globals) and the image renderer (scripts/lib/render-map.mjs).
+//
+// Every status has its own pattern, so the map reads without color: open is solid,
+// on-hold dashed, closed dotted, unknown dash-dot. The "colorblind" palette is the
+// Okabe-Ito set, which stays distinct with red-green and blue-yellow color blindness.
+
+(function (root) {
+  const STATUS_PALETTES = {
+    default: { open: "#2ecc71", "on-hold": "#f1c40f", closed: "#ff6447", unknown: "#9b59b6" },
+    colorblind: { open: "#0072b2", "on-hold": "#e69f00", closed: "#d55e00", unknown: "#cc79a7" }
+  };
+
+  // Dash / gap lengths in line widths, so thick lifts and thin runs look alike.
+  // Drawn with round caps: a 0.1 dash is a dot, and caps eat ~1 width of each gap.
+  const STATUS_PATTERNS = {
+    open: null,
+    "on-hold": [3, 2.5],
+    closed: [0.1, 2.2],
+    unknown: [2.5, 2, 0.1, 2]
+  };
+
+  function statusColor(status, palette = "default") {
+    const colors = STATUS_PALETTES[palette] ?? STATUS_PALETTES.default;
+    return colors[status] ?? colors.unknown;
+  }
+
+  // -> SVG stroke-dasharray for a line `weight` wide, or null for solid
+  function statusDashArray(status, weight) {
+    const pattern = status in STATUS_PATTERNS ? STATUS_PATTERNS[status] : STATUS_PATTERNS.unknown;
+    return pattern ? pattern.map(n => Math.round(n * weight * 10) / 10).join(" ") : null;
+  }
+
+  const api = { STATUS_PALETTES, STATUS_PATTERNS, statusColor, statusDashArray };
+  if (typeof module === "object" && module.exports) module.exports = api;
+  else Object.assign(root, api);
+})(this);
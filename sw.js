@@ -0,0 +1,161 @@
+// sw.js
+// Service worker for the installable page (manifest.webmanifest) and subscriber alerts.
+//
+// Offline: the page, the base map, the overlays, resorts.json, the message catalogs (locales/) and
+// vendored Leaflet are pre-cached on install. status.json / history.json / conditions.json from the data branch go to the
+// network first and fall back to the last good copy; a cached answer carries
+// "X-Served-From: cache" so the page can say it's offline.
+//
+// Push: Web Push from `cypress-status post alerts`. Payload: { title, body, url, tag }
+
+// Bump when PRECACHE changes (scripts/check-pwa.mjs checks the files exist)
+const CACHE_VERSION = "v4";
+const STATIC_CACHE = `static-${CACHE_VERSION}`;
+const DATA_CACHE = `data-${CACHE_VERSION}`;
+
+const PRECACHE = [
+  "./",
+  "manifest.webmanifest",
+  "favicon.png",
+  "map.jpg",
+  "curves.json",
+  "overlays.geojson",
+  "resorts.json",
+  "bezier.js",
+  "status-style.js",
+  "i18n.js",
+  "locales/en.json",
+  "locales/fr.json",
+  "locales/zh.json",
+  "vendor/leaflet/leaflet.css",
+  "vendor/leaflet/leaflet.js",
+  "vendor/leaflet/images/layers.png",
+  "vendor/leaflet/images/layers-2x.png",
+  "vendor/leaflet/images/marker-icon.png",
+  "vendor/leaflet/images/marker-icon-2x.png",
+  "vendor/leaflet/images/marker-shadow.png",
+  "vendor/leaflet-curve/leaflet.curve.js"
+];
+
+const DATA_URL = "https://raw.githubusercontent.com/harrmony/cypress-status-map/data/";
+const DATA_FILES = new Set(["status.json", "history.json", "conditions.json"]);
+
+// On a chairlift a request can hang for a long time: past this, answer from the cache
+// (the network answer still refreshes the cache when it arrives)
+const NETWORK_TIMEOUT_MS = 6000;
+
+self.addEventListener("install", (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(STATIC_CACHE);
+    await cache.addAll(PRECACHE.map(url => new Request(url, { cache: "reload" })));
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil((async () => {
+    const keep = [STATIC_CACHE, DATA_CACHE];
+    for (const name of await caches.keys()) {
+      if (!keep.includes(name)) await caches.delete(name);
+    }
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+  const url = new URL(request.url);
+
+  // Data branch: only the files the page polls (archive days stay online-only)
+  if (url.href.startsWith(DATA_URL)) {
+    if (DATA_FILES.has(url.pathname.split("/").pop())) event.respondWith(networkFirst(event, DATA_CACHE));
+    return;
+  }
+  if (url.origin !== self.location.origin) return;
+
+  // Versioned or rarely changing files: answer from the cache, refresh in the background
+  if (url.pathname.includes("/vendor/") || request.destination === "image") {
+    event.respondWith(staleWhileRevalidate(event, STATIC_CACHE));
+    return;
+  }
+  event.respondWith(networkFirst(event, STATIC_CACHE));
+});
+
+// The page adds ?ts= to dodge HTTP caches; one cache entry per file regardless
+function cacheKey(request) {
+  const url = new URL(request.url);
+  url.search = "";
+  return request.mode === "navigate" ? new URL("./", self.registration.scope).href : url.href;
+}
+
+function timeout(ms) {
+  return new Promise((_, reject) => setTimeout(() => reject(new Error(`No answer after ${ms / 1000}s`)), ms));
+}
+
+function fromCache(response) {
+  const headers = new Headers(response.headers);
+  headers.set("X-Served-From", "cache");
+  return new Response(response.body, { status: response.status, statusText: response.statusText, headers });
+}
+
+async function networkFirst(event, cacheName) {
+  const cache = await caches.open(cacheName);
+  const key = cacheKey(event.request);
+
+  const network = fetch(event.request).then(async (res) => {
+    if (res.ok) await cache.put(key, res.clone());
+    return res;
+  });
+  event.waitUntil(network.catch(() => {}));
+
+  const cached = await cache.match(key);
+  if (!cached) return network;
+
+  try {
+    return await Promise.race([network, timeout(NETWORK_TIMEOUT_MS)]);
+  } catch {
+    return fromCache(cached);
+  }
+}
+
+async function staleWhileRevalidate(event, cacheName) {
+  const cache = await caches.open(cacheName);
+  const key = cacheKey(event.request);
+
+  const network = fetch(event.request).then(async (res) => {
+    if (res.ok) await cache.put(key, res.clone());
+    return res;
+  });
+  event.waitUntil(network.catch(() => {}));
+
+  return (await cache.match(key)) ?? network;
+}
+
+self.addEventListener("push", (event) => {
+  let data = {};
+  try {
+    data = event.data ? event.data.json() : {};
+  } catch {
+    data = { title: "Cypress status", body: event.data?.text() ?? "" };
+  }
+
+  event.waitUntil(self.registration.showNotification(data.title ?? "Cypress status", {
+    body: data.body ?? "",
+    icon: "favicon.png",
+    tag: data.tag,
+    data: { url: data.url ?? self.registration.scope }
+  }));
+});
+
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close();
+  const url = event.notification.data?.url ?? self.registration.scope;
+
+  event.waitUntil((async () => {
+    const windows = await clients.matchAll({ type: "window", includeUncontrolled: true });
+    const open = windows.find(w => w.url.startsWith(url));
+    if (open) return open.focus();
+    return clients.openWindow(url);
+  })());
+});